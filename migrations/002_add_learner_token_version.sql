@@ -0,0 +1,3 @@
+-- Adds the learner token version used to bind and rotate signed learner tokens.
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS token_version INT NOT NULL DEFAULT 0;
@@ -0,0 +1,16 @@
+-- Adds per-tag spaced-repetition state used by GET /v1/reviews/due.
+CREATE TABLE IF NOT EXISTS tag_reviews (
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  track_id UUID NOT NULL REFERENCES tracks(id) ON DELETE CASCADE,
+  tag TEXT NOT NULL,
+  easiness NUMERIC NOT NULL DEFAULT 2.5,
+  interval_days INT NOT NULL DEFAULT 0,
+  repetitions INT NOT NULL DEFAULT 0,
+  lapses INT NOT NULL DEFAULT 0,
+  last_quality INT,
+  last_reviewed_at TIMESTAMPTZ,
+  due_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY(user_id, track_id, tag)
+);
+
+CREATE INDEX IF NOT EXISTS tag_reviews_due_idx ON tag_reviews (user_id, track_id, due_at);
@@ -0,0 +1,8 @@
+-- Adds per-track and per-lesson mastery policies used by POST /v1/attempts.
+ALTER TABLE tracks
+  ADD COLUMN IF NOT EXISTS mastery_policy JSONB;
+
+ALTER TABLE lessons
+  ADD COLUMN IF NOT EXISTS mastery_policy JSONB;
+
+CREATE INDEX IF NOT EXISTS attempts_user_lesson_idx ON attempts (user_id, lesson_id, created_at);
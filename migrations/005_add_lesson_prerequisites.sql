@@ -0,0 +1,22 @@
+-- Adds the lesson prerequisite graph and per-lesson completions used by GET /v1/lessons/next.
+CREATE TABLE IF NOT EXISTS lesson_prerequisites (
+  lesson_id UUID NOT NULL REFERENCES lessons(id) ON DELETE CASCADE,
+  prerequisite_lesson_id UUID NOT NULL REFERENCES lessons(id) ON DELETE CASCADE,
+  PRIMARY KEY(lesson_id, prerequisite_lesson_id)
+);
+
+CREATE INDEX IF NOT EXISTS lesson_prerequisites_prerequisite_idx ON lesson_prerequisites (prerequisite_lesson_id);
+
+CREATE TABLE IF NOT EXISTS lesson_completions (
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  lesson_id UUID NOT NULL REFERENCES lessons(id) ON DELETE CASCADE,
+  completed_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY(user_id, lesson_id)
+);
+
+-- Existing linear progress: every lesson before current_lesson_order counts as completed.
+INSERT INTO lesson_completions (user_id, lesson_id, completed_at)
+SELECT uts.user_id, l.id, COALESCE(uts.last_seen, now())
+FROM user_track_state uts
+JOIN lessons l ON l.track_id = uts.track_id AND l.lesson_order < uts.current_lesson_order
+ON CONFLICT (user_id, lesson_id) DO NOTHING;
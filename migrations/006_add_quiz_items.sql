@@ -0,0 +1,27 @@
+-- Adds the quiz item bank and records whether an attempt was graded by the client or the server.
+CREATE TABLE IF NOT EXISTS quiz_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  lesson_id UUID NOT NULL REFERENCES lessons(id) ON DELETE CASCADE,
+  item_order INT NOT NULL,
+  item_type TEXT NOT NULL CHECK (item_type IN ('multiple_choice', 'short_answer', 'ordering')),
+  prompt TEXT NOT NULL,
+  choices JSONB NOT NULL DEFAULT '[]'::jsonb,
+  answer JSONB NOT NULL,                  -- answer key; never returned to learners
+  tags JSONB NOT NULL DEFAULT '[]'::jsonb,
+  points NUMERIC NOT NULL DEFAULT 1,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE(lesson_id, item_order)
+);
+
+ALTER TABLE attempts
+  ADD COLUMN IF NOT EXISTS graded_by TEXT NOT NULL DEFAULT 'client';
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'attempts_graded_by_check'
+  ) THEN
+    ALTER TABLE attempts
+      ADD CONSTRAINT attempts_graded_by_check CHECK (graded_by IN ('client', 'server'));
+  END IF;
+END $$;
@@ -0,0 +1,27 @@
+-- Adds learner timezone and daily goal settings used for streaks on GET /v1/me.
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS timezone TEXT NOT NULL DEFAULT 'UTC',
+  ADD COLUMN IF NOT EXISTS daily_goal_type TEXT NOT NULL DEFAULT 'attempts',
+  ADD COLUMN IF NOT EXISTS daily_goal_target INT NOT NULL DEFAULT 1;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'users_daily_goal_type_check'
+  ) THEN
+    ALTER TABLE users
+      ADD CONSTRAINT users_daily_goal_type_check CHECK (daily_goal_type IN ('attempts', 'minutes'));
+  END IF;
+END $$;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'users_daily_goal_target_check'
+  ) THEN
+    ALTER TABLE users
+      ADD CONSTRAINT users_daily_goal_target_check CHECK (daily_goal_target > 0);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS attempts_user_created_idx ON attempts (user_id, created_at);
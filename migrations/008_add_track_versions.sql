@@ -0,0 +1,12 @@
+-- Adds immutable published track versions and pins learners to the version they started on.
+CREATE TABLE IF NOT EXISTS track_versions (
+  track_id UUID NOT NULL REFERENCES tracks(id) ON DELETE CASCADE,
+  version INT NOT NULL,
+  snapshot JSONB NOT NULL,                -- { track, lessons } at publish time
+  notes TEXT,
+  published_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY(track_id, version)
+);
+
+ALTER TABLE user_track_state
+  ADD COLUMN IF NOT EXISTS track_version INT;
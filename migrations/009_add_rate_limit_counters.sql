@@ -0,0 +1,9 @@
+-- Adds shared rate-limit counters used when RATE_LIMIT_STORE=postgres.
+CREATE UNLOGGED TABLE IF NOT EXISTS rate_limit_counters (
+  key TEXT NOT NULL,
+  window_start_ms BIGINT NOT NULL,
+  count INT NOT NULL DEFAULT 0,
+  PRIMARY KEY(key, window_start_ms)
+);
+
+CREATE INDEX IF NOT EXISTS rate_limit_counters_window_idx ON rate_limit_counters (window_start_ms);
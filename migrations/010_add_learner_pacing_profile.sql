@@ -0,0 +1,14 @@
+-- Adds the learner's weekly time budget and target date used for pacing on GET /v1/lessons/next.
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS weekly_minutes INT,
+  ADD COLUMN IF NOT EXISTS target_date DATE;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'users_weekly_minutes_check'
+  ) THEN
+    ALTER TABLE users
+      ADD CONSTRAINT users_weekly_minutes_check CHECK (weekly_minutes > 0);
+  END IF;
+END $$;
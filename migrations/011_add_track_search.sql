@@ -0,0 +1,56 @@
+-- Full-text search over tracks for GET /v1/tracks?q=. tracks.search_vector covers the
+-- track title (weight A), lesson titles and tags (B) and lesson objectives (C), and is
+-- kept current by triggers on tracks and lessons.
+ALTER TABLE tracks ADD COLUMN IF NOT EXISTS search_vector TSVECTOR;
+
+CREATE OR REPLACE FUNCTION track_search_vector(target_track_id UUID, track_title TEXT) RETURNS TSVECTOR AS $$
+  SELECT setweight(to_tsvector('english', COALESCE(track_title, '')), 'A') ||
+         setweight(to_tsvector('english', COALESCE(
+           (SELECT string_agg(l.title, ' ') FROM lessons l WHERE l.track_id = target_track_id), ''
+         )), 'B') ||
+         setweight(to_tsvector('english', COALESCE(
+           (SELECT string_agg(tag, ' ')
+            FROM lessons l, jsonb_array_elements_text(l.tags) AS tag
+            WHERE l.track_id = target_track_id), ''
+         )), 'B') ||
+         setweight(to_tsvector('english', COALESCE(
+           (SELECT string_agg(objective, ' ')
+            FROM lessons l, jsonb_array_elements_text(l.objectives) AS objective
+            WHERE l.track_id = target_track_id), ''
+         )), 'C')
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION tracks_search_vector_trigger() RETURNS trigger AS $$
+BEGIN
+  NEW.search_vector := track_search_vector(NEW.id, NEW.title);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION lessons_search_vector_trigger() RETURNS trigger AS $$
+BEGIN
+  UPDATE tracks
+  SET search_vector = track_search_vector(id, title)
+  WHERE id IN (
+    CASE WHEN TG_OP = 'INSERT' THEN NULL ELSE OLD.track_id END,
+    CASE WHEN TG_OP = 'DELETE' THEN NULL ELSE NEW.track_id END
+  );
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS tracks_search_vector_update ON tracks;
+CREATE TRIGGER tracks_search_vector_update
+  BEFORE INSERT OR UPDATE OF title ON tracks
+  FOR EACH ROW EXECUTE FUNCTION tracks_search_vector_trigger();
+
+DROP TRIGGER IF EXISTS lessons_search_vector_update ON lessons;
+CREATE TRIGGER lessons_search_vector_update
+  AFTER INSERT OR UPDATE OF track_id, title, tags, objectives OR DELETE ON lessons
+  FOR EACH ROW EXECUTE FUNCTION lessons_search_vector_trigger();
+
+UPDATE tracks SET search_vector = track_search_vector(id, title) WHERE search_vector IS NULL;
+
+CREATE INDEX IF NOT EXISTS tracks_search_vector_idx ON tracks USING GIN (search_vector);
+-- GET /v1/tracks?tag= and lesson tag lookups
+CREATE INDEX IF NOT EXISTS lessons_tags_idx ON lessons USING GIN (tags);
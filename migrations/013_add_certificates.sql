@@ -0,0 +1,16 @@
+-- Signed track completion certificates (src/certificates.js). signed_payload is
+-- the exact JSON that was signed; certificates outlive the track they cover.
+CREATE TABLE IF NOT EXISTS certificates (
+  id UUID PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  track_id UUID REFERENCES tracks(id) ON DELETE SET NULL,
+  track_version INT,
+  key_id TEXT NOT NULL,
+  signed_payload TEXT NOT NULL,
+  signature TEXT NOT NULL,
+  issued_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- One certificate per learner, track and published version
+CREATE UNIQUE INDEX IF NOT EXISTS certificates_user_track_version_idx
+  ON certificates (user_id, track_id, COALESCE(track_version, 0));
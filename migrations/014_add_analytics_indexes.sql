@@ -0,0 +1,9 @@
+-- Indexes behind the /v1/internal/analytics reports. The attempt indexes cover
+-- every column those queries read, so per-lesson stats over a date range are
+-- index-only scans instead of reads of the whole attempts table.
+CREATE INDEX IF NOT EXISTS attempts_lesson_created_idx
+  ON attempts (lesson_id, created_at) INCLUDE (user_id, attempt_type, score, max_score, duration_sec);
+CREATE INDEX IF NOT EXISTS attempts_lesson_weak_tags_idx
+  ON attempts (lesson_id, created_at) INCLUDE (user_id, weak_tags) WHERE weak_tags <> '[]'::jsonb;
+CREATE INDEX IF NOT EXISTS user_track_state_track_seen_idx
+  ON user_track_state (track_id, last_seen) INCLUDE (current_lesson_order);
@@ -0,0 +1,13 @@
+-- Versioned lesson content blocks (src/lessonContent.js). Versions are never
+-- edited; lessons.content_version points at the current one and published
+-- track snapshots record the version they saw.
+ALTER TABLE lessons
+  ADD COLUMN IF NOT EXISTS content_version INT;
+
+CREATE TABLE IF NOT EXISTS lesson_content_versions (
+  lesson_id UUID NOT NULL REFERENCES lessons(id) ON DELETE CASCADE,
+  version INT NOT NULL,
+  blocks JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (lesson_id, version)
+);
@@ -0,0 +1,11 @@
+-- max_attempts_before_review never blocked attempts, so stored mastery
+-- policies call it what it is: suggest_review_after_failures (advisory).
+UPDATE tracks
+SET mastery_policy = (mastery_policy - 'max_attempts_before_review')
+  || jsonb_build_object('suggest_review_after_failures', mastery_policy->'max_attempts_before_review')
+WHERE mastery_policy ? 'max_attempts_before_review';
+
+UPDATE lessons
+SET mastery_policy = (mastery_policy - 'max_attempts_before_review')
+  || jsonb_build_object('suggest_review_after_failures', mastery_policy->'max_attempts_before_review')
+WHERE mastery_policy ? 'max_attempts_before_review';
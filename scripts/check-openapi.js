@@ -0,0 +1,44 @@
+require("dotenv").config();
+const app = require("../src/app");
+const openapiContract = require("../src/openapiContract");
+
+// npm run openapi:check    fail when Express routes and openapi.yaml disagree
+// Response shapes are checked by npm test, which runs the app with OPENAPI_VALIDATION=enforce.
+function run() {
+  const operationIds = openapiContract.listOperations().map((operation) => operation.operationId);
+  const duplicateOperationIds = operationIds.filter((id, index) => operationIds.indexOf(id) !== index);
+  const missingOperationIds = openapiContract
+    .listOperations()
+    .filter((operation) => !operation.operationId)
+    .map((operation) => `${operation.method.toUpperCase()} ${operation.path}`);
+  const routes = openapiContract.diffRoutes(app);
+
+  const ok =
+    routes.undocumented.length === 0 &&
+    routes.unimplemented.length === 0 &&
+    duplicateOperationIds.length === 0 &&
+    missingOperationIds.length === 0;
+
+  console.log(
+    JSON.stringify(
+      {
+        event: "openapi-check",
+        ok,
+        undocumented_routes: routes.undocumented,
+        unimplemented_operations: routes.unimplemented,
+        duplicate_operation_ids: duplicateOperationIds,
+        missing_operation_ids: missingOperationIds
+      },
+      null,
+      2
+    )
+  );
+  return ok;
+}
+
+try {
+  process.exit(run() ? 0 : 1);
+} catch (error) {
+  console.error(JSON.stringify({ event: "openapi-check-failed", error: error.message }));
+  process.exit(1);
+}
@@ -0,0 +1,31 @@
+require("dotenv").config();
+const db = require("../src/db");
+const migrations = require("../src/migrations");
+
+// npm run migrate                 apply pending migrations
+// npm run migrate -- --dry-run    run them in a rolled-back transaction
+// npm run migrate -- --status     report drift without changing anything
+async function run() {
+  const args = process.argv.slice(2);
+
+  if (args.includes("--status")) {
+    const status = await migrations.checkSchema(db);
+    console.log(JSON.stringify({ event: "migration-status", ...status }, null, 2));
+    if (!status.ok) process.exitCode = 1;
+    return;
+  }
+
+  const result = await migrations.runMigrations(db, {
+    dryRun: args.includes("--dry-run"),
+    log: (entry) => console.log(JSON.stringify(entry))
+  });
+
+  console.log(JSON.stringify({ event: "migrate-complete", ...result }));
+}
+
+run()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch((error) => {
+    console.error(JSON.stringify({ event: "migrate-failed", error: error.message }));
+    process.exit(1);
+  });
@@ -0,0 +1,95 @@
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const db = require("../src/db");
+const trackBundle = require("../src/trackBundle");
+
+const USAGE = `Usage:
+  npm run bundle -- validate <file>
+  npm run bundle -- diff <file>
+  npm run bundle -- import <file> [--prune] [--dry-run]
+  npm run bundle -- export <slug> [--format json|yaml] [--out <file>]`;
+
+function readBundleFile(file) {
+  const format = path.extname(file) === ".json" ? "json" : "yaml";
+  const validated = trackBundle.validateBundle(trackBundle.parseBundleText(fs.readFileSync(file, "utf8"), format));
+  if (!validated.success) {
+    throw new Error(`Invalid bundle ${file}: ${JSON.stringify(validated.error)}`);
+  }
+  return validated.bundle;
+}
+
+function optionValue(args, name) {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+async function run() {
+  const [command, target, ...args] = process.argv.slice(2);
+  if (!command || !target) throw new Error(USAGE);
+
+  if (command === "validate") {
+    const bundle = readBundleFile(target);
+    console.log(
+      JSON.stringify({ event: "bundle-valid", slug: bundle.track.slug, lessons: bundle.lessons.length })
+    );
+    return;
+  }
+
+  if (command === "diff") {
+    const bundle = readBundleFile(target);
+    const current = await trackBundle.exportTrackBundle(db, bundle.track.slug);
+    console.log(JSON.stringify(trackBundle.diffBundles(current, bundle), null, 2));
+    return;
+  }
+
+  if (command === "import") {
+    const bundle = readBundleFile(target);
+    const dryRun = args.includes("--dry-run");
+    const client = await db.getClient();
+
+    try {
+      await client.query("BEGIN");
+      const current = await trackBundle.exportTrackBundle(client, bundle.track.slug);
+      const diff = trackBundle.diffBundles(current, bundle);
+      const result = await trackBundle.importTrackBundle(client, bundle, { prune: args.includes("--prune") });
+      if (result.error) throw new Error(JSON.stringify(result.error));
+      await client.query(dryRun ? "ROLLBACK" : "COMMIT");
+
+      console.log(JSON.stringify({ event: "bundle-import-complete", dry_run: dryRun, diff, ...result }, null, 2));
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+    return;
+  }
+
+  if (command === "export") {
+    const format = optionValue(args, "--format") || "yaml";
+    if (!["json", "yaml"].includes(format)) throw new Error("--format must be json or yaml");
+
+    const bundle = await trackBundle.exportTrackBundle(db, target.toLowerCase());
+    if (!bundle) throw new Error(`Track not found: ${target}`);
+
+    const text = trackBundle.serializeBundle(bundle, format);
+    const out = optionValue(args, "--out");
+    if (out) {
+      fs.writeFileSync(out, text);
+      console.log(JSON.stringify({ event: "bundle-export-complete", slug: bundle.track.slug, out }));
+    } else {
+      process.stdout.write(text);
+    }
+    return;
+  }
+
+  throw new Error(USAGE);
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(JSON.stringify({ event: "track-bundle-failed", error: error.message }));
+    process.exit(1);
+  });
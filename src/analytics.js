@@ -0,0 +1,155 @@
+// analytics.js
+// Read-only reports for GET /v1/internal/analytics: per-lesson funnel drop-off
+// from user_track_state, attempt stats per lesson and the most frequent weak
+// tags. Ranges are { start, end } timestamps (end exclusive). The attempt
+// queries are served by the covering indexes from migration 014.
+const { DEFAULT_POLICY } = require("./masteryPolicy");
+
+// A learner still on a lesson counts as dropped once idle this long
+const ABANDONED_AFTER_DAYS = 14;
+const SCORE_BUCKETS = 10;
+const DEFAULT_TAG_LIMIT = 10;
+const MAX_TAG_LIMIT = 100;
+
+function percent(part, whole) {
+  return whole === 0 ? null : Math.round((part / whole) * 1000) / 10;
+}
+
+// Learners last seen in the range, per live lesson. A lesson is reached once
+// the learner's position is at or past it (or it was completed), and completed
+// by the same rule as GET /v1/me: only once it is in lesson_completions.
+async function lessonFunnel(db, trackId, range) {
+  const res = await db.query(
+    `WITH learners AS (
+       SELECT user_id, current_lesson_order, last_seen
+       FROM user_track_state
+       WHERE track_id = $1 AND last_seen >= $2 AND last_seen < $3
+     )
+     SELECT l.lesson_order,
+            l.title,
+            COUNT(ln.user_id) FILTER (
+              WHERE ln.current_lesson_order >= l.lesson_order OR lc.lesson_id IS NOT NULL
+            )::int AS reached,
+            COUNT(lc.lesson_id)::int AS completed,
+            COUNT(ln.user_id) FILTER (
+              WHERE ln.current_lesson_order = l.lesson_order AND lc.lesson_id IS NULL
+            )::int AS in_progress,
+            COUNT(ln.user_id) FILTER (
+              WHERE ln.current_lesson_order = l.lesson_order AND lc.lesson_id IS NULL
+                AND ln.last_seen < now() - make_interval(days => $4)
+            )::int AS dropped
+     FROM lessons l
+     LEFT JOIN learners ln ON true
+     LEFT JOIN lesson_completions lc ON lc.lesson_id = l.id AND lc.user_id = ln.user_id
+     WHERE l.track_id = $1
+     GROUP BY l.id
+     ORDER BY l.lesson_order`,
+    [trackId, range.start, range.end, ABANDONED_AFTER_DAYS]
+  );
+
+  // Finished learners have no lesson left without a completion
+  const learners = await db.query(
+    `SELECT COUNT(*)::int AS learners,
+            COUNT(*) FILTER (
+              WHERE NOT EXISTS (
+                SELECT 1
+                FROM lessons l
+                LEFT JOIN lesson_completions lc ON lc.lesson_id = l.id AND lc.user_id = uts.user_id
+                WHERE l.track_id = uts.track_id AND lc.lesson_id IS NULL
+              )
+            )::int AS completed_track
+     FROM user_track_state uts
+     WHERE uts.track_id = $1 AND uts.last_seen >= $2 AND uts.last_seen < $3`,
+    [trackId, range.start, range.end]
+  );
+
+  return {
+    ...learners.rows[0],
+    lessons: res.rows.map((row) => ({
+      ...row,
+      completion_pct: percent(row.completed, row.reached),
+      drop_off_pct: percent(row.dropped, row.reached)
+    }))
+  };
+}
+
+// Attempts per live lesson in the range. Passing uses the same thresholds as
+// mastery (lesson policy, then track policy, then the default) by attempt type.
+async function lessonStats(db, trackId, range) {
+  const res = await db.query(
+    `WITH scored AS (
+       SELECT a.lesson_id,
+              a.user_id,
+              a.duration_sec,
+              CASE WHEN a.max_score > 0 THEN a.score / a.max_score * 100 END AS score_pct,
+              COALESCE(
+                (l.mastery_policy->'thresholds'->>a.attempt_type)::numeric,
+                (t.mastery_policy->'thresholds'->>a.attempt_type)::numeric,
+                ($4::jsonb->>a.attempt_type)::numeric
+              ) AS threshold
+       FROM attempts a
+       JOIN lessons l ON l.id = a.lesson_id
+       JOIN tracks t ON t.id = l.track_id
+       WHERE l.track_id = $1 AND a.created_at >= $2 AND a.created_at < $3
+     )
+     SELECT l.id AS lesson_id,
+            l.lesson_order,
+            l.title,
+            COUNT(s.lesson_id)::int AS attempts,
+            COUNT(DISTINCT s.user_id)::int AS learners,
+            COUNT(s.score_pct)::int AS scored_attempts,
+            COUNT(s.score_pct) FILTER (WHERE s.score_pct >= s.threshold)::int AS passed_attempts,
+            ROUND(AVG(s.score_pct), 1)::float AS average_score_pct,
+            percentile_cont(0.5) WITHIN GROUP (ORDER BY s.duration_sec) AS median_duration_sec,
+            array_agg(LEAST(GREATEST(width_bucket(s.score_pct, 0, 100, $5), 1), $5))
+              FILTER (WHERE s.score_pct IS NOT NULL) AS buckets
+     FROM lessons l
+     LEFT JOIN scored s ON s.lesson_id = l.id
+     WHERE l.track_id = $1
+     GROUP BY l.id
+     ORDER BY l.lesson_order`,
+    [trackId, range.start, range.end, JSON.stringify(DEFAULT_POLICY.thresholds), SCORE_BUCKETS]
+  );
+
+  const width = 100 / SCORE_BUCKETS;
+  return res.rows.map(({ buckets, ...row }) => {
+    const counts = new Array(SCORE_BUCKETS).fill(0);
+    for (const bucket of buckets || []) counts[bucket - 1] += 1;
+    return {
+      ...row,
+      pass_rate_pct: percent(row.passed_attempts, row.scored_attempts),
+      score_distribution: counts.map((count, index) => ({
+        min_pct: index * width,
+        max_pct: (index + 1) * width,
+        attempts: count
+      }))
+    };
+  });
+}
+
+async function topWeakTags(db, trackId, range, limit = DEFAULT_TAG_LIMIT) {
+  const res = await db.query(
+    `SELECT tag,
+            COUNT(*)::int AS occurrences,
+            COUNT(DISTINCT a.user_id)::int AS learners
+     FROM attempts a
+     JOIN lessons l ON l.id = a.lesson_id
+     CROSS JOIN LATERAL jsonb_array_elements_text(a.weak_tags) AS tag
+     WHERE l.track_id = $1 AND a.created_at >= $2 AND a.created_at < $3
+       AND a.weak_tags <> '[]'::jsonb
+     GROUP BY tag
+     ORDER BY occurrences DESC, tag
+     LIMIT $4`,
+    [trackId, range.start, range.end, limit]
+  );
+  return res.rows;
+}
+
+module.exports = {
+  ABANDONED_AFTER_DAYS,
+  DEFAULT_TAG_LIMIT,
+  MAX_TAG_LIMIT,
+  lessonFunnel,
+  lessonStats,
+  topWeakTags
+};
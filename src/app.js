@@ -0,0 +1,3410 @@
+// app.js
+// Express app with every route. src/server.js checks the schema and listens;
+// tests mount the app directly.
+require("dotenv").config();
+const express = require("express");
+const cors = require("cors");
+const { z } = require("zod");
+const db = require("./db");
+const learnerToken = require("./learnerToken");
+const reviewScheduler = require("./reviewScheduler");
+const masteryPolicy = require("./masteryPolicy");
+const lessonGraph = require("./lessonGraph");
+const quizGrader = require("./quizGrader");
+const streaks = require("./streaks");
+const { masteryPolicySchema, lessonSeedSchema, seedLessons } = require("./lessonSeeding");
+const trackBundle = require("./trackBundle");
+const rateLimit = require("./rateLimit");
+const openapiContract = require("./openapiContract");
+const pacing = require("./pacing");
+const trackSearch = require("./trackSearch");
+const webhooks = require("./webhooks");
+const certificates = require("./certificates");
+const idempotency = require("./idempotency");
+const recoveryCodes = require("./recoveryCodes");
+const { mergeLearners } = require("./learnerMerge");
+const analytics = require("./analytics");
+const logger = require("./logger");
+const metrics = require("./metrics");
+const health = require("./health");
+const lessonContent = require("./lessonContent");
+
+const app = express();
+app.set("trust proxy", 1);
+
+// ---------- metrics ----------
+const metricsRegistry = metrics.createRegistry();
+const httpRequests = metricsRegistry.counter("http_requests_total", "HTTP requests by route and status.", [
+  "method",
+  "route",
+  "status"
+]);
+const httpDuration = metricsRegistry.histogram("http_request_duration_seconds", "HTTP request latency by route.", [
+  "method",
+  "route"
+]);
+metricsRegistry.gauge("pg_pool_connections", "Open Postgres pool connections.", () => [{ value: db.poolStats().total }]);
+metricsRegistry.gauge("pg_pool_idle_connections", "Idle Postgres pool connections.", () => [{ value: db.poolStats().idle }]);
+metricsRegistry.gauge("pg_pool_waiting_queries", "Queries waiting for a Postgres pool connection.", () => [
+  { value: db.poolStats().waiting }
+]);
+const attemptsSaved = metricsRegistry.counter("learn_attempts_total", "Attempts saved, by type and grader.", [
+  "attempt_type",
+  "graded_by"
+]);
+const lessonAdvancements = metricsRegistry.counter("learn_lesson_advancements_total", "Attempts that moved a learner to the next lesson.");
+const trackCompletions = metricsRegistry.counter("learn_track_completions_total", "Attempts that completed a track.");
+
+// Counted after COMMIT, so rolled-back and replayed attempts don't count
+function countAttempt(attempt, result) {
+  attemptsSaved.inc({ attempt_type: attempt.attempt_type, graded_by: attempt.graded_by });
+  if (result.advanced) lessonAdvancements.inc();
+  if (result.track_completed) trackCompletions.inc();
+}
+
+// Request ID, one log line and the HTTP metrics for every request
+app.use(
+  logger.requestLogger({
+    onFinish: ({ method, route, status, duration_ms }) => {
+      httpRequests.inc({ method, route, status });
+      httpDuration.observe({ method, route }, duration_ms / 1000);
+    }
+  })
+);
+app.use(cors());
+app.use(express.json());
+
+const RATE_LIMIT_WINDOW_MS = 15 * 60 * 1000;
+
+// RATE_LIMIT_STORE=postgres shares counters across restarts and instances
+const rateLimitStore = rateLimit.createStore(process.env.RATE_LIMIT_STORE || "memory", db);
+
+const ipKey = (req) => req.ip || req.connection?.remoteAddress || "unknown";
+
+const publicLimiter = rateLimit.createRateLimiter({
+  store: rateLimitStore,
+  name: "public-ip",
+  limit: Number(process.env.RATE_LIMIT_PUBLIC_MAX || 300),
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  keyFor: ipKey
+});
+const adminLimiter = rateLimit.createRateLimiter({
+  store: rateLimitStore,
+  name: "admin-ip",
+  limit: Number(process.env.RATE_LIMIT_ADMIN_MAX || 60),
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  keyFor: ipKey
+});
+// Recovery codes are the one credential that works without a Learner ID, so guesses get a tight budget
+const recoveryLimiter = rateLimit.createRateLimiter({
+  store: rateLimitStore,
+  name: "recovery-ip",
+  limit: Number(process.env.RATE_LIMIT_RECOVERY_MAX || 10),
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  keyFor: ipKey
+});
+// Keyed on a verified learner token only, so nobody can spend another learner's budget with a bare UUID
+const learnerLimiter = rateLimit.createRateLimiter({
+  store: rateLimitStore,
+  name: "learner",
+  limit: Number(process.env.RATE_LIMIT_LEARNER_MAX || 120),
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  keyFor: (req) => {
+    const verified = learnerToken.verifyLearnerToken(readLearnerToken(req));
+    return verified.valid ? verified.learnerId : null;
+  }
+});
+
+// ---------- helpers ----------
+async function ensureUser(userId) {
+  // If userId is missing, create a new user and return id
+  if (!userId) {
+    const created = await db.query(`INSERT INTO users DEFAULT VALUES RETURNING id`);
+    return created.rows[0].id;
+  }
+
+  // If provided, ensure exists
+  const found = await db.query(`SELECT id FROM users WHERE id = $1`, [userId]);
+  if (found.rowCount === 0) {
+    await db.query(`INSERT INTO users (id) VALUES ($1)`, [userId]);
+  }
+  return userId;
+}
+
+async function getTrackBySlug(slug) {
+  const res = await db.query(`SELECT * FROM tracks WHERE slug = $1`, [slug]);
+  return res.rows[0] || null;
+}
+
+// A learner's draft is private to them until they publish it. Admin drafts
+// (no owner) are unlisted but stay reachable by slug.
+function isTrackVisibleTo(track, userId) {
+  return !(track.status === "draft" && track.owner_user_id && track.owner_user_id !== userId);
+}
+
+// Custom track the learner owns, or null; learners can only edit these
+async function getOwnedTrack(slug, userId) {
+  const res = await db.query(`SELECT * FROM tracks WHERE slug = $1 AND track_type = 'custom' AND owner_user_id = $2`, [
+    slug,
+    userId
+  ]);
+  return res.rows[0] || null;
+}
+
+// Content snapshot stored in track_versions when a track is published
+async function buildTrackSnapshot(client, track) {
+  const lessons = await client.query(
+    `SELECT id, lesson_order, title, objectives, tags, source_urls, content_version
+     FROM lessons
+     WHERE track_id = $1
+     ORDER BY lesson_order`,
+    [track.id]
+  );
+
+  return {
+    track: {
+      slug: track.slug,
+      title: track.title,
+      official_sources: track.official_sources,
+      track_type: track.track_type,
+      status: track.status
+    },
+    lessons: lessons.rows
+  };
+}
+
+async function getTrackVersion(trackId, version) {
+  const res = await db.query(
+    `SELECT version, snapshot, notes, published_at
+     FROM track_versions
+     WHERE track_id = $1 AND version = $2`,
+    [trackId, version]
+  );
+  return res.rows[0] || null;
+}
+
+async function getLatestTrackVersion(trackId) {
+  const res = await db.query(
+    `SELECT version, snapshot, notes, published_at
+     FROM track_versions
+     WHERE track_id = $1
+     ORDER BY version DESC
+     LIMIT 1`,
+    [trackId]
+  );
+  return res.rows[0] || null;
+}
+
+// content_version is internal: next_lesson gets the blocks it points at, the
+// available_lessons list drops it
+function withoutContentVersion({ content_version, ...lesson }) {
+  return lesson;
+}
+
+async function withLessonContent(lesson) {
+  return {
+    ...withoutContentVersion(lesson),
+    content: await lessonContent.getLessonContent(db, lesson.id, lesson.content_version)
+  };
+}
+
+// Pacing recommendation for GET /v1/lessons/next from the learner's profile and
+// their recent attempts on this track
+async function buildPacing(userId, track) {
+  const profileRes = await db.query(
+    `SELECT timezone, daily_goal_type, daily_goal_target, weekly_minutes,
+            to_char(target_date, 'YYYY-MM-DD') AS target_date
+     FROM users
+     WHERE id = $1`,
+    [userId]
+  );
+  const profile = profileRes.rows[0];
+  const today = streaks.localDate(profile.timezone);
+
+  const attemptsRes = await db.query(
+    `SELECT a.lesson_id, a.attempt_type, a.score, a.max_score, a.duration_sec, a.weak_tags,
+            l.tags AS lesson_tags,
+            to_char((a.created_at AT TIME ZONE $3)::date, 'YYYY-MM-DD') AS date
+     FROM attempts a
+     JOIN lessons l ON l.id = a.lesson_id
+     WHERE a.user_id = $1 AND l.track_id = $2 AND a.created_at >= now() - make_interval(days => $4)
+     ORDER BY a.created_at, a.id`,
+    [userId, track.id, profile.timezone, pacing.RECENT_WINDOW_DAYS]
+  );
+  // Pass/fail against the track's thresholds (lesson overrides are not weighed here)
+  const { policy } = masteryPolicy.resolvePolicy(track.mastery_policy, null);
+  const attempts = attemptsRes.rows.map((attempt) => {
+    const scorePct = masteryPolicy.scorePercent(attempt);
+    return {
+      date: attempt.date,
+      lesson_id: attempt.lesson_id,
+      score_pct: scorePct,
+      passed: scorePct != null && scorePct >= policy.thresholds[attempt.attempt_type],
+      duration_sec: attempt.duration_sec,
+      weak_tags: attempt.weak_tags,
+      lesson_tags: attempt.lesson_tags
+    };
+  });
+
+  // Same completion rule as the track progress on GET /v1/me: a lesson counts once
+  // it is in lesson_completions, however far current_lesson_order has moved
+  const progressRes = await db.query(
+    `SELECT COUNT(l.id)::int AS total_lessons,
+            COUNT(lc.lesson_id)::int AS completed_lessons,
+            COUNT(l.id) FILTER (
+              WHERE (lc.completed_at AT TIME ZONE $3)::date = $4::date
+            )::int AS completed_today
+     FROM lessons l
+     JOIN user_track_state uts ON uts.track_id = l.track_id AND uts.user_id = $1
+     LEFT JOIN lesson_completions lc ON lc.lesson_id = l.id AND lc.user_id = $1
+     WHERE l.track_id = $2`,
+    [userId, track.id, profile.timezone, today]
+  );
+  const progress = progressRes.rows[0] || { total_lessons: 0, completed_lessons: 0, completed_today: 0 };
+
+  return pacing.recommendPacing({
+    today,
+    profile: {
+      weekly_minutes: profile.weekly_minutes,
+      target_date: profile.target_date,
+      daily_goal: { type: profile.daily_goal_type, target: profile.daily_goal_target }
+    },
+    attempts,
+    progress: {
+      remaining_lessons: progress.total_lessons - progress.completed_lessons,
+      completed_today: progress.completed_today
+    }
+  });
+}
+
+// Reschedules every tag touched by an attempt: the lesson's own tags plus any
+// weak_tags the client reported.
+async function recordTagReviews(queryable, userId, trackId, lessonTags, weakTags, scorePct) {
+  const weakTagSet = new Set(weakTags);
+  const tags = [...new Set([...lessonTags, ...weakTags])];
+  if (tags.length === 0) return;
+
+  const existing = await queryable.query(
+    `SELECT tag, easiness, interval_days, repetitions, lapses
+     FROM tag_reviews
+     WHERE user_id = $1 AND track_id = $2 AND tag = ANY($3::text[])`,
+    [userId, trackId, tags]
+  );
+  const previousByTag = new Map(existing.rows.map((row) => [row.tag, row]));
+  const now = new Date();
+
+  for (const tag of tags) {
+    const quality = reviewScheduler.qualityFromScore(scorePct, weakTagSet.has(tag));
+    if (quality == null) continue;
+
+    const next = reviewScheduler.scheduleReview(previousByTag.get(tag), quality, now);
+    await queryable.query(
+      `INSERT INTO tag_reviews
+         (user_id, track_id, tag, easiness, interval_days, repetitions, lapses, last_quality, last_reviewed_at, due_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       ON CONFLICT (user_id, track_id, tag) DO UPDATE
+       SET easiness = EXCLUDED.easiness,
+           interval_days = EXCLUDED.interval_days,
+           repetitions = EXCLUDED.repetitions,
+           lapses = EXCLUDED.lapses,
+           last_quality = EXCLUDED.last_quality,
+           last_reviewed_at = EXCLUDED.last_reviewed_at,
+           due_at = EXCLUDED.due_at`,
+      [userId, trackId, tag, next.easiness, next.interval_days, next.repetitions, next.lapses, quality, now, next.due_at]
+    );
+  }
+}
+
+async function getLessonForAttempt(lessonId) {
+  const lesson = await db.query(
+    `SELECT l.id, l.lesson_order, l.track_id, l.tags, l.mastery_policy,
+            t.slug AS track_slug,
+            t.mastery_policy AS track_mastery_policy,
+            t.status AS track_status,
+            t.owner_user_id AS track_owner_user_id,
+            EXISTS (SELECT 1 FROM quiz_items qi WHERE qi.lesson_id = l.id) AS has_quiz_items
+     FROM lessons l
+     JOIN tracks t ON t.id = l.track_id
+     WHERE l.id = $1`,
+    [lessonId]
+  );
+  return lesson.rows[0] || null;
+}
+
+function isLessonVisibleTo(lesson, userId) {
+  return isTrackVisibleTo({ status: lesson.track_status, owner_user_id: lesson.track_owner_user_id }, userId);
+}
+
+// Starts the learner on a track, or marks them seen on it. New learners start
+// on the latest published version.
+async function ensureTrackState(queryable, userId, trackId) {
+  await queryable.query(
+    `INSERT INTO user_track_state (user_id, track_id, last_seen, track_version)
+     VALUES ($1, $2, now(), (SELECT MAX(version) FROM track_versions WHERE track_id = $2))
+     ON CONFLICT (user_id, track_id) DO UPDATE SET last_seen = now()`,
+    [userId, trackId]
+  );
+}
+
+// Stores an attempt, then applies the lesson's mastery policy (completion +
+// advancement) and reschedules the touched tags for review. Call it inside a
+// transaction: the learner's track state is created when missing and stays
+// locked until COMMIT, so concurrent attempts on the track apply in turn.
+async function recordAttempt(client, userId, lesson, attempt) {
+  await ensureTrackState(client, userId, lesson.track_id);
+
+  const created = await client.query(
+    `INSERT INTO attempts (user_id, lesson_id, attempt_type, score, max_score, duration_sec, weak_tags, graded_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7::jsonb, $8)
+     RETURNING id, created_at`,
+    [
+      userId,
+      lesson.id,
+      attempt.attempt_type,
+      attempt.score,
+      attempt.max_score,
+      attempt.duration_sec,
+      JSON.stringify(attempt.weak_tags),
+      attempt.graded_by
+    ]
+  );
+
+  // Mastery rule: lesson policy, else track policy, else >= 70% on any attempt type.
+  // Lessons with quiz items only count attempts the server graded, so a
+  // self-reported score of any type can't master them.
+  const lessonAttempts = await client.query(
+    `SELECT attempt_type, score, max_score
+     FROM attempts
+     WHERE user_id = $1 AND lesson_id = $2 AND (graded_by = 'server' OR NOT $3::boolean)
+     ORDER BY created_at, id`,
+    [userId, lesson.id, lesson.has_quiz_items]
+  );
+  const mastery = masteryPolicy.evaluateMastery(
+    masteryPolicy.resolvePolicy(lesson.track_mastery_policy, lesson.mastery_policy),
+    lessonAttempts.rows
+  );
+
+  // Learners pinned to a published version advance along that version's order
+  let lessonOrder = lesson.lesson_order;
+  const pinned = await client.query(
+    `SELECT tv.snapshot
+     FROM user_track_state uts
+     JOIN track_versions tv ON tv.track_id = uts.track_id AND tv.version = uts.track_version
+     WHERE uts.user_id = $1 AND uts.track_id = $2`,
+    [userId, lesson.track_id]
+  );
+  if (pinned.rowCount > 0) {
+    const pinnedLesson = pinned.rows[0].snapshot.lessons.find((candidate) => candidate.id === lesson.id);
+    if (pinnedLesson) lessonOrder = pinnedLesson.lesson_order;
+  }
+
+  let advanced = false;
+  let newlyCompleted = false;
+  if (mastery.mastered) {
+    const completion = await client.query(
+      `INSERT INTO lesson_completions (user_id, lesson_id)
+       VALUES ($1, $2)
+       ON CONFLICT (user_id, lesson_id) DO NOTHING`,
+      [userId, lesson.id]
+    );
+    newlyCompleted = completion.rowCount === 1;
+    await client.query(
+      `UPDATE user_track_state
+       SET current_lesson_order = GREATEST(current_lesson_order, $3)
+       WHERE user_id = $1 AND track_id = $2`,
+      [userId, lesson.track_id, lessonOrder + 1]
+    );
+    advanced = true;
+  }
+
+  await recordTagReviews(client, userId, lesson.track_id, lesson.tags, attempt.weak_tags, masteryPolicy.scorePercent(attempt));
+
+  // A suggested review puts the lesson's tags at the front of the review queue
+  if (mastery.review_suggested && lesson.tags.length > 0) {
+    await client.query(
+      `UPDATE tag_reviews
+       SET due_at = now()
+       WHERE user_id = $1 AND track_id = $2 AND tag = ANY($3::text[])`,
+      [userId, lesson.track_id, lesson.tags]
+    );
+  }
+
+  // Completing the last lesson completes the track and earns its certificate
+  const trackCompleted = newlyCompleted && (await getTrackCompletion(client, userId, lesson.track_id)).complete;
+  const certificate = trackCompleted ? await issueTrackCertificate(client, userId, lesson.track_id) : null;
+
+  await queueAttemptEvents(client, userId, lesson, created.rows[0].id, attempt, {
+    mastered: mastery.mastered,
+    newlyCompleted,
+    nextLessonOrder: lessonOrder + 1,
+    trackCompleted,
+    certificate
+  });
+
+  return {
+    attempt_id: created.rows[0].id,
+    saved_at: created.rows[0].created_at,
+    advanced,
+    mastery,
+    track_completed: trackCompleted,
+    certificate
+  };
+}
+
+// A track is complete once every lesson is in lesson_completions, i.e. its
+// mastery policy was met. current_lesson_order only says how far the learner
+// has got: passing a later or unlocked lesson moves it past unmastered ones.
+async function getTrackCompletion(queryable, userId, trackId) {
+  const progress = await queryable.query(
+    `SELECT COUNT(l.id)::int AS total_lessons,
+            COUNT(lc.lesson_id)::int AS completed_lessons
+     FROM lessons l
+     LEFT JOIN lesson_completions lc ON lc.lesson_id = l.id AND lc.user_id = $1
+     WHERE l.track_id = $2`,
+    [userId, trackId]
+  );
+  const { total_lessons, completed_lessons } = progress.rows[0];
+  return { total_lessons, completed_lessons, complete: total_lessons > 0 && completed_lessons === total_lessons };
+}
+
+// Signed completion certificate for a learner who has completed every lesson
+// of a track, issued once per published version they are on. Returns null
+// while the track is incomplete or when CERTIFICATE_KEYS is not configured.
+async function issueTrackCertificate(queryable, userId, trackId) {
+  const completion = await getTrackCompletion(queryable, userId, trackId);
+  if (!completion.complete) return null;
+  if (!certificates.isConfigured()) {
+    logger.error({ event: "certificate-keys-missing", user_id: userId, track_id: trackId });
+    return null;
+  }
+
+  const stateRes = await queryable.query(
+    `SELECT uts.track_version, t.slug, t.title, u.timezone
+     FROM user_track_state uts
+     JOIN tracks t ON t.id = uts.track_id
+     JOIN users u ON u.id = uts.user_id
+     WHERE uts.user_id = $1 AND uts.track_id = $2`,
+    [userId, trackId]
+  );
+  if (stateRes.rowCount === 0) return null;
+  const state = stateRes.rows[0];
+
+  const findExisting = () =>
+    queryable.query(
+      `SELECT id, signed_payload
+       FROM certificates
+       WHERE user_id = $1 AND track_id = $2 AND COALESCE(track_version, 0) = COALESCE($3::int, 0)`,
+      [userId, trackId, state.track_version]
+    );
+  const existing = await findExisting();
+  if (existing.rowCount > 0) return certificates.summarize(existing.rows[0]);
+
+  const statsRes = await queryable.query(
+    `SELECT COUNT(a.id)::int AS attempts,
+            ROUND(AVG(a.score / a.max_score * 100) FILTER (WHERE a.max_score > 0), 1)::float AS average_score_pct,
+            (COALESCE(SUM(a.duration_sec), 0) / 60)::int AS study_minutes,
+            to_char(MIN(a.created_at AT TIME ZONE $3)::date, 'YYYY-MM-DD') AS started_on
+     FROM attempts a
+     JOIN lessons l ON l.id = a.lesson_id
+     WHERE a.user_id = $1 AND l.track_id = $2`,
+    [userId, trackId, state.timezone]
+  );
+
+  const signed = certificates.signCertificate({
+    learner_id: userId,
+    track: { slug: state.slug, title: state.title, version: state.track_version },
+    completed_on: streaks.localDate(state.timezone),
+    stats: { total_lessons: completion.total_lessons, ...statsRes.rows[0] }
+  });
+  const inserted = await queryable.query(
+    `INSERT INTO certificates (id, user_id, track_id, track_version, key_id, signed_payload, signature)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (user_id, track_id, (COALESCE(track_version, 0))) DO NOTHING
+     RETURNING id, signed_payload`,
+    [signed.id, userId, trackId, state.track_version, signed.key_id, signed.signed_payload, signed.signature]
+  );
+  // A concurrent request may have issued it first
+  const row = inserted.rows[0] || (await findExisting()).rows[0];
+
+  if (inserted.rowCount > 0) {
+    logger.info({ event: "issue-certificate", certificate_id: row.id, track_slug: state.slug });
+  }
+  return certificates.summarize(row);
+}
+
+// Webhook events for a recorded attempt. Lesson and track events fire only
+// the first time a lesson is completed; a lost streak is reported on the
+// learner's first attempt after it ended. Receivers get learner_hash, the hash
+// the logs use, never the Learner ID itself.
+async function queueAttemptEvents(
+  queryable,
+  userId,
+  lesson,
+  attemptId,
+  attempt,
+  { mastered, newlyCompleted, nextLessonOrder, trackCompleted, certificate }
+) {
+  const learnerHash = logger.hashLearnerId(userId);
+  await webhooks.enqueueEvent(queryable, "attempt.submitted", {
+    learner_hash: learnerHash,
+    attempt_id: attemptId,
+    track_slug: lesson.track_slug,
+    lesson_id: lesson.id,
+    attempt_type: attempt.attempt_type,
+    score: attempt.score,
+    max_score: attempt.max_score,
+    score_pct: masteryPolicy.scorePercent(attempt),
+    graded_by: attempt.graded_by,
+    mastered
+  });
+
+  if (newlyCompleted) {
+    await webhooks.enqueueEvent(queryable, "lesson.advanced", {
+      learner_hash: learnerHash,
+      track_slug: lesson.track_slug,
+      lesson_id: lesson.id,
+      next_lesson_order: nextLessonOrder
+    });
+  }
+
+  if (trackCompleted) {
+    await webhooks.enqueueEvent(queryable, "track.completed", {
+      learner_hash: learnerHash,
+      track_slug: lesson.track_slug,
+      certificate_id: certificate ? certificate.id : null
+    });
+  }
+
+  // The streak check aggregates every earlier attempt, so skip it when nobody listens
+  if (!(await webhooks.hasSubscribers(queryable, "streak.broken"))) return;
+
+  const profile = await queryable.query(`SELECT timezone, daily_goal_type, daily_goal_target FROM users WHERE id = $1`, [
+    userId
+  ]);
+  const { timezone, daily_goal_type, daily_goal_target } = profile.rows[0];
+  const earlierDays = await queryable.query(
+    `SELECT to_char((created_at AT TIME ZONE $3)::date, 'YYYY-MM-DD') AS date,
+            COUNT(*)::int AS attempts,
+            COALESCE(SUM(duration_sec), 0)::int AS seconds
+     FROM attempts
+     WHERE user_id = $1 AND id <> $2
+     GROUP BY 1
+     ORDER BY 1`,
+    [userId, attemptId, timezone]
+  );
+  const goal = { type: daily_goal_type, target: daily_goal_target };
+  const broken = streaks.brokenStreak(earlierDays.rows, goal, streaks.localDate(timezone));
+  if (broken) {
+    await webhooks.enqueueEvent(queryable, "streak.broken", {
+      learner_hash: learnerHash,
+      streak_length: broken.length,
+      last_active_date: broken.last_active_date,
+      daily_goal: goal
+    });
+  }
+}
+
+async function getUserIdFromQuery(req, res, options = {}) {
+  const hasLearnerId = Object.prototype.hasOwnProperty.call(req.query, "learner_id");
+  const hasUserId = Object.prototype.hasOwnProperty.call(req.query, "user_id");
+
+  if (!hasLearnerId && !hasUserId) return null;
+
+  let learnerId;
+  if (hasLearnerId && hasUserId) {
+    const parsedLearnerId = z.string().uuid().safeParse(req.query.learner_id);
+    const parsedUserId = z.string().uuid().safeParse(req.query.user_id);
+
+    if (!parsedLearnerId.success || !parsedUserId.success) {
+      res.status(400).json({ error: "learner_id/user_id must be a valid UUID" });
+      return null;
+    }
+
+    if (parsedLearnerId.data !== parsedUserId.data) {
+      res.status(400).json({ error: "learner_id and user_id must match when both are provided" });
+      return null;
+    }
+
+    learnerId = parsedLearnerId.data;
+  } else {
+    const selectedId = hasLearnerId ? req.query.learner_id : req.query.user_id;
+    const parsed = z.string().uuid().safeParse(selectedId);
+    if (!parsed.success) {
+      res.status(400).json({ error: "learner_id/user_id must be a valid UUID" });
+      return null;
+    }
+
+    learnerId = parsed.data;
+  }
+
+  const authenticated = await authenticateLearner(req, res, learnerId, options);
+  return authenticated ? learnerId : null;
+}
+
+function readLearnerToken(req) {
+  const headerToken = req.header("X-Learner-Token");
+  if (headerToken) return headerToken;
+  if (typeof req.query.learner_token === "string") return req.query.learner_token;
+  if (req.body && typeof req.body.learner_token === "string") return req.body.learner_token;
+  return null;
+}
+
+// Checks the signed learner token for learnerId. allowNew lets GET /v1/me create
+// a learner for a UUID nobody has used yet. Existing learners that have never
+// been issued a token (token_version = 0) get their first one from an admin,
+// so nobody else who knows the UUID can claim it first.
+async function authenticateLearner(req, res, learnerId, { allowNew = false } = {}) {
+  const found = await db.query(`SELECT token_version FROM users WHERE id = $1`, [learnerId]);
+  const user = found.rows[0] || null;
+
+  if (allowNew && !user) {
+    return true;
+  }
+  if (user && user.token_version === 0) {
+    res.status(401).json({
+      error: "This Learner ID has never been issued a learner token. Ask an admin to issue its first one."
+    });
+    return false;
+  }
+
+  const error = learnerTokenError(readLearnerToken(req), learnerId, user);
+  if (error) {
+    res.status(401).json({ error });
+    return false;
+  }
+
+  return true;
+}
+
+// Why token does not authenticate learnerId (user is its users row, or null),
+// or null when it does
+function learnerTokenError(token, learnerId, user) {
+  const verified = learnerToken.verifyLearnerToken(token);
+  if (!verified.valid) {
+    return verified.reason === "missing"
+      ? "Learner token required. Call GET /v1/me with your Learner ID to get one."
+      : verified.reason === "expired"
+        ? "Learner token expired. Call GET /v1/me to get a new one."
+        : "Invalid learner token";
+  }
+
+  if (!user || verified.learnerId !== learnerId || verified.tokenVersion !== user.token_version) {
+    return "Learner token does not match this Learner ID or has been rotated";
+  }
+
+  return null;
+}
+
+// Issues a token bound to the user's current token_version. Rotating bumps the
+// version, which invalidates every token issued before it.
+async function issueLearnerTokenForUser(userId, { rotate = false } = {}) {
+  const updated = await db.query(
+    `UPDATE users
+     SET token_version = CASE WHEN $2 OR token_version = 0 THEN token_version + 1 ELSE token_version END
+     WHERE id = $1
+     RETURNING token_version`,
+    [userId, rotate]
+  );
+  const issued = learnerToken.issueLearnerToken(userId, updated.rows[0].token_version);
+
+  return {
+    learner_token: issued.token,
+    learner_token_expires_at: issued.expires_at
+  };
+}
+
+function requireLearnerTokenKeys(req, res, next) {
+  if (!learnerToken.isConfigured()) {
+    return res.status(500).json({ error: "LEARNER_TOKEN_KEYS is not configured on the server." });
+  }
+
+  return next();
+}
+
+function requireMetricsToken(req, res, next) {
+  const configuredToken = process.env.METRICS_TOKEN;
+  if (!configuredToken) {
+    return res.status(500).json({ error: "METRICS_TOKEN is not configured on the server." });
+  }
+
+  if (req.header("Authorization") !== `Bearer ${configuredToken}`) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  return next();
+}
+
+function requireAdminKey(req, res, next) {
+  const configuredKey = process.env.ADMIN_KEY;
+  if (!configuredKey) {
+    return res.status(500).json({ error: "ADMIN_KEY is not configured on the server." });
+  }
+
+  const providedKey = req.header("X-ADMIN-KEY");
+  if (providedKey !== configuredKey) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  return next();
+}
+
+// ---------- learner views ----------
+// Shared by the single routes and POST /v1/session
+
+// Streak, daily goal, activity calendar and track progress for GET /v1/me.
+// range holds optional from/to local dates; returns { error } when they are out of bounds.
+async function buildDashboard(userId, range) {
+  const profile = await db.query(
+    `SELECT timezone, daily_goal_type, daily_goal_target, weekly_minutes,
+            to_char(target_date, 'YYYY-MM-DD') AS target_date
+     FROM users
+     WHERE id = $1`,
+    [userId]
+  );
+  const { timezone, weekly_minutes, target_date } = profile.rows[0];
+  const goal = { type: profile.rows[0].daily_goal_type, target: profile.rows[0].daily_goal_target };
+
+  // Heatmap range in the learner's local dates: defaults to the last 30 days
+  const today = streaks.localDate(timezone);
+  const to = range.to || today;
+  const from = range.from || streaks.addDays(to, -29);
+  if (from > to || streaks.daysBetween(from, to) > 365) {
+    return { error: "from must be on or before to, at most 366 days apart" };
+  }
+
+  // Streak/basic activity (simple: count attempts in last 7 days)
+  const attempts = await db.query(
+    `SELECT COUNT(*)::int AS attempts_7d
+     FROM attempts
+     WHERE user_id = $1 AND created_at >= now() - interval '7 days'`,
+    [userId]
+  );
+
+  const activityRes = await db.query(
+    `SELECT to_char((created_at AT TIME ZONE $2)::date, 'YYYY-MM-DD') AS date,
+            COUNT(*)::int AS attempts,
+            COALESCE(SUM(duration_sec), 0)::int AS seconds
+     FROM attempts
+     WHERE user_id = $1
+     GROUP BY 1
+     ORDER BY 1`,
+    [userId, timezone]
+  );
+  const activityDays = activityRes.rows;
+  const progressToday = streaks.goalProgress(
+    activityDays.find((day) => day.date === today),
+    goal
+  );
+
+  const recovery = await db.query(
+    `SELECT COUNT(*)::int AS remaining FROM recovery_codes WHERE user_id = $1 AND used_at IS NULL`,
+    [userId]
+  );
+
+  const trackProgress = await db.query(
+    `SELECT t.slug,
+            t.title,
+            uts.current_lesson_order,
+            uts.last_seen,
+            COUNT(l.id)::int AS total_lessons,
+            COUNT(lc.lesson_id)::int AS completed_lessons
+     FROM user_track_state uts
+     JOIN tracks t ON t.id = uts.track_id
+     LEFT JOIN lessons l ON l.track_id = t.id
+     LEFT JOIN lesson_completions lc ON lc.lesson_id = l.id AND lc.user_id = uts.user_id
+     WHERE uts.user_id = $1
+     GROUP BY t.id, uts.current_lesson_order, uts.last_seen
+     ORDER BY uts.last_seen DESC NULLS LAST, t.title`,
+    [userId]
+  );
+
+  return {
+    attempts_7d: attempts.rows[0].attempts_7d,
+    timezone,
+    streak: streaks.computeStreaks(activityDays, goal, today),
+    daily_goal: {
+      ...goal,
+      progress_today: progressToday,
+      met_today: progressToday >= goal.target
+    },
+    weekly_minutes,
+    target_date,
+    recovery_codes_remaining: recovery.rows[0].remaining,
+    activity: {
+      from,
+      to,
+      days: streaks.buildActivityCalendar(activityDays, goal, from, to)
+    },
+    tracks: trackProgress.rows.map((row) => ({
+      ...row,
+      completion_pct: row.total_lessons === 0 ? 0 : Math.round((row.completed_lessons / row.total_lessons) * 1000) / 10
+    }))
+  };
+}
+
+// Tracks with recent attempts, most recent first
+async function buildResume(userId) {
+  const recentActivity = await db.query(
+    `SELECT
+       recent.track_slug,
+       recent.track_title,
+       recent.last_attempt_at,
+       recent.last_lesson_order
+     FROM (
+       SELECT DISTINCT ON (t.id)
+         t.slug AS track_slug,
+         t.title AS track_title,
+         a.created_at AS last_attempt_at,
+         l.lesson_order::int AS last_lesson_order
+       FROM attempts a
+       JOIN lessons l ON l.id = a.lesson_id
+       JOIN tracks t ON t.id = l.track_id
+       WHERE a.user_id = $1
+       ORDER BY t.id, a.created_at DESC, a.id DESC
+     ) recent
+     ORDER BY recent.last_attempt_at DESC
+     LIMIT 10`,
+    [userId]
+  );
+
+  const message =
+    recentActivity.rowCount === 0
+      ? "No activity yet. Start a lesson to begin tracking progress."
+      : "Resume from your most recent tracks.";
+
+  return { recent_activity: recentActivity.rows, message };
+}
+
+// Starts or resumes the learner on track and picks what to study next: the
+// lesson at current_lesson_order on linear tracks, the unlocked lessons ranked
+// by what they unblock on tracks with prerequisites
+async function buildNextLesson(userId, track) {
+  await ensureTrackState(db, userId, track.id);
+
+  const stateRes = await db.query(
+    `SELECT current_lesson_order, track_version FROM user_track_state WHERE user_id = $1 AND track_id = $2`,
+    [userId, track.id]
+  );
+  const currentOrder = stateRes.rows[0].current_lesson_order;
+  const trackSummary = { slug: track.slug, title: track.title, official_sources: track.official_sources };
+
+  // Pinned learners see the content and order of their published version
+  const pinnedVersion = stateRes.rows[0].track_version;
+  const latestVersion = await getLatestTrackVersion(track.id);
+  const pinnedSnapshot = pinnedVersion ? (await getTrackVersion(track.id, pinnedVersion)).snapshot : null;
+  const trackVersion = {
+    pinned: pinnedVersion,
+    latest: latestVersion ? latestVersion.version : null,
+    update_available: pinnedVersion != null && latestVersion != null && latestVersion.version > pinnedVersion
+  };
+  const pacingPlan = await buildPacing(userId, track);
+
+  const edgesRes = await db.query(
+    `SELECT lp.lesson_id, lp.prerequisite_lesson_id
+     FROM lesson_prerequisites lp
+     JOIN lessons l ON l.id = lp.lesson_id
+     WHERE l.track_id = $1`,
+    [track.id]
+  );
+
+  // Tracks without prerequisite edges stay strictly linear on lesson_order
+  if (edgesRes.rowCount === 0) {
+    const trackLessons = pinnedSnapshot
+      ? pinnedSnapshot.lessons
+      : (
+          await db.query(
+            `SELECT id, lesson_order, title, objectives, tags, source_urls, content_version
+             FROM lessons
+             WHERE track_id = $1
+             ORDER BY lesson_order`,
+            [track.id]
+          )
+        ).rows;
+    let lesson = trackLessons.find((candidate) => candidate.lesson_order === currentOrder) || null;
+
+    // Passing a later lesson moves current_lesson_order past lessons that were
+    // never mastered; the learner goes back to the first of them
+    if (!lesson) {
+      const completedRes = await db.query(
+        `SELECT lc.lesson_id
+         FROM lesson_completions lc
+         JOIN lessons l ON l.id = lc.lesson_id
+         WHERE lc.user_id = $1 AND l.track_id = $2`,
+        [userId, track.id]
+      );
+      const completedIds = new Set(completedRes.rows.map((row) => row.lesson_id));
+      lesson = trackLessons.find((candidate) => !completedIds.has(candidate.id)) || null;
+    }
+
+    // With every lesson mastered the track is complete; with no lessons at all it still needs seeding
+    if (!lesson) {
+      const completed = (await getTrackCompletion(db, userId, track.id)).complete;
+      const certificate = completed ? await issueTrackCertificate(db, userId, track.id) : null;
+      return {
+        track: trackSummary,
+        track_version: trackVersion,
+        mode: "linear",
+        next_lesson: null,
+        available_lessons: [],
+        locked_count: 0,
+        pacing: pacingPlan,
+        ...(certificate ? { certificate } : {}),
+        message: completed
+          ? "All lessons in this track are complete."
+          : "No lessons found for this track yet. Seed lessons in the lessons table."
+      };
+    }
+
+    return {
+      track: trackSummary,
+      track_version: trackVersion,
+      mode: "linear",
+      next_lesson: await withLessonContent(lesson),
+      available_lessons: [{ ...withoutContentVersion(lesson), unlocks: 0, rank: 1 }],
+      locked_count: 0,
+      pacing: pacingPlan
+    };
+  }
+
+  const lessonsRes = await db.query(
+    `SELECT id, lesson_order, title, objectives, tags, source_urls, content_version
+     FROM lessons
+     WHERE track_id = $1
+     ORDER BY lesson_order`,
+    [track.id]
+  );
+  // Prerequisites may live in other tracks, so completions are not filtered by track
+  const completedRes = await db.query(
+    `SELECT lesson_id
+     FROM lesson_completions
+     WHERE user_id = $1 AND lesson_id = ANY($2::uuid[])`,
+    [
+      userId,
+      [...lessonsRes.rows.map((lesson) => lesson.id), ...edgesRes.rows.map((edge) => edge.prerequisite_lesson_id)]
+    ]
+  );
+  const completedIds = new Set(completedRes.rows.map((row) => row.lesson_id));
+  const pinnedById = new Map((pinnedSnapshot ? pinnedSnapshot.lessons : []).map((lesson) => [lesson.id, lesson]));
+  const { available, locked_count } = lessonGraph.rankUnlockedLessons(
+    // Snapshots published before content versions existed pin no content
+    lessonsRes.rows.map((lesson) =>
+      pinnedById.has(lesson.id) ? { ...lesson, content_version: null, ...pinnedById.get(lesson.id) } : lesson
+    ),
+    edgesRes.rows,
+    completedIds
+  );
+
+  let message;
+  let certificate = null;
+  if (available.length === 0) {
+    message =
+      locked_count > 0
+        ? "Remaining lessons are locked until their prerequisites (possibly in other tracks) are completed."
+        : "All lessons in this track are complete.";
+    certificate = locked_count === 0 ? await issueTrackCertificate(db, userId, track.id) : null;
+  }
+
+  return {
+    track: trackSummary,
+    track_version: trackVersion,
+    mode: "graph",
+    next_lesson: available[0] ? await withLessonContent(available[0]) : null,
+    available_lessons: available.map(withoutContentVersion),
+    locked_count,
+    pacing: pacingPlan,
+    ...(certificate ? { certificate } : {}),
+    ...(message ? { message } : {})
+  };
+}
+
+// Due tags for track, weakest first, and up to limit past lessons that cover them
+async function buildDueReviews(userId, track, limit) {
+  const dueRes = await db.query(
+    `SELECT tag, easiness::float AS easiness, interval_days, repetitions, lapses, last_reviewed_at, due_at
+     FROM tag_reviews
+     WHERE user_id = $1 AND track_id = $2 AND due_at <= now()
+     ORDER BY due_at`,
+    [userId, track.id]
+  );
+
+  const now = new Date();
+  const dueTags = dueRes.rows
+    .map((review) => ({ ...review, weakness: Math.round(reviewScheduler.tagWeakness(review, now) * 100) / 100 }))
+    .sort((a, b) => b.weakness - a.weakness);
+
+  // Only lessons the learner has already reached are eligible for review
+  const pastLessons = await db.query(
+    `SELECT l.id, l.lesson_order, l.title, l.objectives, l.tags, l.source_urls
+     FROM lessons l
+     LEFT JOIN user_track_state uts ON uts.track_id = l.track_id AND uts.user_id = $1
+     WHERE l.track_id = $2
+       AND (
+         l.lesson_order < COALESCE(uts.current_lesson_order, 1)
+         OR EXISTS (SELECT 1 FROM attempts a WHERE a.lesson_id = l.id AND a.user_id = $1)
+       )
+     ORDER BY l.lesson_order`,
+    [userId, track.id]
+  );
+
+  const reviewItems = reviewScheduler
+    .rankReviewLessons(dueTags, pastLessons.rows, now)
+    .slice(0, limit);
+
+  return {
+    track: { slug: track.slug, title: track.title },
+    due_tags: dueTags,
+    review_items: reviewItems,
+    message:
+      reviewItems.length === 0
+        ? "Nothing due for review in this track right now."
+        : "Mix these review lessons into the session, weakest first."
+  };
+}
+
+// Tracks the learner has started and not yet completed, most recently seen first
+async function listActiveTracks(userId, limit) {
+  const started = await db.query(
+    `SELECT t.*
+     FROM user_track_state uts
+     JOIN tracks t ON t.id = uts.track_id
+     WHERE uts.user_id = $1
+     ORDER BY uts.last_seen DESC NULLS LAST, t.title`,
+    [userId]
+  );
+
+  const active = [];
+  for (const track of started.rows) {
+    if (active.length === limit) break;
+    if (!isTrackVisibleTo(track, userId)) continue;
+    if ((await getTrackCompletion(db, userId, track.id)).complete) continue;
+    active.push(track);
+  }
+  return active;
+}
+
+// ---------- routes ----------
+app.use((req, res, next) => {
+  if (req.path.startsWith("/v1/internal")) {
+    return next();
+  }
+  return publicLimiter(req, res, next);
+});
+app.use(learnerLimiter);
+// Checks requests and responses against openapi.yaml (OPENAPI_VALIDATION=off|log|enforce)
+app.use(openapiContract.createContractMiddleware({ mode: process.env.OPENAPI_VALIDATION || "off" }));
+
+app.get("/health", (req, res) => {
+  res.json({ ok: true, message: "API is alive 🫡" });
+});
+
+// Liveness: the process is up. It stays 200 while draining, so the platform
+// doesn't restart an instance that is already shutting down.
+app.get("/health/live", (req, res) => {
+  return res.json({ ok: true, uptime_sec: Math.round(process.uptime()) });
+});
+
+// Readiness: safe to send traffic here. 503 while draining or when a check fails.
+app.get("/health/ready", async (req, res) => {
+  const draining = Boolean(req.app.get("draining"));
+  const { ready, checks, errors } = await health.checkReadiness(db);
+  if (!ready) logger.error({ event: "readiness-check-failed", checks, errors });
+
+  const ok = ready && !draining;
+  return res.status(ok ? 200 : 503).json({ ready: ok, draining, checks });
+});
+
+// Prometheus scrape target; counters are per process
+app.get("/metrics", requireMetricsToken, (req, res) => {
+  res.type(metrics.CONTENT_TYPE);
+  return res.send(metricsRegistry.render());
+});
+
+app.get("/openapi.yaml", (req, res) => {
+  return res.sendFile(openapiContract.SPEC_PATH);
+});
+
+app.get("/openapi.json", (req, res) => {
+  res.json(openapiContract.spec);
+});
+
+// List tracks. visibility=public (default) lists published tracks, mine the
+// learner's own tracks in any status, and all (admin key) every track.
+// q runs a full-text search (best matches first); pages follow next_cursor.
+app.get("/v1/tracks", async (req, res) => {
+  const schema = z.object({
+    visibility: z.enum(["public", "mine", "all"]).default("public"),
+    status: z.enum(["draft", "active", "archived"]).optional(),
+    track_type: z.enum(["official", "custom"]).optional(),
+    q: z.string().trim().min(1).max(200).optional(),
+    tag: z.string().trim().min(1).max(100).optional(),
+    limit: z.coerce.number().int().min(1).max(trackSearch.MAX_PAGE_SIZE).default(trackSearch.DEFAULT_PAGE_SIZE),
+    cursor: z.string().min(1).optional()
+  });
+
+  const parsed = schema.safeParse({
+    visibility: req.query.visibility,
+    status: req.query.status,
+    track_type: req.query.track_type,
+    q: req.query.q,
+    tag: req.query.tag,
+    limit: req.query.limit,
+    cursor: req.query.cursor
+  });
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const { visibility, track_type, q, tag, limit } = parsed.data;
+  let { status } = parsed.data;
+  let ownerId = null;
+  let viewerId = null;
+
+  if (visibility === "all") {
+    if (!process.env.ADMIN_KEY || req.header("X-ADMIN-KEY") !== process.env.ADMIN_KEY) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+  } else {
+    viewerId = await getUserIdFromQuery(req, res);
+    const hasLearnerId = Object.prototype.hasOwnProperty.call(req.query, "learner_id");
+    const hasUserId = Object.prototype.hasOwnProperty.call(req.query, "user_id");
+    if ((hasUserId || hasLearnerId) && !viewerId) return;
+    if (visibility === "mine") {
+      if (!viewerId) return res.status(400).json({ error: "Missing ?learner_id=" });
+      ownerId = viewerId;
+    } else if (status === "draft") {
+      return res.status(400).json({ error: "Drafts are private. Use visibility=mine or visibility=all." });
+    } else {
+      status = status || "active";
+    }
+  }
+
+  const filters = { visibility, owner: ownerId, status, track_type, q, tag };
+  let after = null;
+  if (parsed.data.cursor) {
+    after = trackSearch.decodeCursor(parsed.data.cursor, filters);
+    if (!after) return res.status(400).json({ error: "Invalid cursor. Restart the listing without one." });
+  }
+
+  // Keyset pagination on (rank DESC, title, id); rank is NULL without q
+  const tracks = await db.query(
+    `WITH matches AS (
+       SELECT t.id, t.slug, t.title, t.official_sources, t.track_type, t.owner_user_id, t.status,
+              CASE WHEN t.status = 'draft' THEN 'private' ELSE 'public' END AS visibility,
+              (SELECT COUNT(*)::int FROM lessons l WHERE l.track_id = t.id) AS lesson_count,
+              CASE WHEN $4::text IS NULL THEN NULL
+                   ELSE ts_rank(t.search_vector, websearch_to_tsquery('english', $4)) END AS rank
+       FROM tracks t
+       WHERE ($1::uuid IS NULL OR t.owner_user_id = $1)
+         AND ($2::text IS NULL OR t.status = $2)
+         AND ($3::text IS NULL OR t.track_type = $3)
+         AND ($4::text IS NULL OR t.search_vector @@ websearch_to_tsquery('english', $4))
+         AND ($5::text IS NULL OR EXISTS (SELECT 1 FROM lessons l WHERE l.track_id = t.id AND l.tags ? $5))
+     )
+     SELECT *
+     FROM matches
+     WHERE $8::uuid IS NULL
+        OR ($4::text IS NULL AND (title, id) > ($7::text, $8::uuid))
+        OR ($4::text IS NOT NULL AND (rank < $6::real OR (rank = $6::real AND (title, id) > ($7::text, $8::uuid))))
+     ORDER BY rank DESC NULLS LAST, title, id
+     LIMIT $9`,
+    [
+      ownerId,
+      status ?? null,
+      track_type ?? null,
+      q ?? null,
+      tag ?? null,
+      after ? after.rank : null,
+      after ? after.title : null,
+      after ? after.id : null,
+      limit + 1
+    ]
+  );
+
+  const page = tracks.rows.slice(0, limit);
+  const nextCursor = tracks.rows.length > limit ? trackSearch.encodeCursor(filters, page[page.length - 1]) : null;
+  // Owners are Learner IDs: only admins see them, learners just learn which tracks are theirs
+  res.json({
+    tracks: page.map(({ rank, owner_user_id: ownerUserId, ...track }) => {
+      if (visibility === "all") return { ...track, owner_user_id: ownerUserId };
+      return viewerId ? { ...track, is_mine: ownerUserId === viewerId } : track;
+    }),
+    next_cursor: nextCursor
+  });
+});
+
+// Track detail with its lesson outline. With learner_id (and token) the
+// outline marks completed lessons and progress summarizes the learner's state.
+app.get("/v1/tracks/:slug", async (req, res) => {
+  const parsedUserId = await getUserIdFromQuery(req, res);
+  const hasLearnerId = Object.prototype.hasOwnProperty.call(req.query, "learner_id");
+  const hasUserId = Object.prototype.hasOwnProperty.call(req.query, "user_id");
+  if ((hasUserId || hasLearnerId) && !parsedUserId) return;
+
+  const isAdmin = Boolean(process.env.ADMIN_KEY) && req.header("X-ADMIN-KEY") === process.env.ADMIN_KEY;
+  const track = await getTrackBySlug(req.params.slug.toLowerCase());
+  if (!track || !(isAdmin || isTrackVisibleTo(track, parsedUserId))) {
+    return res.status(404).json({ error: "Track not found" });
+  }
+
+  const latestVersion = await getLatestTrackVersion(track.id);
+  const lessonsRes = await db.query(
+    `SELECT l.id, l.lesson_order, l.title, l.objectives, l.tags, l.source_urls,
+            EXISTS (SELECT 1 FROM quiz_items qi WHERE qi.lesson_id = l.id) AS has_quiz,
+            COALESCE(
+              (SELECT jsonb_agg(jsonb_build_object('track_slug', pt.slug, 'lesson_order', p.lesson_order)
+                                ORDER BY pt.slug, p.lesson_order)
+               FROM lesson_prerequisites lp
+               JOIN lessons p ON p.id = lp.prerequisite_lesson_id
+               JOIN tracks pt ON pt.id = p.track_id
+               WHERE lp.lesson_id = l.id),
+              '[]'::jsonb
+            ) AS prerequisites,
+            lc.lesson_id IS NOT NULL AS has_completion
+     FROM lessons l
+     LEFT JOIN lesson_completions lc ON lc.lesson_id = l.id AND lc.user_id = $2
+     WHERE l.track_id = $1
+     ORDER BY l.lesson_order`,
+    [track.id, parsedUserId]
+  );
+
+  let state = null;
+  if (parsedUserId) {
+    const stateRes = await db.query(
+      `SELECT current_lesson_order, last_seen, track_version
+       FROM user_track_state
+       WHERE user_id = $1 AND track_id = $2`,
+      [parsedUserId, track.id]
+    );
+    state = stateRes.rows[0] || null;
+  }
+
+  // Same completion rule as the track progress on GET /v1/me: only mastered lessons count
+  const lessons = lessonsRes.rows.map(({ has_completion, ...lesson }) => ({
+    ...lesson,
+    completed: parsedUserId ? has_completion : null
+  }));
+
+  let progress = null;
+  if (parsedUserId) {
+    const completedLessons = lessons.filter((lesson) => lesson.completed).length;
+    progress = {
+      started: state != null,
+      current_lesson_order: state ? state.current_lesson_order : null,
+      last_seen: state ? state.last_seen : null,
+      track_version: state ? state.track_version : null,
+      total_lessons: lessons.length,
+      completed_lessons: completedLessons,
+      completion_pct: lessons.length === 0 ? 0 : Math.round((completedLessons / lessons.length) * 1000) / 10
+    };
+  }
+
+  // The owner is a Learner ID: admins get it, a learner only learns whether the track is theirs
+  let ownerView = {};
+  if (isAdmin) ownerView = { owner_user_id: track.owner_user_id };
+  else if (parsedUserId) ownerView = { is_mine: track.owner_user_id === parsedUserId };
+
+  return res.json({
+    track: {
+      id: track.id,
+      slug: track.slug,
+      title: track.title,
+      official_sources: track.official_sources,
+      track_type: track.track_type,
+      ...ownerView,
+      status: track.status,
+      visibility: track.status === "draft" ? "private" : "public",
+      lesson_count: lessons.length
+    },
+    latest_version: latestVersion ? latestVersion.version : null,
+    lessons,
+    progress
+  });
+});
+
+async function getCertificate(id) {
+  const found = await db.query(`SELECT id, key_id, signed_payload, signature FROM certificates WHERE id = $1`, [id]);
+  return found.rows[0] || null;
+}
+
+// Public check that a certificate was issued by this API and is unaltered.
+// Anyone with the id may call it; the Learner ID is never shown.
+app.get("/v1/certificates/:id/verify", async (req, res) => {
+  const parsedId = z.string().uuid().safeParse(req.params.id);
+  if (!parsedId.success) return res.status(400).json({ error: "Certificate id must be a valid UUID" });
+
+  const row = await getCertificate(parsedId.data);
+  if (!row) return res.status(404).json({ error: "Certificate not found" });
+
+  const verified = certificates.verifyCertificate(row);
+  if (!verified.valid) return res.json({ valid: false, reason: verified.reason, certificate: null });
+  return res.json({ valid: true, certificate: certificates.publicView(verified.payload, row.key_id) });
+});
+
+// Printable certificate (format=html, the default, or pdf). Only certificates
+// that still verify are rendered.
+app.get("/v1/certificates/:id", async (req, res) => {
+  const parsedId = z.string().uuid().safeParse(req.params.id);
+  if (!parsedId.success) return res.status(400).json({ error: "Certificate id must be a valid UUID" });
+  const format = req.query.format || "html";
+  if (!["html", "pdf"].includes(format)) return res.status(400).json({ error: "format must be html or pdf" });
+
+  const row = await getCertificate(parsedId.data);
+  if (!row) return res.status(404).json({ error: "Certificate not found" });
+
+  const verified = certificates.verifyCertificate(row);
+  if (!verified.valid) {
+    return res.status(409).json({ error: "Certificate does not verify", reason: verified.reason });
+  }
+
+  const view = certificates.publicView(verified.payload, row.key_id);
+  if (format === "pdf") {
+    res.attachment(`certificate-${row.id}.pdf`);
+    return res.type("application/pdf").send(certificates.renderPdf(view));
+  }
+  return res.type("html").send(certificates.renderHtml(view));
+});
+
+// Create track (admin-only)
+app.post("/v1/tracks", requireAdminKey, async (req, res) => {
+  const schema = z.object({
+    slug: z.string().min(2).max(50),
+    title: z.string().min(2).max(100),
+    official_sources: z.array(z.string().url()).optional()
+  });
+
+  const parsed = schema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const { slug, title, official_sources = [] } = parsed.data;
+
+  try {
+    const created = await db.query(
+      `INSERT INTO tracks (slug, title, official_sources)
+       VALUES ($1, $2, $3::jsonb)
+       RETURNING id, slug, title, official_sources, track_type, owner_user_id, status`,
+      [slug.toLowerCase(), title, JSON.stringify(official_sources)]
+    );
+    res.status(201).json({ track: created.rows[0] });
+  } catch (e) {
+    res.status(400).json({ error: "Track slug already exists or invalid data." });
+  }
+});
+
+app.use("/v1/internal", adminLimiter, requireAdminKey);
+
+app.post("/v1/internal/ensure-track", async (req, res) => {
+  const schema = z.object({
+    slug: z.string().min(2).max(50),
+    title: z.string().min(2).max(100),
+    official_sources: z.array(z.string().url()).optional(),
+    track_type: z.enum(["official", "custom"]).optional(),
+    owner_user_id: z.string().uuid().nullable().optional(),
+    status: z.enum(["draft", "active", "archived"]).optional()
+  });
+
+  const parsed = schema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const payload = parsed.data;
+  const slug = payload.slug.toLowerCase();
+  const hasOfficialSources = Object.prototype.hasOwnProperty.call(payload, "official_sources");
+  const hasTrackType = Object.prototype.hasOwnProperty.call(payload, "track_type");
+  const hasOwnerUserId = Object.prototype.hasOwnProperty.call(payload, "owner_user_id");
+  const hasStatus = Object.prototype.hasOwnProperty.call(payload, "status");
+
+  try {
+    if (hasOwnerUserId && payload.owner_user_id) {
+      await ensureUser(payload.owner_user_id);
+    }
+
+    const existing = await db.query(`SELECT id FROM tracks WHERE slug = $1`, [slug]);
+
+    const saved = await db.query(
+      `INSERT INTO tracks (slug, title, official_sources, track_type, owner_user_id, status)
+       VALUES (
+         $1,
+         $2,
+         COALESCE($3::jsonb, '[]'::jsonb),
+         COALESCE($4, 'custom'),
+         $5,
+         COALESCE($6, 'draft')
+       )
+       ON CONFLICT (slug) DO UPDATE
+       SET title = EXCLUDED.title,
+           official_sources = CASE WHEN $7 THEN EXCLUDED.official_sources ELSE tracks.official_sources END,
+           track_type = CASE WHEN $8 THEN EXCLUDED.track_type ELSE tracks.track_type END,
+           owner_user_id = CASE WHEN $9 THEN EXCLUDED.owner_user_id ELSE tracks.owner_user_id END,
+           status = CASE WHEN $10 THEN EXCLUDED.status ELSE tracks.status END
+       RETURNING id, slug, title, official_sources, track_type, owner_user_id, status`,
+      [
+        slug,
+        payload.title,
+        hasOfficialSources ? JSON.stringify(payload.official_sources) : null,
+        hasTrackType ? payload.track_type : null,
+        hasOwnerUserId ? payload.owner_user_id : null,
+        hasStatus ? payload.status : null,
+        hasOfficialSources,
+        hasTrackType,
+        hasOwnerUserId,
+        hasStatus
+      ]
+    );
+
+    const created = existing.rowCount === 0;
+    logger.info({
+      event: "ensure-track",
+      slug,
+      action: created ? "created" : "updated"
+    });
+
+    return res.status(created ? 201 : 200).json({
+      created,
+      track: saved.rows[0]
+    });
+  } catch (e) {
+    return res.status(400).json({ error: "Unable to ensure track." });
+  }
+});
+
+app.post("/v1/internal/seed-lessons", async (req, res) => {
+  const schema = z.object({
+    track_slug: z.string().min(2).max(50),
+    lessons: z.array(lessonSeedSchema).min(1)
+  });
+
+  const parsed = schema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const payload = parsed.data;
+  const track = await getTrackBySlug(payload.track_slug.toLowerCase());
+  if (!track) return res.status(404).json({ error: "Track not found" });
+
+  const client = await db.getClient();
+
+  try {
+    await client.query("BEGIN");
+
+    const result = await seedLessons(client, track, payload.lessons);
+    if (result.error) {
+      await client.query("ROLLBACK");
+      return res.status(400).json(result.error);
+    }
+
+    await client.query("COMMIT");
+
+    logger.info({
+      event: "seed-lessons",
+      track_slug: payload.track_slug.toLowerCase(),
+      inserted: result.insertedCount,
+      updated: result.updatedCount,
+      prerequisite_edges: result.prerequisiteEdges,
+      quiz_items: result.quizItems,
+      content_versions: result.contentVersions
+    });
+
+    return res.status(200).json({
+      track: { id: track.id, slug: track.slug, title: track.title },
+      inserted_or_updated: result.seeded.length,
+      lessons: result.seeded,
+      prerequisite_edges: result.prerequisiteEdges,
+      quiz_items: result.quizItems,
+      content_versions: result.contentVersions
+    });
+  } catch (e) {
+    await client.query("ROLLBACK");
+    return res.status(400).json({ error: "Unable to seed lessons" });
+  } finally {
+    client.release();
+  }
+});
+
+// Set or clear (null) the default mastery policy for every lesson in a track
+app.put("/v1/internal/tracks/:slug/mastery-policy", async (req, res) => {
+  const schema = z.object({ mastery_policy: masteryPolicySchema.nullable() });
+
+  const parsed = schema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const policy = parsed.data.mastery_policy;
+  const updated = await db.query(
+    `UPDATE tracks
+     SET mastery_policy = $2::jsonb
+     WHERE slug = $1
+     RETURNING id, slug, title, mastery_policy`,
+    [req.params.slug.toLowerCase(), policy ? JSON.stringify(policy) : null]
+  );
+  if (updated.rowCount === 0) return res.status(404).json({ error: "Track not found" });
+
+  logger.info({ event: "set-track-mastery-policy", slug: updated.rows[0].slug, cleared: !policy });
+
+  return res.json({
+    track: updated.rows[0],
+    effective_policy: masteryPolicy.resolvePolicy(policy, null)
+  });
+});
+
+// Set or clear (null) a lesson-specific mastery policy that overrides its track's
+app.put("/v1/internal/lessons/:id/mastery-policy", async (req, res) => {
+  const parsedId = z.string().uuid().safeParse(req.params.id);
+  if (!parsedId.success) return res.status(400).json({ error: "Lesson id must be a valid UUID" });
+
+  const schema = z.object({ mastery_policy: masteryPolicySchema.nullable() });
+
+  const parsed = schema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const policy = parsed.data.mastery_policy;
+  const updated = await db.query(
+    `UPDATE lessons l
+     SET mastery_policy = $2::jsonb
+     FROM tracks t
+     WHERE l.id = $1 AND t.id = l.track_id
+     RETURNING l.id, l.lesson_order, l.title, l.mastery_policy, t.mastery_policy AS track_mastery_policy`,
+    [parsedId.data, policy ? JSON.stringify(policy) : null]
+  );
+  if (updated.rowCount === 0) return res.status(404).json({ error: "Lesson not found" });
+
+  const { track_mastery_policy, ...updatedLesson } = updated.rows[0];
+  logger.info({ event: "set-lesson-mastery-policy", lesson_id: updatedLesson.id, cleared: !policy });
+
+  return res.json({
+    lesson: updatedLesson,
+    effective_policy: masteryPolicy.resolvePolicy(track_mastery_policy, policy)
+  });
+});
+
+// Partial track update; slug renames keep the track id so progress is untouched
+app.patch("/v1/internal/tracks/:slug", async (req, res) => {
+  const schema = z
+    .object({
+      slug: z.string().min(2).max(50).optional(),
+      title: z.string().min(2).max(100).optional(),
+      official_sources: z.array(z.string().url()).optional(),
+      track_type: z.enum(["official", "custom"]).optional(),
+      owner_user_id: z.string().uuid().nullable().optional(),
+      status: z.enum(["draft", "active", "archived"]).optional()
+    })
+    .refine((payload) => Object.keys(payload).length > 0, "Provide at least one field to update");
+
+  const parsed = schema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const payload = parsed.data;
+  const track = await getTrackBySlug(req.params.slug.toLowerCase());
+  if (!track) return res.status(404).json({ error: "Track not found" });
+
+  const hasOwnerUserId = Object.prototype.hasOwnProperty.call(payload, "owner_user_id");
+  if (hasOwnerUserId && payload.owner_user_id) {
+    await ensureUser(payload.owner_user_id);
+  }
+
+  try {
+    const updated = await db.query(
+      `UPDATE tracks
+       SET slug = COALESCE($2, slug),
+           title = COALESCE($3, title),
+           official_sources = COALESCE($4::jsonb, official_sources),
+           track_type = COALESCE($5, track_type),
+           owner_user_id = CASE WHEN $7 THEN $6::uuid ELSE owner_user_id END,
+           status = COALESCE($8, status)
+       WHERE id = $1
+       RETURNING id, slug, title, official_sources, track_type, owner_user_id, status`,
+      [
+        track.id,
+        payload.slug ? payload.slug.toLowerCase() : null,
+        payload.title ?? null,
+        payload.official_sources ? JSON.stringify(payload.official_sources) : null,
+        payload.track_type ?? null,
+        hasOwnerUserId ? payload.owner_user_id : null,
+        hasOwnerUserId,
+        payload.status ?? null
+      ]
+    );
+
+    logger.info({ event: "update-track", slug: updated.rows[0].slug, previous_slug: track.slug });
+
+    return res.json({ track: updated.rows[0] });
+  } catch (e) {
+    return res.status(409).json({ error: "Track slug already exists." });
+  }
+});
+
+// Deleting a track cascades to its lessons and every learner's attempts on them
+app.delete("/v1/internal/tracks/:slug", async (req, res) => {
+  const track = await getTrackBySlug(req.params.slug.toLowerCase());
+  if (!track) return res.status(404).json({ error: "Track not found" });
+
+  const usage = await db.query(
+    `SELECT COUNT(DISTINCT a.id)::int AS attempts, COUNT(DISTINCT uts.user_id)::int AS learners
+     FROM tracks t
+     LEFT JOIN lessons l ON l.track_id = t.id
+     LEFT JOIN attempts a ON a.lesson_id = l.id
+     LEFT JOIN user_track_state uts ON uts.track_id = t.id
+     WHERE t.id = $1`,
+    [track.id]
+  );
+  const { attempts, learners } = usage.rows[0];
+  if ((attempts > 0 || learners > 0) && req.query.force !== "true") {
+    return res.status(409).json({
+      error: "Track has learner progress. Archive it instead, or pass ?force=true to delete it anyway.",
+      attempts,
+      learners
+    });
+  }
+
+  await db.query(`DELETE FROM tracks WHERE id = $1`, [track.id]);
+
+  logger.info({ event: "delete-track", slug: track.slug, attempts, learners });
+
+  return res.json({ deleted: true, track: { id: track.id, slug: track.slug, title: track.title } });
+});
+
+// Partial lesson content update; use /reorder to change lesson_order
+app.patch("/v1/internal/lessons/:id", async (req, res) => {
+  const parsedId = z.string().uuid().safeParse(req.params.id);
+  if (!parsedId.success) return res.status(400).json({ error: "Lesson id must be a valid UUID" });
+
+  const schema = z
+    .object({
+      title: z.string().min(2).max(160).optional(),
+      objectives: z.array(z.string()).optional(),
+      tags: z.array(z.string()).optional(),
+      source_urls: z.array(z.string().url()).optional()
+    })
+    .refine((payload) => Object.keys(payload).length > 0, "Provide at least one field to update");
+
+  const parsed = schema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const payload = parsed.data;
+  const updated = await db.query(
+    `UPDATE lessons
+     SET title = COALESCE($2, title),
+         objectives = COALESCE($3::jsonb, objectives),
+         tags = COALESCE($4::jsonb, tags),
+         source_urls = COALESCE($5::jsonb, source_urls)
+     WHERE id = $1
+     RETURNING id, track_id, lesson_order, title, objectives, tags, source_urls`,
+    [
+      parsedId.data,
+      payload.title ?? null,
+      payload.objectives ? JSON.stringify(payload.objectives) : null,
+      payload.tags ? JSON.stringify(payload.tags) : null,
+      payload.source_urls ? JSON.stringify(payload.source_urls) : null
+    ]
+  );
+  if (updated.rowCount === 0) return res.status(404).json({ error: "Lesson not found" });
+
+  logger.info({ event: "update-lesson", lesson_id: parsedId.data });
+
+  return res.json({ lesson: updated.rows[0] });
+});
+
+// Deletes a lesson and closes the gap in lesson_order for the rest of the track
+app.delete("/v1/internal/lessons/:id", async (req, res) => {
+  const parsedId = z.string().uuid().safeParse(req.params.id);
+  if (!parsedId.success) return res.status(400).json({ error: "Lesson id must be a valid UUID" });
+
+  const client = await db.getClient();
+
+  try {
+    await client.query("BEGIN");
+
+    const lesson = await client.query(
+      `SELECT l.id, l.track_id, l.lesson_order, l.title,
+              (SELECT COUNT(*)::int FROM attempts a WHERE a.lesson_id = l.id) AS attempts
+       FROM lessons l
+       WHERE l.id = $1
+       FOR UPDATE`,
+      [parsedId.data]
+    );
+    if (lesson.rowCount === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Lesson not found" });
+    }
+
+    const { track_id, lesson_order, attempts } = lesson.rows[0];
+    if (attempts > 0 && req.query.force !== "true") {
+      await client.query("ROLLBACK");
+      return res.status(409).json({
+        error: "Lesson has learner attempts. Pass ?force=true to delete it and its attempts anyway.",
+        attempts
+      });
+    }
+
+    await client.query(`DELETE FROM lessons WHERE id = $1`, [parsedId.data]);
+
+    // Two passes so the (track_id, lesson_order) unique constraint never collides
+    await client.query(
+      `UPDATE lessons SET lesson_order = -(lesson_order - 1) WHERE track_id = $1 AND lesson_order > $2`,
+      [track_id, lesson_order]
+    );
+    await client.query(`UPDATE lessons SET lesson_order = -lesson_order WHERE track_id = $1 AND lesson_order < 0`, [
+      track_id
+    ]);
+
+    // Learners on live content keep pointing at the same next lesson
+    await client.query(
+      `UPDATE user_track_state
+       SET current_lesson_order = current_lesson_order - 1
+       WHERE track_id = $1 AND track_version IS NULL AND current_lesson_order > $2`,
+      [track_id, lesson_order]
+    );
+
+    await client.query("COMMIT");
+
+    logger.info({ event: "delete-lesson", lesson_id: parsedId.data, attempts });
+
+    return res.json({ deleted: true, lesson: { id: parsedId.data, lesson_order, title: lesson.rows[0].title } });
+  } catch (e) {
+    await client.query("ROLLBACK");
+    return res.status(400).json({ error: "Unable to delete lesson" });
+  } finally {
+    client.release();
+  }
+});
+
+// Reorder every lesson in a track; learners on live content keep their current lesson
+app.post("/v1/internal/tracks/:slug/reorder", async (req, res) => {
+  const schema = z.object({
+    lesson_ids: z.array(z.string().uuid()).min(1)
+  });
+
+  const parsed = schema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const track = await getTrackBySlug(req.params.slug.toLowerCase());
+  if (!track) return res.status(404).json({ error: "Track not found" });
+
+  const { lesson_ids } = parsed.data;
+  const client = await db.getClient();
+
+  try {
+    await client.query("BEGIN");
+
+    const existing = await client.query(
+      `SELECT id, lesson_order FROM lessons WHERE track_id = $1 ORDER BY lesson_order FOR UPDATE`,
+      [track.id]
+    );
+    const existingIds = new Set(existing.rows.map((row) => row.id));
+    if (
+      new Set(lesson_ids).size !== lesson_ids.length ||
+      lesson_ids.length !== existingIds.size ||
+      !lesson_ids.every((id) => existingIds.has(id))
+    ) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "lesson_ids must list every lesson in the track exactly once" });
+    }
+
+    const oldOrderById = new Map(existing.rows.map((row) => [row.id, row.lesson_order]));
+    const oldOrders = lesson_ids.map((id) => oldOrderById.get(id));
+    const newOrders = lesson_ids.map((id, index) => index + 1);
+
+    await client.query(`UPDATE lessons SET lesson_order = -lesson_order WHERE track_id = $1`, [track.id]);
+    await client.query(
+      `UPDATE lessons l
+       SET lesson_order = m.new_order
+       FROM unnest($2::uuid[], $3::int[]) AS m(id, new_order)
+       WHERE l.track_id = $1 AND l.id = m.id`,
+      [track.id, lesson_ids, newOrders]
+    );
+
+    const moved = await client.query(
+      `UPDATE user_track_state uts
+       SET current_lesson_order = m.new_order
+       FROM unnest($2::int[], $3::int[]) AS m(old_order, new_order)
+       WHERE uts.track_id = $1
+         AND uts.track_version IS NULL
+         AND uts.current_lesson_order = m.old_order
+         AND m.old_order <> m.new_order`,
+      [track.id, oldOrders, newOrders]
+    );
+
+    await client.query("COMMIT");
+
+    logger.info({ event: "reorder-lessons", slug: track.slug, lessons: lesson_ids.length, learners_moved: moved.rowCount });
+
+    return res.json({
+      track: { id: track.id, slug: track.slug, title: track.title },
+      lessons: lesson_ids.map((id, index) => ({ id, lesson_order: index + 1 })),
+      learners_updated: moved.rowCount
+    });
+  } catch (e) {
+    await client.query("ROLLBACK");
+    return res.status(400).json({ error: "Unable to reorder lessons" });
+  } finally {
+    client.release();
+  }
+});
+
+// Publish an immutable snapshot of the track's current content
+app.post("/v1/internal/tracks/:slug/publish", async (req, res) => {
+  const schema = z.object({
+    notes: z.string().max(500).optional()
+  });
+
+  const parsed = schema.safeParse(req.body ?? {});
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const client = await db.getClient();
+
+  try {
+    await client.query("BEGIN");
+
+    const trackRes = await client.query(`SELECT * FROM tracks WHERE slug = $1 FOR UPDATE`, [
+      req.params.slug.toLowerCase()
+    ]);
+    if (trackRes.rowCount === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Track not found" });
+    }
+    const track = trackRes.rows[0];
+
+    const snapshot = await buildTrackSnapshot(client, track);
+    const published = await client.query(
+      `INSERT INTO track_versions (track_id, version, snapshot, notes)
+       VALUES (
+         $1,
+         (SELECT COALESCE(MAX(version), 0) + 1 FROM track_versions WHERE track_id = $1),
+         $2::jsonb,
+         $3
+       )
+       RETURNING version, notes, published_at`,
+      [track.id, JSON.stringify(snapshot), parsed.data.notes ?? null]
+    );
+
+    // Learners already on live content are pinned to what they were seeing
+    const pinned = await client.query(
+      `UPDATE user_track_state SET track_version = $2 WHERE track_id = $1 AND track_version IS NULL`,
+      [track.id, published.rows[0].version]
+    );
+
+    await client.query("COMMIT");
+
+    logger.info({
+      event: "publish-track",
+      slug: track.slug,
+      version: published.rows[0].version,
+      learners_pinned: pinned.rowCount
+    });
+
+    return res.status(201).json({
+      track: { id: track.id, slug: track.slug, title: track.title },
+      ...published.rows[0],
+      lesson_count: snapshot.lessons.length,
+      learners_pinned: pinned.rowCount
+    });
+  } catch (e) {
+    await client.query("ROLLBACK");
+    return res.status(400).json({ error: "Unable to publish track" });
+  } finally {
+    client.release();
+  }
+});
+
+// Moderation: a published learner track becomes an official one. The author
+// stays as owner_user_id but can no longer edit it through /v1/me/tracks.
+app.post("/v1/internal/tracks/:slug/promote", async (req, res) => {
+  const track = await getTrackBySlug(req.params.slug.toLowerCase());
+  if (!track) return res.status(404).json({ error: "Track not found" });
+  if (track.track_type === "official") return res.status(409).json({ error: "Track is already official" });
+  if (track.status !== "active") {
+    return res.status(409).json({ error: "Only published (active) tracks can be promoted" });
+  }
+
+  const promoted = await db.query(
+    `UPDATE tracks
+     SET track_type = 'official'
+     WHERE id = $1
+     RETURNING id, slug, title, official_sources, track_type, owner_user_id, status`,
+    [track.id]
+  );
+
+  logger.info({ event: "promote-track", slug: track.slug });
+
+  return res.json({ track: promoted.rows[0] });
+});
+
+app.get("/v1/internal/tracks/:slug/versions", async (req, res) => {
+  const track = await getTrackBySlug(req.params.slug.toLowerCase());
+  if (!track) return res.status(404).json({ error: "Track not found" });
+
+  const versions = await db.query(
+    `SELECT tv.version,
+            tv.notes,
+            tv.published_at,
+            jsonb_array_length(tv.snapshot->'lessons')::int AS lesson_count,
+            (SELECT COUNT(*)::int FROM user_track_state uts
+             WHERE uts.track_id = tv.track_id AND uts.track_version = tv.version) AS learners_pinned
+     FROM track_versions tv
+     WHERE tv.track_id = $1
+     ORDER BY tv.version DESC`,
+    [track.id]
+  );
+
+  return res.json({
+    track: { id: track.id, slug: track.slug, title: track.title },
+    versions: versions.rows
+  });
+});
+
+app.get("/v1/internal/tracks/:slug/versions/:version", async (req, res) => {
+  const parsedVersion = z.coerce.number().int().positive().safeParse(req.params.version);
+  if (!parsedVersion.success) return res.status(400).json({ error: "version must be a positive integer" });
+
+  const track = await getTrackBySlug(req.params.slug.toLowerCase());
+  if (!track) return res.status(404).json({ error: "Track not found" });
+
+  const version = await getTrackVersion(track.id, parsedVersion.data);
+  if (!version) return res.status(404).json({ error: "Track version not found" });
+
+  return res.json({
+    track: { id: track.id, slug: track.slug, title: track.title },
+    ...version
+  });
+});
+
+app.get("/v1/internal/tracks/:slug/export", async (req, res) => {
+  const format = req.query.format || "json";
+  if (!["json", "yaml"].includes(format)) return res.status(400).json({ error: "format must be json or yaml" });
+
+  const bundle = await trackBundle.exportTrackBundle(db, req.params.slug.toLowerCase());
+  if (!bundle) return res.status(404).json({ error: "Track not found" });
+
+  res.attachment(`${bundle.track.slug}.${format}`);
+  res.type(format === "yaml" ? "application/yaml" : "application/json");
+  return res.send(trackBundle.serializeBundle(bundle, format));
+});
+
+// Accepts a bundle as JSON or as a YAML body (Content-Type: application/yaml)
+app.post(
+  "/v1/internal/tracks/import",
+  express.text({ type: ["application/yaml", "application/x-yaml", "text/yaml"], limit: "1mb" }),
+  async (req, res) => {
+    let raw = req.body;
+    if (typeof raw === "string") {
+      try {
+        raw = trackBundle.parseBundleText(raw, "yaml");
+      } catch (e) {
+        return res.status(400).json({ error: `Invalid YAML: ${e.message}` });
+      }
+    }
+
+    const validated = trackBundle.validateBundle(raw);
+    if (!validated.success) return res.status(400).json({ error: validated.error });
+
+    const { bundle } = validated;
+    const dryRun = req.query.dry_run === "true";
+    const prune = req.query.prune === "true";
+    const client = await db.getClient();
+
+    try {
+      await client.query("BEGIN");
+
+      const current = await trackBundle.exportTrackBundle(client, bundle.track.slug);
+      const diff = trackBundle.diffBundles(current, bundle);
+      const result = await trackBundle.importTrackBundle(client, bundle, { prune });
+      if (result.error) {
+        await client.query("ROLLBACK");
+        return res.status(result.status).json(result.error);
+      }
+
+      // A dry run performs every write (so FK, cycle and prune checks still apply) then discards them
+      await client.query(dryRun ? "ROLLBACK" : "COMMIT");
+
+      logger.info({
+        event: "track-import",
+        slug: bundle.track.slug,
+        dry_run: dryRun,
+        created: result.created,
+        inserted: result.inserted,
+        updated: result.updated,
+        pruned: result.pruned.length
+      });
+
+      return res.status(result.created && !dryRun ? 201 : 200).json({ dry_run: dryRun, diff, ...result });
+    } catch (e) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "Unable to import track" });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// ---------- webhooks (internal admin) ----------
+const webhookEventsSchema = z.array(z.enum(webhooks.EVENT_TYPES)).min(1);
+const webhookUrlSchema = z.url({ protocol: /^https?$/ });
+const WEBHOOK_COLUMNS = `id, url, events, description, active, created_at`;
+
+// Register an endpoint. The signing secret is only returned here.
+app.post("/v1/internal/webhooks", async (req, res) => {
+  const schema = z.object({
+    url: webhookUrlSchema,
+    events: webhookEventsSchema,
+    description: z.string().max(200).optional(),
+    secret: z.string().min(16).max(200).optional()
+  });
+
+  const parsed = schema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const { url, events, description } = parsed.data;
+  const secret = parsed.data.secret || webhooks.generateSecret();
+  const created = await db.query(
+    `INSERT INTO webhook_endpoints (url, secret, events, description)
+     VALUES ($1, $2, $3::jsonb, $4)
+     RETURNING ${WEBHOOK_COLUMNS}`,
+    [url, secret, JSON.stringify([...new Set(events)]), description ?? null]
+  );
+
+  logger.info({ event: "create-webhook", webhook_id: created.rows[0].id, events });
+  return res.status(201).json({ webhook: created.rows[0], secret });
+});
+
+app.get("/v1/internal/webhooks", async (req, res) => {
+  const listed = await db.query(
+    `SELECT e.id, e.url, e.events, e.description, e.active, e.created_at,
+            COUNT(d.id) FILTER (WHERE d.status = 'pending')::int AS pending_deliveries,
+            COUNT(d.id) FILTER (WHERE d.status = 'failed')::int AS failed_deliveries
+     FROM webhook_endpoints e
+     LEFT JOIN webhook_deliveries d ON d.endpoint_id = e.id
+     GROUP BY e.id
+     ORDER BY e.created_at, e.id`
+  );
+  return res.json({ webhooks: listed.rows });
+});
+
+app.patch("/v1/internal/webhooks/:id", async (req, res) => {
+  const parsedId = z.string().uuid().safeParse(req.params.id);
+  if (!parsedId.success) return res.status(400).json({ error: "Webhook id must be a valid UUID" });
+
+  const schema = z
+    .object({
+      url: webhookUrlSchema.optional(),
+      events: webhookEventsSchema.optional(),
+      description: z.string().max(200).nullable().optional(),
+      active: z.boolean().optional()
+    })
+    .refine((value) => Object.keys(value).length > 0, { message: "Provide at least one field to update" });
+
+  const parsed = schema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const body = parsed.data;
+  const updated = await db.query(
+    `UPDATE webhook_endpoints
+     SET url = COALESCE($2, url),
+         events = COALESCE($3::jsonb, events),
+         description = CASE WHEN $4 THEN $5 ELSE description END,
+         active = COALESCE($6, active)
+     WHERE id = $1
+     RETURNING ${WEBHOOK_COLUMNS}`,
+    [
+      parsedId.data,
+      body.url ?? null,
+      body.events ? JSON.stringify([...new Set(body.events)]) : null,
+      body.description !== undefined,
+      body.description ?? null,
+      body.active ?? null
+    ]
+  );
+  if (updated.rowCount === 0) return res.status(404).json({ error: "Webhook not found" });
+
+  logger.info({ event: "update-webhook", webhook_id: parsedId.data, fields: Object.keys(body) });
+  return res.json({ webhook: updated.rows[0] });
+});
+
+// Deleting an endpoint also drops its delivery history
+app.delete("/v1/internal/webhooks/:id", async (req, res) => {
+  const parsedId = z.string().uuid().safeParse(req.params.id);
+  if (!parsedId.success) return res.status(400).json({ error: "Webhook id must be a valid UUID" });
+
+  const deleted = await db.query(`DELETE FROM webhook_endpoints WHERE id = $1 RETURNING id`, [parsedId.data]);
+  if (deleted.rowCount === 0) return res.status(404).json({ error: "Webhook not found" });
+
+  logger.info({ event: "delete-webhook", webhook_id: parsedId.data });
+  return res.json({ deleted: true, id: parsedId.data });
+});
+
+// Delivery history, newest first
+app.get("/v1/internal/webhooks/:id/deliveries", async (req, res) => {
+  const parsedId = z.string().uuid().safeParse(req.params.id);
+  if (!parsedId.success) return res.status(400).json({ error: "Webhook id must be a valid UUID" });
+
+  const schema = z.object({
+    status: z.enum(["pending", "delivered", "failed"]).optional(),
+    limit: z.coerce.number().int().min(1).max(200).default(50)
+  });
+  const parsed = schema.safeParse({ status: req.query.status, limit: req.query.limit });
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const endpoint = await db.query(`SELECT id, url FROM webhook_endpoints WHERE id = $1`, [parsedId.data]);
+  if (endpoint.rowCount === 0) return res.status(404).json({ error: "Webhook not found" });
+
+  const deliveries = await db.query(
+    `SELECT id, event_id, event_type, status, attempts,
+            CASE WHEN status = 'pending' THEN next_attempt_at END AS next_attempt_at,
+            last_attempt_at, last_status_code, last_error, delivered_at, created_at, payload
+     FROM webhook_deliveries
+     WHERE endpoint_id = $1 AND ($2::text IS NULL OR status = $2)
+     ORDER BY created_at DESC, id
+     LIMIT $3`,
+    [parsedId.data, parsed.data.status ?? null, parsed.data.limit]
+  );
+  return res.json({ webhook: endpoint.rows[0], deliveries: deliveries.rows });
+});
+
+// Sends a failed delivery again with a fresh set of attempts
+app.post("/v1/internal/webhooks/:id/deliveries/:delivery_id/retry", async (req, res) => {
+  const parsedIds = z.object({ id: z.string().uuid(), delivery_id: z.string().uuid() }).safeParse(req.params);
+  if (!parsedIds.success) return res.status(400).json({ error: "Webhook and delivery ids must be valid UUIDs" });
+
+  const found = await db.query(`SELECT status FROM webhook_deliveries WHERE id = $1 AND endpoint_id = $2`, [
+    parsedIds.data.delivery_id,
+    parsedIds.data.id
+  ]);
+  if (found.rowCount === 0) return res.status(404).json({ error: "Delivery not found" });
+  if (found.rows[0].status !== "failed") {
+    return res.status(409).json({ error: `Only failed deliveries can be retried; this one is ${found.rows[0].status}` });
+  }
+
+  const retried = await db.query(
+    `UPDATE webhook_deliveries
+     SET status = 'pending', attempts = 0, next_attempt_at = now()
+     WHERE id = $1 AND status = 'failed'
+     RETURNING id, event_id, event_type, status, attempts, next_attempt_at,
+               last_attempt_at, last_status_code, last_error, delivered_at, created_at, payload`,
+    [parsedIds.data.delivery_id]
+  );
+  if (retried.rowCount === 0) return res.status(409).json({ error: "Delivery is no longer failed" });
+
+  logger.info({ event: "retry-webhook-delivery", delivery_id: parsedIds.data.delivery_id });
+  return res.json({ delivery: retried.rows[0] });
+});
+
+// First token for a learner created before tokens existed, or by an admin as a
+// track owner. Also rotates, so support can hand a learner a fresh token.
+app.post("/v1/internal/learners/:learner_id/token", requireLearnerTokenKeys, async (req, res) => {
+  const parsedId = z.string().uuid().safeParse(req.params.learner_id);
+  if (!parsedId.success) return res.status(400).json({ error: "learner_id must be a valid UUID" });
+
+  const found = await db.query(`SELECT id FROM users WHERE id = $1`, [parsedId.data]);
+  if (found.rowCount === 0) return res.status(404).json({ error: "Learner not found" });
+
+  const token = await issueLearnerTokenForUser(parsedId.data, { rotate: true });
+
+  logger.info({ event: "admin-issue-learner-token", learner_id: parsedId.data });
+
+  return res.json({
+    learner_id: parsedId.data,
+    ...token
+  });
+});
+
+// Analytics date range in UTC dates, both inclusive: defaults to the last 30
+// days. Sends a 400 and returns null when invalid.
+function parseAnalyticsRange(req, res) {
+  const rangeSchema = z.object({ from: z.iso.date().optional(), to: z.iso.date().optional() });
+  const parsedRange = rangeSchema.safeParse({ from: req.query.from, to: req.query.to });
+  if (!parsedRange.success) {
+    res.status(400).json({ error: "from/to must be dates in YYYY-MM-DD format" });
+    return null;
+  }
+
+  const to = parsedRange.data.to || new Date().toISOString().slice(0, 10);
+  const from = parsedRange.data.from || streaks.addDays(to, -29);
+  if (from > to || streaks.daysBetween(from, to) > 365) {
+    res.status(400).json({ error: "from must be on or before to, at most 366 days apart" });
+    return null;
+  }
+  return { from, to, start: `${from}T00:00:00Z`, end: `${streaks.addDays(to, 1)}T00:00:00Z` };
+}
+
+async function getAnalyticsTrack(req, res) {
+  const track = await getTrackBySlug(req.params.slug.toLowerCase());
+  if (!track) {
+    res.status(404).json({ error: "Track not found" });
+    return null;
+  }
+  return track;
+}
+
+// How far learners last seen in the range got, and where they stopped
+app.get("/v1/internal/analytics/tracks/:slug/funnel", async (req, res) => {
+  const range = parseAnalyticsRange(req, res);
+  if (!range) return;
+  const track = await getAnalyticsTrack(req, res);
+  if (!track) return;
+
+  const funnel = await analytics.lessonFunnel(db, track.id, range);
+  return res.json({
+    track: { id: track.id, slug: track.slug, title: track.title },
+    range: { from: range.from, to: range.to },
+    abandoned_after_days: analytics.ABANDONED_AFTER_DAYS,
+    ...funnel
+  });
+});
+
+// Pass rate, score distribution and median duration per lesson
+app.get("/v1/internal/analytics/tracks/:slug/lessons", async (req, res) => {
+  const range = parseAnalyticsRange(req, res);
+  if (!range) return;
+  const track = await getAnalyticsTrack(req, res);
+  if (!track) return;
+
+  const lessons = await analytics.lessonStats(db, track.id, range);
+  return res.json({
+    track: { id: track.id, slug: track.slug, title: track.title },
+    range: { from: range.from, to: range.to },
+    lessons
+  });
+});
+
+app.get("/v1/internal/analytics/tracks/:slug/weak-tags", async (req, res) => {
+  const range = parseAnalyticsRange(req, res);
+  if (!range) return;
+  const parsedLimit = z.coerce
+    .number()
+    .int()
+    .min(1)
+    .max(analytics.MAX_TAG_LIMIT)
+    .default(analytics.DEFAULT_TAG_LIMIT)
+    .safeParse(req.query.limit);
+  if (!parsedLimit.success) {
+    return res.status(400).json({ error: `limit must be an integer between 1 and ${analytics.MAX_TAG_LIMIT}` });
+  }
+  const track = await getAnalyticsTrack(req, res);
+  if (!track) return;
+
+  const tags = await analytics.topWeakTags(db, track.id, range, parsedLimit.data);
+  return res.json({
+    track: { id: track.id, slug: track.slug, title: track.title },
+    range: { from: range.from, to: range.to },
+    weak_tags: tags
+  });
+});
+
+// "Me" dashboard (MVP: user_id passed)
+app.get("/v1/me", requireLearnerTokenKeys, async (req, res) => {
+  const parsedUserId = await getUserIdFromQuery(req, res, { allowNew: true });
+  const hasLearnerId = Object.prototype.hasOwnProperty.call(req.query, "learner_id");
+  const hasUserId = Object.prototype.hasOwnProperty.call(req.query, "user_id");
+  if ((hasUserId || hasLearnerId) && !parsedUserId) return;
+
+  const rangeSchema = z.object({ from: z.iso.date().optional(), to: z.iso.date().optional() });
+  const parsedRange = rangeSchema.safeParse({ from: req.query.from, to: req.query.to });
+  if (!parsedRange.success) return res.status(400).json({ error: "from/to must be dates in YYYY-MM-DD format" });
+
+  const user_id = await ensureUser(parsedUserId);
+  const token = await issueLearnerTokenForUser(user_id);
+
+  const dashboard = await buildDashboard(user_id, parsedRange.data);
+  if (dashboard.error) return res.status(400).json({ error: dashboard.error });
+
+  res.json({
+    user_id,
+    learner_id: user_id,
+    ...token,
+    message: "Save this Learner ID and learner token to resume later.",
+    privacy_note:
+      "No personal data is stored. Progress is linked only to your Learner ID. Download it with GET /v1/me/export or erase it with DELETE /v1/me.",
+    ...dashboard,
+    tip: "MVP mode: progress is stored. Later we’ll add login (OAuth) so users don’t need user_id."
+  });
+});
+
+// Learner settings used for streaks and the daily goal
+app.patch("/v1/me/settings", requireLearnerTokenKeys, async (req, res) => {
+  const parsedUserId = await getUserIdFromQuery(req, res);
+  const hasLearnerId = Object.prototype.hasOwnProperty.call(req.query, "learner_id");
+  const hasUserId = Object.prototype.hasOwnProperty.call(req.query, "user_id");
+  if ((hasUserId || hasLearnerId) && !parsedUserId) return;
+  if (!parsedUserId) return res.status(400).json({ error: "Missing ?learner_id=" });
+
+  const schema = z.object({
+    timezone: z.string().refine(streaks.isValidTimezone, "Unknown IANA timezone").optional(),
+    daily_goal: z
+      .discriminatedUnion("type", [
+        z.object({ type: z.literal("attempts"), target: z.number().int().min(1).max(50) }),
+        z.object({ type: z.literal("minutes"), target: z.number().int().min(1).max(600) })
+      ])
+      .optional(),
+    // Pacing profile; null clears a value
+    weekly_minutes: z.number().int().min(10).max(7 * 24 * 60).nullable().optional(),
+    target_date: z.iso.date().nullable().optional()
+  });
+
+  const parsed = schema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const { timezone, daily_goal, weekly_minutes, target_date } = parsed.data;
+  if (target_date) {
+    const current = await db.query(`SELECT timezone FROM users WHERE id = $1`, [parsedUserId]);
+    if (target_date < streaks.localDate(timezone || current.rows[0].timezone)) {
+      return res.status(400).json({ error: "target_date must be today or later in the learner's timezone" });
+    }
+  }
+
+  const updated = await db.query(
+    `UPDATE users
+     SET timezone = COALESCE($2, timezone),
+         daily_goal_type = COALESCE($3, daily_goal_type),
+         daily_goal_target = COALESCE($4, daily_goal_target),
+         weekly_minutes = CASE WHEN $5 THEN $6::int ELSE weekly_minutes END,
+         target_date = CASE WHEN $7 THEN $8::date ELSE target_date END
+     WHERE id = $1
+     RETURNING timezone, daily_goal_type, daily_goal_target, weekly_minutes,
+               to_char(target_date, 'YYYY-MM-DD') AS target_date`,
+    [
+      parsedUserId,
+      timezone ?? null,
+      daily_goal?.type ?? null,
+      daily_goal?.target ?? null,
+      weekly_minutes !== undefined,
+      weekly_minutes ?? null,
+      target_date !== undefined,
+      target_date ?? null
+    ]
+  );
+
+  return res.json({
+    learner_id: parsedUserId,
+    timezone: updated.rows[0].timezone,
+    daily_goal: { type: updated.rows[0].daily_goal_type, target: updated.rows[0].daily_goal_target },
+    weekly_minutes: updated.rows[0].weekly_minutes,
+    target_date: updated.rows[0].target_date
+  });
+});
+
+// Rotate the learner token: every previously issued token stops working
+app.post("/v1/me/token/rotate", requireLearnerTokenKeys, async (req, res) => {
+  const parsedUserId = await getUserIdFromQuery(req, res);
+  const hasLearnerId = Object.prototype.hasOwnProperty.call(req.query, "learner_id");
+  const hasUserId = Object.prototype.hasOwnProperty.call(req.query, "user_id");
+  if ((hasUserId || hasLearnerId) && !parsedUserId) return;
+  if (!parsedUserId) return res.status(400).json({ error: "Missing ?learner_id=" });
+
+  const token = await issueLearnerTokenForUser(parsedUserId, { rotate: true });
+
+  logger.info({ event: "rotate-learner-token" });
+
+  return res.json({
+    learner_id: parsedUserId,
+    ...token
+  });
+});
+
+// New set of recovery codes, shown once. Replaces any earlier set.
+app.post("/v1/me/recovery-codes", requireLearnerTokenKeys, async (req, res) => {
+  const parsedUserId = await getUserIdFromQuery(req, res);
+  const hasLearnerId = Object.prototype.hasOwnProperty.call(req.query, "learner_id");
+  const hasUserId = Object.prototype.hasOwnProperty.call(req.query, "user_id");
+  if ((hasUserId || hasLearnerId) && !parsedUserId) return;
+  if (!parsedUserId) return res.status(400).json({ error: "Missing ?learner_id=" });
+
+  const codes = recoveryCodes.generateCodeSet();
+  const client = await db.getClient();
+  try {
+    await client.query("BEGIN");
+    await client.query(`DELETE FROM recovery_codes WHERE user_id = $1`, [parsedUserId]);
+    for (const code of codes) {
+      await client.query(`INSERT INTO recovery_codes (user_id, code_hash) VALUES ($1, $2)`, [
+        parsedUserId,
+        recoveryCodes.hashCode(code)
+      ]);
+    }
+    await client.query("COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK");
+    throw e;
+  } finally {
+    client.release();
+  }
+
+  logger.info({ event: "issue-recovery-codes", count: codes.length });
+
+  return res.json({
+    learner_id: parsedUserId,
+    recovery_codes: codes,
+    message: "Store these codes somewhere safe. Each one recovers your Learner ID once, and they are not shown again."
+  });
+});
+
+// Uses up a recovery code. Returns the learner it belonged to, or null when
+// the code is unknown or already used.
+async function redeemRecoveryCode(queryable, normalizedCode) {
+  const redeemed = await queryable.query(
+    `UPDATE recovery_codes
+     SET used_at = now()
+     WHERE code_hash = $1 AND used_at IS NULL
+     RETURNING user_id`,
+    [recoveryCodes.hashCode(normalizedCode)]
+  );
+  return redeemed.rows[0] ? redeemed.rows[0].user_id : null;
+}
+
+// Recover a lost Learner ID. The learner's token is rotated, so tokens left on
+// a lost device stop working.
+app.post("/v1/recovery/redeem", recoveryLimiter, requireLearnerTokenKeys, async (req, res) => {
+  const parsed = z.object({ code: z.string().max(500) }).safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const code = recoveryCodes.normalizeCode(parsed.data.code);
+  if (!code) {
+    return res.status(400).json({ error: `A recovery code is ${recoveryCodes.CODE_WORDS} words from the recovery word list` });
+  }
+
+  const user_id = await redeemRecoveryCode(db, code);
+  if (!user_id) return res.status(401).json({ error: "Unknown or already used recovery code" });
+
+  const token = await issueLearnerTokenForUser(user_id, { rotate: true });
+  const remaining = await db.query(
+    `SELECT COUNT(*)::int AS remaining FROM recovery_codes WHERE user_id = $1 AND used_at IS NULL`,
+    [user_id]
+  );
+
+  logger.info({ event: "redeem-recovery-code" });
+
+  return res.json({
+    user_id,
+    learner_id: user_id,
+    ...token,
+    recovery_codes_remaining: remaining.rows[0].remaining
+  });
+});
+
+// Fold another Learner ID into this one. The other learner is proven with
+// their learner token or one of their recovery codes, and is deleted.
+app.post("/v1/me/merge", requireLearnerTokenKeys, async (req, res) => {
+  const parsedUserId = await getUserIdFromQuery(req, res);
+  const hasLearnerId = Object.prototype.hasOwnProperty.call(req.query, "learner_id");
+  const hasUserId = Object.prototype.hasOwnProperty.call(req.query, "user_id");
+  if ((hasUserId || hasLearnerId) && !parsedUserId) return;
+  if (!parsedUserId) return res.status(400).json({ error: "Missing ?learner_id=" });
+
+  const schema = z
+    .object({
+      learner_token: z.string().optional(),
+      source_learner_id: z.string().uuid().optional(),
+      source_learner_token: z.string().optional(),
+      source_recovery_code: z.string().max(500).optional()
+    })
+    .refine(
+      (body) =>
+        body.source_recovery_code !== undefined
+          ? body.source_learner_id === undefined && body.source_learner_token === undefined
+          : body.source_learner_id !== undefined && body.source_learner_token !== undefined,
+      { message: "Send source_learner_id with source_learner_token, or source_recovery_code" }
+    );
+  const parsed = schema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const body = parsed.data;
+
+  let recoveryCode = null;
+  if (body.source_recovery_code !== undefined) {
+    recoveryCode = recoveryCodes.normalizeCode(body.source_recovery_code);
+    if (!recoveryCode) {
+      return res.status(400).json({ error: `A recovery code is ${recoveryCodes.CODE_WORDS} words from the recovery word list` });
+    }
+  } else {
+    if (body.source_learner_id === parsedUserId) return res.status(400).json({ error: "Cannot merge a learner into itself" });
+    const source = await db.query(`SELECT token_version FROM users WHERE id = $1`, [body.source_learner_id]);
+    const error = learnerTokenError(body.source_learner_token, body.source_learner_id, source.rows[0] || null);
+    if (error) return res.status(401).json({ error: `Source learner: ${error}` });
+  }
+
+  const client = await db.getClient();
+  let sourceId = body.source_learner_id;
+  let merged;
+  try {
+    await client.query("BEGIN");
+
+    if (recoveryCode) {
+      sourceId = await redeemRecoveryCode(client, recoveryCode);
+      if (!sourceId) {
+        await client.query("ROLLBACK");
+        return res.status(401).json({ error: "Unknown or already used recovery code" });
+      }
+      // The code is only used up when a merge happens
+      if (sourceId === parsedUserId) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: "Cannot merge a learner into itself" });
+      }
+    }
+
+    merged = await mergeLearners(client, sourceId, parsedUserId);
+    await client.query("COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK");
+    throw e;
+  } finally {
+    client.release();
+  }
+
+  logger.info({ event: "merge-learners", merged });
+
+  return res.json({ learner_id: parsedUserId, merged_learner_id: sourceId, merged });
+});
+
+// Everything stored against a Learner ID, as one JSON download
+app.get("/v1/me/export", requireLearnerTokenKeys, async (req, res) => {
+  const parsedUserId = await getUserIdFromQuery(req, res);
+  const hasLearnerId = Object.prototype.hasOwnProperty.call(req.query, "learner_id");
+  const hasUserId = Object.prototype.hasOwnProperty.call(req.query, "user_id");
+  if ((hasUserId || hasLearnerId) && !parsedUserId) return;
+  if (!parsedUserId) return res.status(400).json({ error: "Missing ?learner_id=" });
+
+  const user = await db.query(
+    `SELECT id, timezone, daily_goal_type, daily_goal_target, weekly_minutes,
+            to_char(target_date, 'YYYY-MM-DD') AS target_date, created_at
+     FROM users
+     WHERE id = $1`,
+    [parsedUserId]
+  );
+  const trackStates = await db.query(
+    `SELECT t.slug AS track_slug, uts.current_lesson_order, uts.track_version, uts.last_seen
+     FROM user_track_state uts
+     JOIN tracks t ON t.id = uts.track_id
+     WHERE uts.user_id = $1
+     ORDER BY t.slug`,
+    [parsedUserId]
+  );
+  const attempts = await db.query(
+    `SELECT a.id, t.slug AS track_slug, a.lesson_id, l.lesson_order, a.attempt_type, a.score, a.max_score,
+            a.duration_sec, a.weak_tags, a.graded_by, a.created_at
+     FROM attempts a
+     JOIN lessons l ON l.id = a.lesson_id
+     JOIN tracks t ON t.id = l.track_id
+     WHERE a.user_id = $1
+     ORDER BY a.created_at, a.id`,
+    [parsedUserId]
+  );
+  const completions = await db.query(
+    `SELECT t.slug AS track_slug, lc.lesson_id, l.lesson_order, lc.completed_at
+     FROM lesson_completions lc
+     JOIN lessons l ON l.id = lc.lesson_id
+     JOIN tracks t ON t.id = l.track_id
+     WHERE lc.user_id = $1
+     ORDER BY lc.completed_at`,
+    [parsedUserId]
+  );
+  const tagReviews = await db.query(
+    `SELECT t.slug AS track_slug, tr.tag, tr.easiness, tr.interval_days, tr.repetitions, tr.lapses,
+            tr.last_quality, tr.last_reviewed_at, tr.due_at
+     FROM tag_reviews tr
+     JOIN tracks t ON t.id = tr.track_id
+     WHERE tr.user_id = $1
+     ORDER BY t.slug, tr.tag`,
+    [parsedUserId]
+  );
+  const issuedCertificates = await db.query(
+    `SELECT id, signed_payload FROM certificates WHERE user_id = $1 ORDER BY issued_at, id`,
+    [parsedUserId]
+  );
+  const ownedTracks = await db.query(`SELECT slug FROM tracks WHERE owner_user_id = $1 ORDER BY slug`, [parsedUserId]);
+
+  const learner = user.rows[0];
+  const ownedBundles = [];
+  for (const row of ownedTracks.rows) {
+    ownedBundles.push(await trackBundle.exportTrackBundle(db, row.slug));
+  }
+
+  logger.info({ event: "learner-export", attempts: attempts.rowCount });
+
+  res.attachment("learner-export.json");
+  return res.json({
+    exported_at: new Date().toISOString(),
+    learner: {
+      learner_id: learner.id,
+      created_at: learner.created_at,
+      timezone: learner.timezone,
+      daily_goal: { type: learner.daily_goal_type, target: learner.daily_goal_target },
+      weekly_minutes: learner.weekly_minutes,
+      target_date: learner.target_date
+    },
+    track_states: trackStates.rows,
+    attempts: attempts.rows,
+    lesson_completions: completions.rows,
+    tag_reviews: tagReviews.rows,
+    certificates: issuedCertificates.rows.map(certificates.summarize),
+    owned_tracks: ownedBundles
+  });
+});
+
+// Learner's completion certificates, newest first
+app.get("/v1/me/certificates", requireLearnerTokenKeys, async (req, res) => {
+  const parsedUserId = await getUserIdFromQuery(req, res);
+  const hasLearnerId = Object.prototype.hasOwnProperty.call(req.query, "learner_id");
+  const hasUserId = Object.prototype.hasOwnProperty.call(req.query, "user_id");
+  if ((hasUserId || hasLearnerId) && !parsedUserId) return;
+  if (!parsedUserId) return res.status(400).json({ error: "Missing ?learner_id=" });
+
+  const issued = await db.query(
+    `SELECT id, signed_payload FROM certificates WHERE user_id = $1 ORDER BY issued_at DESC, id`,
+    [parsedUserId]
+  );
+  return res.json({ certificates: issued.rows.map(certificates.summarize) });
+});
+
+// Erase a learner. Owned custom tracks nobody else has started are deleted with
+// them; any other owned track is kept for its learners and loses its owner.
+app.delete("/v1/me", requireLearnerTokenKeys, async (req, res) => {
+  const parsedUserId = await getUserIdFromQuery(req, res);
+  const hasLearnerId = Object.prototype.hasOwnProperty.call(req.query, "learner_id");
+  const hasUserId = Object.prototype.hasOwnProperty.call(req.query, "user_id");
+  if ((hasUserId || hasLearnerId) && !parsedUserId) return;
+  if (!parsedUserId) return res.status(400).json({ error: "Missing ?learner_id=" });
+
+  const client = await db.getClient();
+
+  try {
+    await client.query("BEGIN");
+
+    const deletedTracks = await client.query(
+      `DELETE FROM tracks t
+       WHERE t.owner_user_id = $1
+         AND t.track_type = 'custom'
+         AND NOT EXISTS (
+           SELECT 1 FROM user_track_state uts WHERE uts.track_id = t.id AND uts.user_id <> $1
+         )
+         AND NOT EXISTS (
+           SELECT 1 FROM attempts a JOIN lessons l ON l.id = a.lesson_id
+           WHERE l.track_id = t.id AND a.user_id <> $1
+         )
+       RETURNING t.slug`,
+      [parsedUserId]
+    );
+    const releasedTracks = await client.query(
+      `UPDATE tracks SET owner_user_id = NULL WHERE owner_user_id = $1 RETURNING slug`,
+      [parsedUserId]
+    );
+
+    // Explicit deletes (rather than relying on ON DELETE CASCADE) so the response can report counts
+    const attempts = await client.query(`DELETE FROM attempts WHERE user_id = $1`, [parsedUserId]);
+    const trackStates = await client.query(`DELETE FROM user_track_state WHERE user_id = $1`, [parsedUserId]);
+    const completions = await client.query(`DELETE FROM lesson_completions WHERE user_id = $1`, [parsedUserId]);
+    const tagReviews = await client.query(`DELETE FROM tag_reviews WHERE user_id = $1`, [parsedUserId]);
+    const issuedCertificates = await client.query(`DELETE FROM certificates WHERE user_id = $1`, [parsedUserId]);
+    // Queued and past webhook payloads identify the learner only by learner_hash
+    const deliveries = await client.query(`DELETE FROM webhook_deliveries WHERE payload->'data'->>'learner_hash' = $1`, [
+      logger.hashLearnerId(parsedUserId)
+    ]);
+    await client.query(`DELETE FROM users WHERE id = $1`, [parsedUserId]);
+
+    await client.query("COMMIT");
+
+    logger.info({
+      event: "learner-erased",
+      attempts: attempts.rowCount,
+      tracks_deleted: deletedTracks.rowCount,
+      tracks_released: releasedTracks.rowCount
+    });
+
+    return res.json({
+      erased: true,
+      learner_id: parsedUserId,
+      deleted: {
+        attempts: attempts.rowCount,
+        track_states: trackStates.rowCount,
+        lesson_completions: completions.rowCount,
+        tag_reviews: tagReviews.rowCount,
+        certificates: issuedCertificates.rowCount,
+        webhook_deliveries: deliveries.rowCount,
+        tracks: deletedTracks.rows.map((row) => row.slug)
+      },
+      released_tracks: releasedTracks.rows.map((row) => row.slug)
+    });
+  } catch (e) {
+    await client.query("ROLLBACK");
+    return res.status(400).json({ error: "Unable to erase learner" });
+  } finally {
+    client.release();
+  }
+});
+
+// ---------- learner-owned custom tracks ----------
+// Drafts are private to their owner; publishing makes them public.
+
+app.post("/v1/me/tracks", requireLearnerTokenKeys, async (req, res) => {
+  const parsedUserId = await getUserIdFromQuery(req, res);
+  const hasLearnerId = Object.prototype.hasOwnProperty.call(req.query, "learner_id");
+  const hasUserId = Object.prototype.hasOwnProperty.call(req.query, "user_id");
+  if ((hasUserId || hasLearnerId) && !parsedUserId) return;
+  if (!parsedUserId) return res.status(400).json({ error: "Missing ?learner_id=" });
+
+  const schema = z.object({
+    slug: z.string().min(2).max(50),
+    title: z.string().min(2).max(100),
+    official_sources: z.array(z.string().url()).optional()
+  });
+
+  const parsed = schema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const { slug, title, official_sources = [] } = parsed.data;
+  const created = await db.query(
+    `INSERT INTO tracks (slug, title, official_sources, track_type, owner_user_id, status)
+     VALUES ($1, $2, $3::jsonb, 'custom', $4, 'draft')
+     ON CONFLICT (slug) DO NOTHING
+     RETURNING id, slug, title, official_sources, track_type, owner_user_id, status`,
+    [slug.toLowerCase(), title, JSON.stringify(official_sources), parsedUserId]
+  );
+  if (created.rowCount === 0) return res.status(409).json({ error: "Track slug already exists" });
+
+  logger.info({ event: "create-learner-track", slug: created.rows[0].slug });
+
+  return res.status(201).json({ track: created.rows[0] });
+});
+
+app.patch("/v1/me/tracks/:slug", requireLearnerTokenKeys, async (req, res) => {
+  const parsedUserId = await getUserIdFromQuery(req, res);
+  const hasLearnerId = Object.prototype.hasOwnProperty.call(req.query, "learner_id");
+  const hasUserId = Object.prototype.hasOwnProperty.call(req.query, "user_id");
+  if ((hasUserId || hasLearnerId) && !parsedUserId) return;
+  if (!parsedUserId) return res.status(400).json({ error: "Missing ?learner_id=" });
+
+  // Published tracks can be archived but never go back to draft: other learners may have started them
+  const schema = z
+    .object({
+      title: z.string().min(2).max(100).optional(),
+      official_sources: z.array(z.string().url()).optional(),
+      status: z.literal("archived").optional()
+    })
+    .refine((payload) => Object.keys(payload).length > 0, "Provide at least one field to update");
+
+  const parsed = schema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const track = await getOwnedTrack(req.params.slug.toLowerCase(), parsedUserId);
+  if (!track) return res.status(404).json({ error: "Track not found" });
+
+  const payload = parsed.data;
+  const updated = await db.query(
+    `UPDATE tracks
+     SET title = COALESCE($2, title),
+         official_sources = COALESCE($3::jsonb, official_sources),
+         status = COALESCE($4, status)
+     WHERE id = $1
+     RETURNING id, slug, title, official_sources, track_type, owner_user_id, status`,
+    [
+      track.id,
+      payload.title ?? null,
+      payload.official_sources ? JSON.stringify(payload.official_sources) : null,
+      payload.status ?? null
+    ]
+  );
+
+  logger.info({ event: "update-learner-track", slug: track.slug });
+
+  return res.json({ track: updated.rows[0] });
+});
+
+// Upserts lessons by lesson_order, like /v1/internal/seed-lessons
+app.put("/v1/me/tracks/:slug/lessons", requireLearnerTokenKeys, async (req, res) => {
+  const parsedUserId = await getUserIdFromQuery(req, res);
+  const hasLearnerId = Object.prototype.hasOwnProperty.call(req.query, "learner_id");
+  const hasUserId = Object.prototype.hasOwnProperty.call(req.query, "user_id");
+  if ((hasUserId || hasLearnerId) && !parsedUserId) return;
+  if (!parsedUserId) return res.status(400).json({ error: "Missing ?learner_id=" });
+
+  const schema = z.object({
+    lessons: z.array(lessonSeedSchema).min(1)
+  });
+
+  const parsed = schema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const track = await getOwnedTrack(req.params.slug.toLowerCase(), parsedUserId);
+  if (!track) return res.status(404).json({ error: "Track not found" });
+
+  // Prerequisites in other tracks must be ones this learner can see
+  const otherSlugs = [
+    ...new Set(
+      parsed.data.lessons
+        .flatMap((lesson) => lesson.prerequisites || [])
+        .map((prerequisite) => (prerequisite.track_slug || track.slug).toLowerCase())
+        .filter((slug) => slug !== track.slug)
+    )
+  ];
+  const hidden = [];
+  for (const slug of otherSlugs) {
+    const other = await getTrackBySlug(slug);
+    if (other && !isTrackVisibleTo(other, parsedUserId)) hidden.push(slug);
+  }
+  if (hidden.length > 0) {
+    return res.status(400).json({ error: "Unknown prerequisite tracks", missing: hidden });
+  }
+
+  const client = await db.getClient();
+
+  try {
+    await client.query("BEGIN");
+
+    const result = await seedLessons(client, track, parsed.data.lessons);
+    if (result.error) {
+      await client.query("ROLLBACK");
+      return res.status(400).json(result.error);
+    }
+
+    await client.query("COMMIT");
+
+    logger.info({
+      event: "seed-learner-lessons",
+      track_slug: track.slug,
+      inserted: result.insertedCount,
+      updated: result.updatedCount
+    });
+
+    return res.json({
+      track: { id: track.id, slug: track.slug, title: track.title },
+      inserted_or_updated: result.seeded.length,
+      lessons: result.seeded,
+      prerequisite_edges: result.prerequisiteEdges,
+      quiz_items: result.quizItems,
+      content_versions: result.contentVersions
+    });
+  } catch (e) {
+    await client.query("ROLLBACK");
+    return res.status(400).json({ error: "Unable to save lessons" });
+  } finally {
+    client.release();
+  }
+});
+
+// Draft (or archived) -> active: the track becomes public
+app.post("/v1/me/tracks/:slug/publish", requireLearnerTokenKeys, async (req, res) => {
+  const parsedUserId = await getUserIdFromQuery(req, res);
+  const hasLearnerId = Object.prototype.hasOwnProperty.call(req.query, "learner_id");
+  const hasUserId = Object.prototype.hasOwnProperty.call(req.query, "user_id");
+  if ((hasUserId || hasLearnerId) && !parsedUserId) return;
+  if (!parsedUserId) return res.status(400).json({ error: "Missing ?learner_id=" });
+
+  const track = await getOwnedTrack(req.params.slug.toLowerCase(), parsedUserId);
+  if (!track) return res.status(404).json({ error: "Track not found" });
+
+  const lessonCount = await db.query(`SELECT COUNT(*)::int AS count FROM lessons WHERE track_id = $1`, [track.id]);
+  if (lessonCount.rows[0].count === 0) {
+    return res.status(409).json({ error: "Add at least one lesson before publishing" });
+  }
+
+  const published = await db.query(
+    `UPDATE tracks
+     SET status = 'active'
+     WHERE id = $1
+     RETURNING id, slug, title, official_sources, track_type, owner_user_id, status`,
+    [track.id]
+  );
+
+  logger.info({ event: "publish-learner-track", slug: track.slug, previous_status: track.status });
+
+  return res.json({ track: published.rows[0] });
+});
+
+// Get next lesson for a track + user progress
+app.get("/v1/lessons/next", requireLearnerTokenKeys, async (req, res) => {
+  const trackSlug = req.query.track;
+  if (!trackSlug) return res.status(400).json({ error: "Missing ?track=slug" });
+
+  const parsedUserId = await getUserIdFromQuery(req, res);
+  const hasLearnerId = Object.prototype.hasOwnProperty.call(req.query, "learner_id");
+  const hasUserId = Object.prototype.hasOwnProperty.call(req.query, "user_id");
+  if ((hasUserId || hasLearnerId) && !parsedUserId) return;
+
+  const track = await getTrackBySlug(trackSlug.toLowerCase());
+  if (!track || !isTrackVisibleTo(track, parsedUserId)) return res.status(404).json({ error: "Track not found" });
+
+  const user_id = await ensureUser(parsedUserId);
+  // New learners get their token here so they can keep going without /v1/me
+  const token = parsedUserId ? {} : await issueLearnerTokenForUser(user_id);
+
+  return res.json({ user_id, ...token, ...(await buildNextLesson(user_id, track)) });
+});
+
+// Move a learner to the latest published version, keeping them on the same lesson
+app.post("/v1/tracks/:slug/upgrade", requireLearnerTokenKeys, async (req, res) => {
+  const parsedUserId = await getUserIdFromQuery(req, res);
+  const hasLearnerId = Object.prototype.hasOwnProperty.call(req.query, "learner_id");
+  const hasUserId = Object.prototype.hasOwnProperty.call(req.query, "user_id");
+  if ((hasUserId || hasLearnerId) && !parsedUserId) return;
+  if (!parsedUserId) return res.status(400).json({ error: "Missing ?learner_id=" });
+
+  const track = await getTrackBySlug(req.params.slug.toLowerCase());
+  if (!track || !isTrackVisibleTo(track, parsedUserId)) return res.status(404).json({ error: "Track not found" });
+
+  const stateRes = await db.query(
+    `SELECT current_lesson_order, track_version FROM user_track_state WHERE user_id = $1 AND track_id = $2`,
+    [parsedUserId, track.id]
+  );
+  if (stateRes.rowCount === 0) return res.status(404).json({ error: "Learner has not started this track" });
+
+  const { current_lesson_order, track_version } = stateRes.rows[0];
+  const latest = await getLatestTrackVersion(track.id);
+  if (!latest || track_version === latest.version) {
+    return res.json({
+      learner_id: parsedUserId,
+      upgraded: false,
+      previous_track_version: track_version,
+      track_version: track_version,
+      current_lesson_order
+    });
+  }
+
+  // Map the current lesson by id; a lesson dropped from the new version keeps its position
+  const fromLessons = track_version
+    ? (await getTrackVersion(track.id, track_version)).snapshot.lessons
+    : (await db.query(`SELECT id, lesson_order FROM lessons WHERE track_id = $1`, [track.id])).rows;
+  const currentLesson = fromLessons.find((lesson) => lesson.lesson_order === current_lesson_order);
+  const mappedLesson = currentLesson && latest.snapshot.lessons.find((lesson) => lesson.id === currentLesson.id);
+  const nextOrder = mappedLesson
+    ? mappedLesson.lesson_order
+    : Math.min(current_lesson_order, latest.snapshot.lessons.length + 1);
+
+  await db.query(
+    `UPDATE user_track_state
+     SET track_version = $3, current_lesson_order = $4, last_seen = now()
+     WHERE user_id = $1 AND track_id = $2`,
+    [parsedUserId, track.id, latest.version, nextOrder]
+  );
+
+  logger.info({ event: "upgrade-track-version", slug: track.slug, from: track_version, to: latest.version });
+
+  return res.json({
+    learner_id: parsedUserId,
+    upgraded: true,
+    previous_track_version: track_version,
+    track_version: latest.version,
+    current_lesson_order: nextOrder
+  });
+});
+
+app.get("/v1/resume", requireLearnerTokenKeys, async (req, res) => {
+  const parsedLearnerId = z.string().uuid().safeParse(req.query.learner_id);
+  if (!parsedLearnerId.success) {
+    return res.status(400).json({ error: "learner_id must be a valid UUID" });
+  }
+
+  const learner_id = parsedLearnerId.data;
+  if (!(await authenticateLearner(req, res, learner_id))) return;
+
+  return res.json({ learner_id, ...(await buildResume(learner_id)) });
+});
+
+// Spaced-repetition queue: due tags for a track and the past lessons that cover them
+app.get("/v1/reviews/due", requireLearnerTokenKeys, async (req, res) => {
+  const trackSlug = req.query.track;
+  if (!trackSlug) return res.status(400).json({ error: "Missing ?track=slug" });
+
+  const parsedLimit = z.coerce.number().int().min(1).max(20).default(5).safeParse(req.query.limit);
+  if (!parsedLimit.success) return res.status(400).json({ error: "limit must be an integer between 1 and 20" });
+
+  const parsedUserId = await getUserIdFromQuery(req, res);
+  const hasLearnerId = Object.prototype.hasOwnProperty.call(req.query, "learner_id");
+  const hasUserId = Object.prototype.hasOwnProperty.call(req.query, "user_id");
+  if ((hasUserId || hasLearnerId) && !parsedUserId) return;
+  if (!parsedUserId) return res.status(400).json({ error: "Missing ?learner_id=" });
+
+  const track = await getTrackBySlug(trackSlug.toLowerCase());
+  if (!track || !isTrackVisibleTo(track, parsedUserId)) return res.status(404).json({ error: "Track not found" });
+
+  return res.json({ learner_id: parsedUserId, ...(await buildDueReviews(parsedUserId, track, parsedLimit.data)) });
+});
+
+const SESSION_TRACK_LIMIT = 5;
+
+// Everything a study session starts with in one round-trip: the GET /v1/me
+// dashboard, the resume list, and the next lesson and due reviews for each
+// active track (or for the tracks asked for)
+app.post("/v1/session", requireLearnerTokenKeys, async (req, res) => {
+  const parsedUserId = await getUserIdFromQuery(req, res);
+  const hasLearnerId = Object.prototype.hasOwnProperty.call(req.query, "learner_id");
+  const hasUserId = Object.prototype.hasOwnProperty.call(req.query, "user_id");
+  if ((hasUserId || hasLearnerId) && !parsedUserId) return;
+  if (!parsedUserId) return res.status(400).json({ error: "Missing ?learner_id=" });
+
+  const schema = z.object({
+    learner_token: z.string().optional(),
+    tracks: z.array(z.string().min(2).max(50)).min(1).max(SESSION_TRACK_LIMIT).optional(),
+    review_limit: z.number().int().min(1).max(20).default(5),
+    from: z.iso.date().optional(),
+    to: z.iso.date().optional()
+  });
+  const parsed = schema.safeParse(req.body ?? {});
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+  const body = parsed.data;
+
+  const dashboard = await buildDashboard(parsedUserId, body);
+  if (dashboard.error) return res.status(400).json({ error: dashboard.error });
+
+  let tracks;
+  if (body.tracks) {
+    tracks = [];
+    for (const slug of new Set(body.tracks.map((candidate) => candidate.toLowerCase()))) {
+      const track = await getTrackBySlug(slug);
+      if (!track || !isTrackVisibleTo(track, parsedUserId)) return res.status(404).json({ error: `Track not found: ${slug}` });
+      tracks.push(track);
+    }
+  } else {
+    tracks = await listActiveTracks(parsedUserId, SESSION_TRACK_LIMIT);
+  }
+
+  const nextLessons = [];
+  const dueReviews = [];
+  for (const track of tracks) {
+    nextLessons.push(await buildNextLesson(parsedUserId, track));
+    dueReviews.push(await buildDueReviews(parsedUserId, track, body.review_limit));
+  }
+
+  return res.json({
+    learner_id: parsedUserId,
+    dashboard,
+    resume: await buildResume(parsedUserId),
+    next_lessons: nextLessons,
+    due_reviews: dueReviews
+  });
+});
+
+// Quiz items for a lesson, without answer keys
+app.get("/v1/lessons/:id/quiz", async (req, res) => {
+  const parsedId = z.string().uuid().safeParse(req.params.id);
+  if (!parsedId.success) return res.status(400).json({ error: "Lesson id must be a valid UUID" });
+
+  const parsedUserId = await getUserIdFromQuery(req, res);
+  const hasLearnerId = Object.prototype.hasOwnProperty.call(req.query, "learner_id");
+  const hasUserId = Object.prototype.hasOwnProperty.call(req.query, "user_id");
+  if ((hasUserId || hasLearnerId) && !parsedUserId) return;
+
+  const lesson = await db.query(
+    `SELECT l.id, l.lesson_order, l.title, t.status, t.owner_user_id
+     FROM lessons l
+     JOIN tracks t ON t.id = l.track_id
+     WHERE l.id = $1`,
+    [parsedId.data]
+  );
+  if (lesson.rowCount === 0 || !isTrackVisibleTo(lesson.rows[0], parsedUserId)) {
+    return res.status(404).json({ error: "Lesson not found" });
+  }
+  const { id, lesson_order, title } = lesson.rows[0];
+
+  const items = await db.query(
+    `SELECT id, item_order, item_type, prompt, choices, tags, points
+     FROM quiz_items
+     WHERE lesson_id = $1
+     ORDER BY item_order`,
+    [parsedId.data]
+  );
+
+  return res.json({
+    lesson: { id, lesson_order, title },
+    items: items.rows.map(quizGrader.toPublicItem)
+  });
+});
+
+// Grade quiz answers on the server and record them as a quiz attempt
+app.post("/v1/lessons/:id/quiz/submit", requireLearnerTokenKeys, async (req, res) => {
+  const parsedId = z.string().uuid().safeParse(req.params.id);
+  if (!parsedId.success) return res.status(400).json({ error: "Lesson id must be a valid UUID" });
+
+  const schema = z.object({
+    user_id: z.string().uuid().optional(),
+    learner_token: z.string().optional(),
+    duration_sec: z.number().int().positive().optional(),
+    answers: z.array(
+      z.object({
+        item_id: z.string().uuid(),
+        choice_indices: z.array(z.number().int().nonnegative()).optional(),
+        text: z.string().max(1000).optional(),
+        order: z.array(z.string()).optional()
+      })
+    )
+  });
+
+  const parsed = schema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const body = parsed.data;
+  if (body.user_id && !(await authenticateLearner(req, res, body.user_id))) return;
+
+  const lesson = await getLessonForAttempt(parsedId.data);
+  if (!lesson || !isLessonVisibleTo(lesson, body.user_id)) return res.status(404).json({ error: "Lesson not found" });
+
+  const items = await db.query(
+    `SELECT id, item_type, choices, answer, tags, points
+     FROM quiz_items
+     WHERE lesson_id = $1
+     ORDER BY item_order`,
+    [lesson.id]
+  );
+  if (items.rowCount === 0) return res.status(404).json({ error: "This lesson has no quiz items" });
+
+  const graded = quizGrader.gradeQuiz(items.rows, body.answers);
+  if (graded.unknown_item_ids.length > 0) {
+    return res.status(400).json({ error: "Answers reference items that are not in this lesson's quiz", item_ids: graded.unknown_item_ids });
+  }
+
+  const user_id = await ensureUser(body.user_id);
+  const token = body.user_id ? {} : await issueLearnerTokenForUser(user_id);
+
+  const client = await db.getClient();
+  let result;
+  try {
+    await client.query("BEGIN");
+    result = await recordAttempt(client, user_id, lesson, {
+      attempt_type: "quiz",
+      score: graded.score,
+      max_score: graded.max_score,
+      duration_sec: body.duration_sec ?? null,
+      weak_tags: graded.weak_tags,
+      graded_by: "server"
+    });
+    await client.query("COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK");
+    // The lesson was deleted after it was looked up
+    if (e.code === "23503") return res.status(404).json({ error: "Lesson not found" });
+    throw e;
+  } finally {
+    client.release();
+  }
+
+  countAttempt({ attempt_type: "quiz", graded_by: "server" }, result);
+  logger.info({
+    event: "submit-quiz",
+    user_id,
+    lesson_id: lesson.id,
+    score: graded.score,
+    max_score: graded.max_score,
+    advanced: result.advanced
+  });
+
+  return res.json({
+    user_id,
+    ...token,
+    ...result,
+    score: graded.score,
+    max_score: graded.max_score,
+    weak_tags: graded.weak_tags,
+    results: graded.results
+  });
+});
+
+// One self-reported attempt, as sent to POST /v1/attempts and /v1/attempts/batch
+const attemptInputFields = {
+  lesson_id: z.string().uuid(),
+  attempt_type: z.enum(["quiz", "challenge", "project"]),
+  score: z.number().optional(),
+  max_score: z.number().optional(),
+  duration_sec: z.number().int().positive().optional(),
+  weak_tags: z.array(z.string()).optional()
+};
+const ATTEMPT_BATCH_MAX = 20;
+
+function clientGradedAttempt(input) {
+  return {
+    attempt_type: input.attempt_type,
+    score: input.score ?? null,
+    max_score: input.max_score ?? null,
+    duration_sec: input.duration_sec ?? null,
+    weak_tags: input.weak_tags ?? [],
+    graded_by: "client"
+  };
+}
+
+// Submit attempt + advance lesson if passed. With an Idempotency-Key header,
+// a retried request gets the stored response instead of a second attempt.
+app.post("/v1/attempts", requireLearnerTokenKeys, async (req, res) => {
+  const schema = z.object({
+    user_id: z.string().uuid().optional(),
+    learner_token: z.string().optional(),
+    ...attemptInputFields
+  });
+
+  const parsed = schema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const body = parsed.data;
+  const idempotencyKey = req.get("Idempotency-Key");
+  if (idempotencyKey !== undefined) {
+    if (!idempotency.isValidKey(idempotencyKey)) {
+      return res.status(400).json({ error: "Idempotency-Key must be 1 to 255 printable ASCII characters" });
+    }
+    // A replay would otherwise hand a new learner's token to whoever repeats the key
+    if (!body.user_id) return res.status(400).json({ error: "Idempotency-Key requires user_id" });
+  }
+  if (body.user_id && !(await authenticateLearner(req, res, body.user_id))) return;
+
+  const lesson = await getLessonForAttempt(body.lesson_id);
+  if (!lesson || !isLessonVisibleTo(lesson, body.user_id)) return res.status(404).json({ error: "Lesson not found" });
+
+  // Lessons with an item bank are graded by the server only
+  if (body.attempt_type === "quiz" && lesson.has_quiz_items) {
+    return res.status(400).json({
+      error: `This lesson has quiz items. Submit answers to POST /v1/lessons/${body.lesson_id}/quiz/submit instead.`
+    });
+  }
+
+  const user_id = await ensureUser(body.user_id);
+  const token = body.user_id ? {} : await issueLearnerTokenForUser(user_id);
+  const route = "POST /v1/attempts";
+  if (idempotencyKey) await idempotency.purgeExpired(db, user_id);
+
+  const client = await db.getClient();
+  let response;
+  try {
+    await client.query("BEGIN");
+
+    if (idempotencyKey) {
+      const { learner_token, ...request } = body;
+      const claim = await idempotency.claimKey(client, user_id, route, idempotencyKey, idempotency.requestHash(request));
+      if (!claim.claimed) {
+        await client.query("ROLLBACK");
+        if (!claim.matches) {
+          return res.status(409).json({ error: "Idempotency-Key was already used with a different request" });
+        }
+        res.set(idempotency.REPLAY_HEADER, "true");
+        return res.status(claim.status).json(claim.body);
+      }
+    }
+
+    const result = await recordAttempt(client, user_id, lesson, clientGradedAttempt(body));
+    response = { user_id, ...token, ...result };
+
+    if (idempotencyKey) await idempotency.saveResponse(client, user_id, route, idempotencyKey, 200, response);
+    await client.query("COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK");
+    // The lesson was deleted after it was looked up
+    if (e.code === "23503") return res.status(404).json({ error: "Lesson not found" });
+    throw e;
+  } finally {
+    client.release();
+  }
+
+  countAttempt({ attempt_type: body.attempt_type, graded_by: "client" }, response);
+  logger.info({
+    event: "submit-attempt",
+    user_id,
+    lesson_id: body.lesson_id,
+    advanced: response.advanced
+  });
+
+  return res.json(response);
+});
+
+// Several attempts in one transaction, recorded in order: every item is saved
+// or, when one fails, none are
+app.post("/v1/attempts/batch", requireLearnerTokenKeys, async (req, res) => {
+  const schema = z.object({
+    user_id: z.string().uuid(),
+    learner_token: z.string().optional(),
+    attempts: z.array(z.object(attemptInputFields)).min(1).max(ATTEMPT_BATCH_MAX)
+  });
+
+  const parsed = schema.safeParse(req.body);
+  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
+
+  const body = parsed.data;
+  const idempotencyKey = req.get("Idempotency-Key");
+  if (idempotencyKey !== undefined && !idempotency.isValidKey(idempotencyKey)) {
+    return res.status(400).json({ error: "Idempotency-Key must be 1 to 255 printable ASCII characters" });
+  }
+  const user_id = body.user_id;
+  if (!(await authenticateLearner(req, res, user_id))) return;
+
+  // Every item is checked before anything is written
+  const lessons = new Map();
+  for (const { lesson_id } of body.attempts) {
+    if (!lessons.has(lesson_id)) lessons.set(lesson_id, await getLessonForAttempt(lesson_id));
+  }
+  const missing = [];
+  const serverGraded = [];
+  body.attempts.forEach((attempt, index) => {
+    const lesson = lessons.get(attempt.lesson_id);
+    if (!lesson || !isLessonVisibleTo(lesson, user_id)) missing.push({ index, lesson_id: attempt.lesson_id });
+    else if (attempt.attempt_type === "quiz" && lesson.has_quiz_items) serverGraded.push({ index, lesson_id: attempt.lesson_id });
+  });
+  if (missing.length > 0) {
+    return res.status(404).json({ error: "Lesson not found; no attempts were saved", items: missing });
+  }
+  if (serverGraded.length > 0) {
+    return res.status(400).json({
+      error: "These lessons have quiz items. Submit answers to POST /v1/lessons/{id}/quiz/submit instead; no attempts were saved",
+      items: serverGraded
+    });
+  }
+
+  const route = "POST /v1/attempts/batch";
+  if (idempotencyKey) await idempotency.purgeExpired(db, user_id);
+
+  const client = await db.getClient();
+  let response;
+  try {
+    await client.query("BEGIN");
+
+    if (idempotencyKey) {
+      const { learner_token, ...request } = body;
+      const claim = await idempotency.claimKey(client, user_id, route, idempotencyKey, idempotency.requestHash(request));
+      if (!claim.claimed) {
+        await client.query("ROLLBACK");
+        if (!claim.matches) {
+          return res.status(409).json({ error: "Idempotency-Key was already used with a different request" });
+        }
+        res.set(idempotency.REPLAY_HEADER, "true");
+        return res.status(claim.status).json(claim.body);
+      }
+    }
+
+    const results = [];
+    for (const attempt of body.attempts) {
+      const result = await recordAttempt(client, user_id, lessons.get(attempt.lesson_id), clientGradedAttempt(attempt));
+      results.push({ lesson_id: attempt.lesson_id, ...result });
+    }
+    response = { user_id, results };
+
+    if (idempotencyKey) await idempotency.saveResponse(client, user_id, route, idempotencyKey, 200, response);
+    await client.query("COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK");
+    // A lesson was deleted after it was looked up
+    if (e.code === "23503") return res.status(404).json({ error: "Lesson not found; no attempts were saved" });
+    throw e;
+  } finally {
+    client.release();
+  }
+
+  body.attempts.forEach((attempt, index) =>
+    countAttempt({ attempt_type: attempt.attempt_type, graded_by: "client" }, response.results[index])
+  );
+  logger.info({
+    event: "submit-attempt-batch",
+    user_id,
+    attempts: response.results.length,
+    advanced: response.results.filter((result) => result.advanced).length
+  });
+
+  return res.json(response);
+});
+
+app.use((req, res) => {
+  return res.status(404).json({ error: "Not found" });
+});
+
+// Errors thrown by routes end up here (Express 5 forwards rejected promises).
+// Clients get the request ID to quote; the details only go to the log.
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+
+  // Bodies express.json() could not read
+  if (err.type === "entity.parse.failed") return res.status(400).json({ error: "Request body is not valid JSON" });
+  if (err.expose && err.status >= 400 && err.status < 500) return res.status(err.status).json({ error: err.message });
+
+  logger.error({
+    event: "unhandled-error",
+    method: req.method,
+    route: logger.routeLabel(req),
+    error: err.message,
+    code: err.code,
+    stack: err.stack
+  });
+  return res.status(500).json({ error: "Internal server error", request_id: logger.currentRequestId() });
+});
+
+module.exports = app;
@@ -0,0 +1,222 @@
+// certificates.js
+// Signed track completion certificates. The signed payload is stored verbatim
+// (certificates.signed_payload) and signed with HMAC-SHA256, so the API can
+// confirm a certificate at GET /v1/certificates/:id/verify for anyone holding
+// its id. Public views leave out the Learner ID.
+require("dotenv").config();
+const crypto = require("crypto");
+
+const SIGNATURE_PREFIX = "cert1";
+
+// CERTIFICATE_KEYS="c2:new-secret,c1:old-secret"
+// The first key signs new certificates. Certificates never expire, so a key
+// must stay listed for as long as certificates signed with it should verify.
+function loadSigningKeys() {
+  const raw = process.env.CERTIFICATE_KEYS || "";
+  return raw
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(":");
+      if (separator <= 0 || separator === entry.length - 1) {
+        throw new Error("Invalid CERTIFICATE_KEYS entry. Use kid:secret pairs separated by commas.");
+      }
+      const kid = entry.slice(0, separator);
+      if (!/^[A-Za-z0-9_-]+$/.test(kid)) {
+        throw new Error("Invalid CERTIFICATE_KEYS key id. Use letters, digits, '-' or '_'.");
+      }
+      return { kid, secret: entry.slice(separator + 1) };
+    });
+}
+
+function isConfigured() {
+  return loadSigningKeys().length > 0;
+}
+
+function sign(secret, kid, signedPayload) {
+  return crypto.createHmac("sha256", secret).update(`${SIGNATURE_PREFIX}.${kid}.${signedPayload}`).digest("base64url");
+}
+
+// fields: { learner_id, track: { slug, title, version }, completed_on, stats }
+// Returns the certificates row to insert: { id, key_id, signed_payload, signature }
+function signCertificate(fields, now = new Date()) {
+  const [activeKey] = loadSigningKeys();
+  if (!activeKey) throw new Error("CERTIFICATE_KEYS is not configured on the server.");
+
+  const id = crypto.randomUUID();
+  const signedPayload = JSON.stringify({ certificate_id: id, ...fields, issued_at: now.toISOString() });
+  return {
+    id,
+    key_id: activeKey.kid,
+    signed_payload: signedPayload,
+    signature: sign(activeKey.secret, activeKey.kid, signedPayload)
+  };
+}
+
+// row: { id, key_id, signed_payload, signature }. Returns { valid: true, payload }
+// or { valid: false, reason }.
+function verifyCertificate(row) {
+  const key = loadSigningKeys().find((candidate) => candidate.kid === row.key_id);
+  if (!key) return { valid: false, reason: "unknown_key" };
+
+  const expected = Buffer.from(sign(key.secret, row.key_id, row.signed_payload));
+  const provided = Buffer.from(row.signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return { valid: false, reason: "bad_signature" };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(row.signed_payload);
+  } catch (e) {
+    return { valid: false, reason: "malformed" };
+  }
+  if (payload.certificate_id !== row.id) return { valid: false, reason: "bad_signature" };
+  return { valid: true, payload };
+}
+
+function certificateLinks(id) {
+  return {
+    verify_url: `/v1/certificates/${id}/verify`,
+    html_url: `/v1/certificates/${id}?format=html`,
+    pdf_url: `/v1/certificates/${id}?format=pdf`
+  };
+}
+
+// Reference returned to the learner when a certificate is issued or listed
+function summarize(row) {
+  const payload = JSON.parse(row.signed_payload);
+  return {
+    id: row.id,
+    track: payload.track,
+    completed_on: payload.completed_on,
+    issued_at: payload.issued_at,
+    ...certificateLinks(row.id)
+  };
+}
+
+// What verification and rendering show: everything but the Learner ID
+function publicView(payload, keyId) {
+  const { learner_id, ...shown } = payload;
+  return { ...shown, key_id: keyId };
+}
+
+function summaryLine(view) {
+  const { stats } = view;
+  const parts = [`${stats.total_lessons} lessons`, `${stats.attempts} attempts`];
+  if (stats.study_minutes > 0) parts.push(`${stats.study_minutes} minutes of study`);
+  if (stats.average_score_pct != null) parts.push(`average score ${stats.average_score_pct}%`);
+  return parts.join(", ");
+}
+
+function trackLine(view) {
+  const version = view.track.version == null ? "unversioned" : `version ${view.track.version}`;
+  return `Track "${view.track.slug}", ${version}`;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function renderHtml(view) {
+  const links = certificateLinks(view.certificate_id);
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Certificate of Completion: ${escapeHtml(view.track.title)}</title>
+<style>
+  body { font-family: Georgia, serif; background: #f4f1ea; margin: 0; padding: 2rem; }
+  main { max-width: 48rem; margin: 0 auto; background: #fff; border: 6px double #8a6d3b; padding: 3rem; text-align: center; }
+  h1 { font-size: 2.2rem; margin: 0 0 1.5rem; }
+  h2 { font-size: 1.8rem; margin: 0.5rem 0 1rem; }
+  p { margin: 0.4rem 0; }
+  footer { margin-top: 2rem; font-size: 0.8rem; color: #555; word-break: break-all; }
+</style>
+</head>
+<body>
+<main>
+  <h1>Certificate of Completion</h1>
+  <p>This certifies that the holder of this certificate completed</p>
+  <h2>${escapeHtml(view.track.title)}</h2>
+  <p>${escapeHtml(trackLine(view))}</p>
+  <p>Completed on ${escapeHtml(view.completed_on)} (started ${escapeHtml(view.stats.started_on || view.completed_on)})</p>
+  <p>${escapeHtml(summaryLine(view))}</p>
+  <footer>
+    <p>Certificate ID ${escapeHtml(view.certificate_id)}, issued ${escapeHtml(view.issued_at)}, signed with key ${escapeHtml(view.key_id)}</p>
+    <p>Verify at <a href="${escapeHtml(links.verify_url)}">${escapeHtml(links.verify_url)}</a></p>
+  </footer>
+</main>
+</body>
+</html>
+`;
+}
+
+// PDF strings use the standard fonts' WinAnsi encoding: anything outside
+// Latin-1 becomes "?"
+function pdfText(value) {
+  return String(value)
+    .replace(/[^\x20-\xff]/g, "?")
+    .replace(/[\\()]/g, (char) => `\\${char}`);
+}
+
+// Single landscape A4 page built by hand, so no PDF library is needed
+function renderPdf(view) {
+  const lines = [
+    ["F2", 30, 470, "Certificate of Completion"],
+    ["F1", 14, 420, "This certifies that the holder of this certificate completed"],
+    ["F2", 24, 375, view.track.title],
+    ["F1", 13, 335, trackLine(view)],
+    ["F1", 13, 312, `Completed on ${view.completed_on} (started ${view.stats.started_on || view.completed_on})`],
+    ["F1", 13, 289, summaryLine(view)],
+    ["F1", 9, 150, `Certificate ID ${view.certificate_id}, issued ${view.issued_at}, signed with key ${view.key_id}`],
+    ["F1", 9, 135, `Verify at ${certificateLinks(view.certificate_id).verify_url}`]
+  ];
+  // Centered using Helvetica's average glyph width (about half the font size)
+  const text = lines
+    .map(([font, size, y, value]) => {
+      const x = Math.max(40, Math.round((842 - String(value).length * size * 0.5) / 2));
+      return `BT /${font} ${size} Tf ${x} ${y} Td (${pdfText(value)}) Tj ET`;
+    })
+    .join("\n");
+  const content = `0.54 0.43 0.23 RG 4 w 30 30 782 535 re S 1 w 40 40 762 515 re S\n0 0 0 rg\n${text}`;
+
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 842 595] /Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+    `<< /Length ${Buffer.byteLength(content, "latin1")} >>\nstream\n${content}\nendstream`
+  ];
+
+  let pdf = "%PDF-1.4\n";
+  const offsets = [];
+  objects.forEach((object, index) => {
+    offsets.push(Buffer.byteLength(pdf, "latin1"));
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+  });
+  const xrefOffset = Buffer.byteLength(pdf, "latin1");
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, "latin1");
+}
+
+module.exports = {
+  isConfigured,
+  signCertificate,
+  verifyCertificate,
+  certificateLinks,
+  summarize,
+  publicView,
+  renderHtml,
+  renderPdf
+};
@@ -41,8 +41,13 @@ const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
   ssl: resolveSslConfig()
 });
+let closing = null;
 
 module.exports = {
   query: (text, params) => pool.query(text, params),
   getClient: () => pool.connect(),
+  // Pool usage for /metrics: open clients, idle ones, and queries queued for a client
+  poolStats: () => ({ total: pool.totalCount, idle: pool.idleCount, waiting: pool.waitingCount }),
+  // Waits for checked-out clients to be released; safe to call more than once
+  close: () => (closing ??= pool.end()),
 };
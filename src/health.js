@@ -0,0 +1,48 @@
+// health.js
+// Readiness checks for GET /health/ready: the pool can reach Postgres, the
+// schema matches migrations/ and ADMIN_KEY is set. Each check is bounded by a
+// timeout, since an unreachable database can otherwise hang a new connection.
+const migrations = require("./migrations");
+
+const CHECK_TIMEOUT_MS = 2000;
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Returns { ready, checks, errors }. errors holds the failure messages for the
+// log; they are not meant for the response.
+async function checkReadiness(db, { timeoutMs = CHECK_TIMEOUT_MS } = {}) {
+  const checks = {};
+  const errors = {};
+
+  const started = Date.now();
+  try {
+    await withTimeout(db.query("SELECT 1"), timeoutMs);
+    checks.database = { ok: true, latency_ms: Date.now() - started };
+  } catch (e) {
+    checks.database = { ok: false, latency_ms: null };
+    errors.database = e.message;
+  }
+
+  try {
+    const status = await withTimeout(migrations.checkSchema(db), timeoutMs);
+    checks.schema = { ok: status.ok, current_version: status.current_version, expected_version: status.expected_version };
+  } catch (e) {
+    checks.schema = { ok: false, current_version: null, expected_version: migrations.expectedVersion() };
+    errors.schema = e.message;
+  }
+
+  checks.admin_key = { ok: Boolean(process.env.ADMIN_KEY) };
+
+  return { ready: Object.values(checks).every((check) => check.ok), checks, errors };
+}
+
+module.exports = {
+  CHECK_TIMEOUT_MS,
+  checkReadiness
+};
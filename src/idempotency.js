@@ -0,0 +1,82 @@
+// idempotency.js
+// Idempotency-Key support for learner POST routes. The key is claimed inside
+// the same transaction as the write it guards and the response is stored
+// before COMMIT, so a retry either replays the committed response or, when
+// the first request rolled back, runs again. A retry that arrives while the
+// first request is still running waits on the key's row lock.
+const crypto = require("crypto");
+
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+const TTL_HOURS = 24;
+const REPLAY_HEADER = "Idempotent-Replayed";
+
+function isValidKey(key) {
+  return typeof key === "string" && KEY_PATTERN.test(key);
+}
+
+// Fingerprint of the request a key was first used with; key order doesn't matter
+function requestHash(body) {
+  const canonical = (value) =>
+    Array.isArray(value)
+      ? value.map(canonical)
+      : value && typeof value === "object"
+        ? Object.fromEntries(Object.keys(value).sort().map((key) => [key, canonical(value[key])]))
+        : value;
+  return crypto.createHash("sha256").update(JSON.stringify(canonical(body))).digest("hex");
+}
+
+// Claims (userId, route, key) on a transaction client. Returns { claimed: true }
+// or { claimed: false, matches, status, body } with the stored response. Keys
+// older than TTL_HOURS are claimed afresh.
+async function claimKey(client, userId, route, key, hash) {
+  const claimed = await client.query(
+    `INSERT INTO idempotency_keys (user_id, route, key, request_hash)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (user_id, route, key) DO UPDATE
+     SET request_hash = EXCLUDED.request_hash,
+         response_status = NULL,
+         response_body = NULL,
+         created_at = now()
+     WHERE idempotency_keys.created_at < now() - make_interval(hours => $5)
+     RETURNING key`,
+    [userId, route, key, hash, TTL_HOURS]
+  );
+  if (claimed.rowCount > 0) return { claimed: true };
+
+  const stored = await client.query(
+    `SELECT request_hash, response_status, response_body
+     FROM idempotency_keys
+     WHERE user_id = $1 AND route = $2 AND key = $3`,
+    [userId, route, key]
+  );
+  const row = stored.rows[0];
+  return { claimed: false, matches: row.request_hash === hash, status: row.response_status, body: row.response_body };
+}
+
+async function saveResponse(client, userId, route, key, status, body) {
+  await client.query(
+    `UPDATE idempotency_keys
+     SET response_status = $4, response_body = $5::jsonb
+     WHERE user_id = $1 AND route = $2 AND key = $3`,
+    [userId, route, key, status, JSON.stringify(body)]
+  );
+}
+
+// Expired keys of one learner, removed as they send new keyed requests
+async function purgeExpired(queryable, userId) {
+  await queryable.query(
+    `DELETE FROM idempotency_keys
+     WHERE user_id = $1 AND created_at < now() - make_interval(hours => $2)`,
+    [userId, TTL_HOURS]
+  );
+}
+
+module.exports = {
+  TTL_HOURS,
+  REPLAY_HEADER,
+  isValidKey,
+  requestHash,
+  claimKey,
+  saveResponse,
+  purgeExpired
+};
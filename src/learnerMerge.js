@@ -0,0 +1,94 @@
+// learnerMerge.js
+// Folds one Learner ID into another, for learners who ended up with progress
+// under two IDs. Attempts move across as they are; everything derived from
+// them is combined per track, lesson or tag instead of added up, so nothing is
+// counted twice. The source learner is deleted at the end.
+
+const TAG_REVIEW_COLUMNS = ["easiness", "interval_days", "repetitions", "lapses", "last_quality", "last_reviewed_at", "due_at"];
+
+// Run inside a transaction. Returns how many rows of each kind were merged in.
+async function mergeLearners(client, sourceId, targetId) {
+  // Both learners stay locked until COMMIT; id order keeps concurrent merges from deadlocking
+  await client.query(`SELECT id FROM users WHERE id = ANY($1::uuid[]) ORDER BY id FOR UPDATE`, [[sourceId, targetId]]);
+
+  // Tracks both learners started keep whichever position is further along
+  const combinedStates = await client.query(
+    `UPDATE user_track_state t
+     SET current_lesson_order = CASE WHEN s.current_lesson_order > t.current_lesson_order
+                                     THEN s.current_lesson_order ELSE t.current_lesson_order END,
+         track_version = CASE WHEN s.current_lesson_order > t.current_lesson_order
+                              THEN s.track_version ELSE t.track_version END,
+         last_seen = GREATEST(t.last_seen, s.last_seen)
+     FROM user_track_state s
+     WHERE t.user_id = $2 AND s.user_id = $1 AND s.track_id = t.track_id`,
+    [sourceId, targetId]
+  );
+  const movedStates = await client.query(
+    `UPDATE user_track_state
+     SET user_id = $2
+     WHERE user_id = $1
+       AND track_id NOT IN (SELECT track_id FROM user_track_state WHERE user_id = $2)`,
+    [sourceId, targetId]
+  );
+
+  // A lesson completed under both IDs counts once, from the first completion
+  const completions = await client.query(
+    `INSERT INTO lesson_completions (user_id, lesson_id, completed_at)
+     SELECT $2, lesson_id, completed_at FROM lesson_completions WHERE user_id = $1
+     ON CONFLICT (user_id, lesson_id) DO UPDATE
+     SET completed_at = LEAST(lesson_completions.completed_at, EXCLUDED.completed_at)`,
+    [sourceId, targetId]
+  );
+
+  const attempts = await client.query(`UPDATE attempts SET user_id = $2 WHERE user_id = $1`, [sourceId, targetId]);
+
+  // A tag reviewed under both IDs keeps the schedule from its latest review
+  const combinedReviews = await client.query(
+    `UPDATE tag_reviews t
+     SET ${TAG_REVIEW_COLUMNS.map((column) => `${column} = s.${column}`).join(", ")}
+     FROM tag_reviews s
+     WHERE t.user_id = $2 AND s.user_id = $1 AND s.track_id = t.track_id AND s.tag = t.tag
+       AND COALESCE(s.last_reviewed_at, '-infinity') > COALESCE(t.last_reviewed_at, '-infinity')`,
+    [sourceId, targetId]
+  );
+  const movedReviews = await client.query(
+    `UPDATE tag_reviews s
+     SET user_id = $2
+     WHERE s.user_id = $1
+       AND NOT EXISTS (
+         SELECT 1 FROM tag_reviews t WHERE t.user_id = $2 AND t.track_id = s.track_id AND t.tag = s.tag
+       )`,
+    [sourceId, targetId]
+  );
+
+  // Certificates keep the Learner ID they were signed for; duplicates of one the target holds are dropped
+  const certificates = await client.query(
+    `UPDATE certificates s
+     SET user_id = $2
+     WHERE s.user_id = $1
+       AND NOT EXISTS (
+         SELECT 1 FROM certificates t
+         WHERE t.user_id = $2 AND t.track_id = s.track_id
+           AND COALESCE(t.track_version, 0) = COALESCE(s.track_version, 0)
+       )`,
+    [sourceId, targetId]
+  );
+
+  const tracks = await client.query(`UPDATE tracks SET owner_user_id = $2 WHERE owner_user_id = $1`, [sourceId, targetId]);
+
+  // Whatever is left (duplicate rows, recovery codes, idempotency keys) goes with the source learner
+  await client.query(`DELETE FROM users WHERE id = $1`, [sourceId]);
+
+  return {
+    attempts: attempts.rowCount,
+    track_states: combinedStates.rowCount + movedStates.rowCount,
+    lesson_completions: completions.rowCount,
+    tag_reviews: combinedReviews.rowCount + movedReviews.rowCount,
+    certificates: certificates.rowCount,
+    tracks: tracks.rowCount
+  };
+}
+
+module.exports = {
+  mergeLearners
+};
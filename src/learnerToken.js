@@ -0,0 +1,110 @@
+// learnerToken.js
+require("dotenv").config();
+const crypto = require("crypto");
+
+const TOKEN_VERSION_PREFIX = "lt1";
+const DEFAULT_TTL_DAYS = 30;
+
+// LEARNER_TOKEN_KEYS="k2:new-secret,k1:old-secret"
+// The first key signs new tokens; every listed key is still accepted on verify,
+// so a secret can be rotated by prepending a new key and dropping the old one
+// once its tokens have expired.
+function loadSigningKeys() {
+  const raw = process.env.LEARNER_TOKEN_KEYS || "";
+  const keys = raw
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(":");
+      if (separator <= 0 || separator === entry.length - 1) {
+        throw new Error("Invalid LEARNER_TOKEN_KEYS entry. Use kid:secret pairs separated by commas.");
+      }
+      const kid = entry.slice(0, separator);
+      if (!/^[A-Za-z0-9_-]+$/.test(kid)) {
+        throw new Error("Invalid LEARNER_TOKEN_KEYS key id. Use letters, digits, '-' or '_'.");
+      }
+      return { kid, secret: entry.slice(separator + 1) };
+    });
+
+  return keys;
+}
+
+function resolveTtlSeconds() {
+  const days = Number(process.env.LEARNER_TOKEN_TTL_DAYS || DEFAULT_TTL_DAYS);
+  if (!Number.isFinite(days) || days <= 0) {
+    throw new Error("Invalid LEARNER_TOKEN_TTL_DAYS. Use a positive number of days.");
+  }
+  return Math.floor(days * 24 * 60 * 60);
+}
+
+function isConfigured() {
+  return loadSigningKeys().length > 0;
+}
+
+function sign(secret, payload) {
+  return crypto.createHmac("sha256", secret).update(payload).digest("base64url");
+}
+
+function issueLearnerToken(learnerId, tokenVersion, now = Date.now()) {
+  const [activeKey] = loadSigningKeys();
+  if (!activeKey) {
+    throw new Error("LEARNER_TOKEN_KEYS is not configured on the server.");
+  }
+
+  const expiresAtSec = Math.floor(now / 1000) + resolveTtlSeconds();
+  const payload = [TOKEN_VERSION_PREFIX, activeKey.kid, learnerId, tokenVersion, expiresAtSec].join(".");
+
+  return {
+    token: `${payload}.${sign(activeKey.secret, payload)}`,
+    expires_at: new Date(expiresAtSec * 1000).toISOString()
+  };
+}
+
+// Returns { valid: true, learnerId, tokenVersion, expiresAt } or { valid: false, reason }.
+// Binding to the learner's current token_version is left to the caller.
+function verifyLearnerToken(token, now = Date.now()) {
+  if (typeof token !== "string" || token.length === 0) {
+    return { valid: false, reason: "missing" };
+  }
+
+  const parts = token.split(".");
+  if (parts.length !== 6 || parts[0] !== TOKEN_VERSION_PREFIX) {
+    return { valid: false, reason: "malformed" };
+  }
+
+  const [, kid, learnerId, rawVersion, rawExpiresAt, signature] = parts;
+  const key = loadSigningKeys().find((candidate) => candidate.kid === kid);
+  if (!key) {
+    return { valid: false, reason: "unknown_key" };
+  }
+
+  const expected = Buffer.from(sign(key.secret, parts.slice(0, 5).join(".")));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return { valid: false, reason: "bad_signature" };
+  }
+
+  const tokenVersion = Number(rawVersion);
+  const expiresAtSec = Number(rawExpiresAt);
+  if (!Number.isInteger(tokenVersion) || !Number.isInteger(expiresAtSec)) {
+    return { valid: false, reason: "malformed" };
+  }
+
+  if (expiresAtSec * 1000 <= now) {
+    return { valid: false, reason: "expired" };
+  }
+
+  return {
+    valid: true,
+    learnerId,
+    tokenVersion,
+    expiresAt: new Date(expiresAtSec * 1000).toISOString()
+  };
+}
+
+module.exports = {
+  isConfigured,
+  issueLearnerToken,
+  verifyLearnerToken
+};
@@ -0,0 +1,240 @@
+// lessonContent.js
+// Versioned lesson content: Markdown explanations, code examples, exercises
+// and hints. Every version of a lesson's blocks is kept in
+// lesson_content_versions and never edited; lessons.content_version points at
+// the current one, and published track snapshots record the version they saw.
+//
+// Markdown is rendered to HTML with a small, safe subset: headings, paragraphs,
+// lists, blockquotes, fenced code, `code`, **bold**, *italic* and http(s)
+// links. Raw HTML is always escaped.
+const { z } = require("zod");
+
+const MAX_BLOCKS = 50;
+
+const markdownSchema = z.string().min(1).max(20000);
+// Each block cites at least one of the track's official_sources or the lesson's source_urls
+const citationsSchema = z.array(z.string().url()).min(1).max(10);
+
+const contentBlockSchema = z.discriminatedUnion("type", [
+  z.object({ type: z.literal("markdown"), markdown: markdownSchema, citations: citationsSchema }).strict(),
+  z
+    .object({
+      type: z.literal("code"),
+      language: z.string().regex(/^[A-Za-z0-9+#.-]{1,30}$/),
+      code: z.string().min(1).max(20000),
+      caption: z.string().max(500).optional(),
+      citations: citationsSchema
+    })
+    .strict(),
+  z.object({ type: z.literal("exercise"), prompt: markdownSchema, citations: citationsSchema }).strict(),
+  z.object({ type: z.literal("hint"), markdown: markdownSchema, citations: citationsSchema }).strict()
+]);
+const contentBlocksSchema = z.array(contentBlockSchema).max(MAX_BLOCKS);
+
+// Deep links into a declared source count as citing it
+function withoutFragment(url) {
+  return url.split("#")[0];
+}
+
+// Citations in lessons' content_blocks that point at neither the track's
+// official_sources nor the lesson's own source_urls
+function findUndeclaredCitations(track, lessons) {
+  const undeclared = [];
+  for (const lesson of lessons.filter((candidate) => candidate.content_blocks)) {
+    const declared = new Set([...track.official_sources, ...lesson.source_urls].map(withoutFragment));
+    lesson.content_blocks.forEach((block, index) => {
+      for (const url of block.citations) {
+        if (!declared.has(withoutFragment(url))) undeclared.push({ lesson_order: lesson.lesson_order, block: index, url });
+      }
+    });
+  }
+  return undeclared;
+}
+
+// JSONB reorders object keys, so blocks are compared with sorted keys
+function sortedKeys(value) {
+  if (Array.isArray(value)) return value.map(sortedKeys);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .map((key) => [key, sortedKeys(value[key])])
+    );
+  }
+  return value;
+}
+
+function sameBlocks(a, b) {
+  return JSON.stringify(sortedKeys(a)) === JSON.stringify(sortedKeys(b));
+}
+
+// Writes a new content version for seeded lessons whose declared
+// content_blocks differ from their current ones. No content and [] are the
+// same. Runs inside the caller's transaction; returns the number of versions written.
+async function replaceLessonContent(client, lessons, seeded) {
+  const seededIdByOrder = new Map(seeded.map((row) => [row.lesson_order, row.id]));
+  let versionCount = 0;
+
+  for (const lesson of lessons.filter((candidate) => candidate.content_blocks)) {
+    const lessonId = seededIdByOrder.get(lesson.lesson_order);
+    const current = await client.query(
+      `SELECT l.content_version, v.blocks
+       FROM lessons l
+       LEFT JOIN lesson_content_versions v ON v.lesson_id = l.id AND v.version = l.content_version
+       WHERE l.id = $1
+       FOR UPDATE OF l`,
+      [lessonId]
+    );
+    if (sameBlocks(current.rows[0].blocks || [], lesson.content_blocks)) continue;
+
+    const inserted = await client.query(
+      `INSERT INTO lesson_content_versions (lesson_id, version, blocks)
+       SELECT $1, COALESCE(MAX(version), 0) + 1, $2::jsonb
+       FROM lesson_content_versions
+       WHERE lesson_id = $1
+       RETURNING version`,
+      [lessonId, JSON.stringify(lesson.content_blocks)]
+    );
+    await client.query(`UPDATE lessons SET content_version = $2 WHERE id = $1`, [lessonId, inserted.rows[0].version]);
+    versionCount += 1;
+  }
+
+  return versionCount;
+}
+
+// Current blocks per lesson id, for track bundle exports
+async function getCurrentBlocks(queryable, lessonIds) {
+  const res = await queryable.query(
+    `SELECT l.id, v.blocks
+     FROM lessons l
+     JOIN lesson_content_versions v ON v.lesson_id = l.id AND v.version = l.content_version
+     WHERE l.id = ANY($1::uuid[])`,
+    [lessonIds]
+  );
+  return new Map(res.rows.map((row) => [row.id, row.blocks]));
+}
+
+// One version of a lesson's content with HTML added to each block, or null
+async function getLessonContent(queryable, lessonId, version) {
+  if (version == null) return null;
+  const res = await queryable.query(
+    `SELECT version, blocks, created_at FROM lesson_content_versions WHERE lesson_id = $1 AND version = $2`,
+    [lessonId, version]
+  );
+  const row = res.rows[0];
+  if (!row) return null;
+  return { version: row.version, created_at: row.created_at, blocks: row.blocks.map(renderBlock) };
+}
+
+// ---------- rendering ----------
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function renderCode(code, language) {
+  const className = language ? ` class="language-${escapeHtml(language)}"` : "";
+  return `<pre><code${className}>${escapeHtml(code)}</code></pre>`;
+}
+
+// Code spans are split out first so nothing inside them is formatted
+function renderInline(text) {
+  return text
+    .split(/(`[^`]+`)/)
+    .map((part) => {
+      if (/^`[^`]+`$/.test(part)) return `<code>${escapeHtml(part.slice(1, -1))}</code>`;
+      return escapeHtml(part)
+        .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2">$1</a>')
+        .replace(/\*\*([^*]+)\*\*/g, "<strong>$1</strong>")
+        .replace(/\*([^*\s][^*]*)\*/g, "<em>$1</em>");
+    })
+    .join("");
+}
+
+const FENCE = /^```\s*([\w+#.-]*)\s*$/;
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const QUOTE = /^>\s?/;
+const LISTS = [
+  { tag: "ul", pattern: /^\s*[-*+]\s+(.*)$/ },
+  { tag: "ol", pattern: /^\s*\d+[.)]\s+(.*)$/ }
+];
+
+function startsBlock(line) {
+  return FENCE.test(line) || HEADING.test(line) || QUOTE.test(line) || LISTS.some((list) => list.pattern.test(line));
+}
+
+function renderMarkdown(markdown) {
+  const lines = markdown.replace(/\r\n?/g, "\n").split("\n");
+  const html = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (line.trim() === "") {
+      i += 1;
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      const code = [];
+      for (i += 1; i < lines.length && !/^```\s*$/.test(lines[i]); i += 1) code.push(lines[i]);
+      i += 1; // closing fence; an unclosed block runs to the end
+      html.push(renderCode(code.join("\n"), fence[1]));
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      const level = heading[1].length;
+      html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+      i += 1;
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const quoted = [];
+      for (; i < lines.length && QUOTE.test(lines[i]); i += 1) quoted.push(lines[i].replace(QUOTE, ""));
+      html.push(`<blockquote>${renderMarkdown(quoted.join("\n"))}</blockquote>`);
+      continue;
+    }
+
+    const list = LISTS.find((candidate) => candidate.pattern.test(line));
+    if (list) {
+      const items = [];
+      for (; i < lines.length && list.pattern.test(lines[i]); i += 1) {
+        items.push(`<li>${renderInline(lines[i].match(list.pattern)[1])}</li>`);
+      }
+      html.push(`<${list.tag}>${items.join("")}</${list.tag}>`);
+      continue;
+    }
+
+    const paragraph = [];
+    for (; i < lines.length && lines[i].trim() !== "" && !startsBlock(lines[i]); i += 1) {
+      paragraph.push(lines[i].trim());
+    }
+    html.push(`<p>${renderInline(paragraph.join(" "))}</p>`);
+  }
+
+  return html.join("\n");
+}
+
+function renderBlock(block) {
+  if (block.type === "code") return { ...block, html: renderCode(block.code, block.language) };
+  return { ...block, html: renderMarkdown(block.type === "exercise" ? block.prompt : block.markdown) };
+}
+
+module.exports = {
+  MAX_BLOCKS,
+  contentBlocksSchema,
+  findUndeclaredCitations,
+  replaceLessonContent,
+  getCurrentBlocks,
+  getLessonContent,
+  renderMarkdown
+};
@@ -0,0 +1,84 @@
+// lessonGraph.js
+// Prerequisite graph helpers. Edges are { lesson_id, prerequisite_lesson_id }
+// rows from lesson_prerequisites and may cross track boundaries.
+
+// Returns the lesson ids forming a cycle (first id repeated at the end), or null.
+function findCycle(edges) {
+  const prerequisitesById = new Map();
+  for (const edge of edges) {
+    if (!prerequisitesById.has(edge.lesson_id)) prerequisitesById.set(edge.lesson_id, []);
+    prerequisitesById.get(edge.lesson_id).push(edge.prerequisite_lesson_id);
+  }
+
+  const VISITING = 1;
+  const DONE = 2;
+  const state = new Map();
+  const path = [];
+
+  function visit(id) {
+    state.set(id, VISITING);
+    path.push(id);
+
+    for (const prerequisiteId of prerequisitesById.get(id) || []) {
+      const prerequisiteState = state.get(prerequisiteId);
+      if (prerequisiteState === VISITING) {
+        return [...path.slice(path.indexOf(prerequisiteId)), prerequisiteId];
+      }
+      if (prerequisiteState !== DONE) {
+        const cycle = visit(prerequisiteId);
+        if (cycle) return cycle;
+      }
+    }
+
+    path.pop();
+    state.set(id, DONE);
+    return null;
+  }
+
+  for (const id of prerequisitesById.keys()) {
+    if (!state.has(id)) {
+      const cycle = visit(id);
+      if (cycle) return cycle;
+    }
+  }
+
+  return null;
+}
+
+// A lesson is unlocked when it is not completed and every prerequisite is.
+// Ranked by how many locked lessons it directly unblocks, then lesson_order.
+function rankUnlockedLessons(lessons, edges, completedIds) {
+  const prerequisitesById = new Map(lessons.map((lesson) => [lesson.id, []]));
+  const dependentsById = new Map(lessons.map((lesson) => [lesson.id, []]));
+  for (const edge of edges) {
+    if (prerequisitesById.has(edge.lesson_id)) {
+      prerequisitesById.get(edge.lesson_id).push(edge.prerequisite_lesson_id);
+    }
+    if (dependentsById.has(edge.prerequisite_lesson_id)) {
+      dependentsById.get(edge.prerequisite_lesson_id).push(edge.lesson_id);
+    }
+  }
+
+  const remaining = lessons.filter((lesson) => !completedIds.has(lesson.id));
+  const unlocked = remaining.filter((lesson) =>
+    prerequisitesById.get(lesson.id).every((prerequisiteId) => completedIds.has(prerequisiteId))
+  );
+
+  const ranked = unlocked
+    .map((lesson) => ({
+      ...lesson,
+      unlocks: dependentsById.get(lesson.id).filter((dependentId) => !completedIds.has(dependentId)).length
+    }))
+    .sort((a, b) => b.unlocks - a.unlocks || a.lesson_order - b.lesson_order)
+    .map((lesson, index) => ({ ...lesson, rank: index + 1 }));
+
+  return {
+    available: ranked,
+    locked_count: remaining.length - unlocked.length
+  };
+}
+
+module.exports = {
+  findCycle,
+  rankUnlockedLessons
+};
@@ -0,0 +1,280 @@
+// lessonSeeding.js
+// Lesson upserts shared by POST /v1/internal/seed-lessons and track bundle
+// imports: input schemas plus the transactional writes behind them.
+const { z } = require("zod");
+const masteryPolicy = require("./masteryPolicy");
+const lessonGraph = require("./lessonGraph");
+const quizGrader = require("./quizGrader");
+const lessonContent = require("./lessonContent");
+
+const percentSchema = z.number().min(0).max(100);
+const masteryPolicySchema = z
+  .object({
+    thresholds: z
+      .object({
+        quiz: percentSchema.optional(),
+        challenge: percentSchema.optional(),
+        project: percentSchema.optional()
+      })
+      .strict()
+      .optional(),
+    required_passes: z.number().int().min(1).max(20).optional(),
+    counted_types: z.array(z.enum(masteryPolicy.ATTEMPT_TYPES)).min(1).optional(),
+    require_project: z.boolean().optional(),
+    suggest_review_after_failures: z.number().int().positive().nullable().optional()
+  })
+  .strict();
+
+const quizItemBase = {
+  prompt: z.string().min(2).max(1000),
+  tags: z.array(z.string()).default([]),
+  points: z.number().positive().max(100).default(1)
+};
+const quizItemSchema = z
+  .discriminatedUnion("item_type", [
+    z.object({
+      ...quizItemBase,
+      item_type: z.literal("multiple_choice"),
+      choices: z.array(z.string().min(1)).min(2).max(10),
+      correct_choices: z.array(z.number().int().nonnegative()).min(1)
+    }),
+    z.object({
+      ...quizItemBase,
+      item_type: z.literal("short_answer"),
+      accepted_answers: z.array(z.string().min(1)).min(1),
+      case_sensitive: z.boolean().optional()
+    }),
+    z.object({
+      ...quizItemBase,
+      item_type: z.literal("ordering"),
+      // Listed in the correct order; learners see them shuffled
+      choices: z.array(z.string().min(1)).min(2).max(10)
+    })
+  ])
+  .superRefine((item, ctx) => {
+    if (item.item_type === "multiple_choice" && item.correct_choices.some((index) => index >= item.choices.length)) {
+      ctx.addIssue({ code: "custom", path: ["correct_choices"], message: "correct_choices must index into choices" });
+    }
+    if (item.item_type === "ordering" && new Set(item.choices).size !== item.choices.length) {
+      ctx.addIssue({ code: "custom", path: ["choices"], message: "ordering choices must be unique" });
+    }
+  });
+
+const lessonSeedSchema = z.object({
+  lesson_order: z.number().int().positive(),
+  title: z.string().min(2).max(160),
+  objectives: z.array(z.string()).default([]),
+  tags: z.array(z.string()).default([]),
+  source_urls: z.array(z.string().url()).default([]),
+  // Omit to keep existing edges; [] clears them. track_slug defaults to this track.
+  prerequisites: z
+    .array(
+      z.object({
+        track_slug: z.string().min(2).max(50).optional(),
+        lesson_order: z.number().int().positive()
+      })
+    )
+    .optional(),
+  // Omit to keep the existing item bank; [] removes it
+  quiz_items: z.array(quizItemSchema).max(50).optional(),
+  // Omit to keep the current content; a changed list becomes a new content version
+  content_blocks: lessonContent.contentBlocksSchema.optional(),
+  // Omit to keep the existing policy; null clears it
+  mastery_policy: masteryPolicySchema.nullable().optional()
+});
+
+// Rewrites prerequisite edges for seeded lessons that declare them and rejects
+// unknown references or cycles. Runs inside the caller's transaction.
+async function replaceLessonPrerequisites(client, track, lessons, seeded) {
+  const declaring = lessons.filter((lesson) => lesson.prerequisites);
+  if (declaring.length === 0) return { edgeCount: 0 };
+
+  const refKey = (slug, order) => `${slug}#${order}`;
+  const refs = declaring.flatMap((lesson) =>
+    lesson.prerequisites.map((prerequisite) => ({
+      slug: (prerequisite.track_slug || track.slug).toLowerCase(),
+      lesson_order: prerequisite.lesson_order
+    }))
+  );
+
+  const resolved = await client.query(
+    `SELECT l.id, t.slug, l.lesson_order
+     FROM lessons l
+     JOIN tracks t ON t.id = l.track_id
+     JOIN unnest($1::text[], $2::int[]) AS ref(slug, lesson_order)
+       ON ref.slug = t.slug AND ref.lesson_order = l.lesson_order`,
+    [refs.map((ref) => ref.slug), refs.map((ref) => ref.lesson_order)]
+  );
+  const idByRef = new Map(resolved.rows.map((row) => [refKey(row.slug, row.lesson_order), row.id]));
+
+  const missing = [...new Set(refs.map((ref) => refKey(ref.slug, ref.lesson_order)))].filter((key) => !idByRef.has(key));
+  if (missing.length > 0) {
+    return { error: { error: "Unknown prerequisite lessons", missing } };
+  }
+
+  const seededIdByOrder = new Map(seeded.map((row) => [row.lesson_order, row.id]));
+  let edgeCount = 0;
+  for (const lesson of declaring) {
+    const lessonId = seededIdByOrder.get(lesson.lesson_order);
+    await client.query(`DELETE FROM lesson_prerequisites WHERE lesson_id = $1`, [lessonId]);
+
+    for (const prerequisite of lesson.prerequisites) {
+      const prerequisiteId = idByRef.get(refKey((prerequisite.track_slug || track.slug).toLowerCase(), prerequisite.lesson_order));
+      const inserted = await client.query(
+        `INSERT INTO lesson_prerequisites (lesson_id, prerequisite_lesson_id)
+         VALUES ($1, $2)
+         ON CONFLICT DO NOTHING`,
+        [lessonId, prerequisiteId]
+      );
+      edgeCount += inserted.rowCount;
+    }
+  }
+
+  // Any new cycle has to pass through one of the seeded lessons
+  const reachableEdges = await client.query(
+    `WITH RECURSIVE reachable(lesson_id) AS (
+       SELECT unnest($1::uuid[])
+       UNION
+       SELECT lp.prerequisite_lesson_id
+       FROM lesson_prerequisites lp
+       JOIN reachable r ON r.lesson_id = lp.lesson_id
+     )
+     SELECT lp.lesson_id, lp.prerequisite_lesson_id
+     FROM lesson_prerequisites lp
+     JOIN reachable r ON r.lesson_id = lp.lesson_id`,
+    [seeded.map((row) => row.id)]
+  );
+
+  const cycle = lessonGraph.findCycle(reachableEdges.rows);
+  if (cycle) {
+    const labels = await client.query(
+      `SELECT l.id, t.slug, l.lesson_order
+       FROM lessons l
+       JOIN tracks t ON t.id = l.track_id
+       WHERE l.id = ANY($1::uuid[])`,
+      [cycle]
+    );
+    const labelById = new Map(labels.rows.map((row) => [row.id, refKey(row.slug, row.lesson_order)]));
+    return {
+      error: {
+        error: "Lesson prerequisites must not form a cycle",
+        cycle: cycle.map((id) => labelById.get(id))
+      }
+    };
+  }
+
+  return { edgeCount };
+}
+
+// Rewrites the item bank for seeded lessons that declare quiz_items.
+// Runs inside the caller's transaction.
+async function replaceQuizItems(client, lessons, seeded) {
+  const seededIdByOrder = new Map(seeded.map((row) => [row.lesson_order, row.id]));
+  let itemCount = 0;
+
+  for (const lesson of lessons.filter((candidate) => candidate.quiz_items)) {
+    const lessonId = seededIdByOrder.get(lesson.lesson_order);
+    await client.query(`DELETE FROM quiz_items WHERE lesson_id = $1`, [lessonId]);
+
+    for (const [index, item] of lesson.quiz_items.entries()) {
+      const stored = quizGrader.toStoredItem(item);
+      await client.query(
+        `INSERT INTO quiz_items (lesson_id, item_order, item_type, prompt, choices, answer, tags, points)
+         VALUES ($1, $2, $3, $4, $5::jsonb, $6::jsonb, $7::jsonb, $8)`,
+        [
+          lessonId,
+          index + 1,
+          item.item_type,
+          item.prompt,
+          JSON.stringify(stored.choices),
+          JSON.stringify(stored.answer),
+          JSON.stringify(item.tags),
+          item.points
+        ]
+      );
+      itemCount += 1;
+    }
+  }
+
+  return itemCount;
+}
+
+// Upserts lessons by (track, lesson_order), then rewrites prerequisites, quiz
+// items, content and mastery policies for lessons that declare them. Runs
+// inside the caller's transaction; returns { error } when the caller should roll back.
+async function seedLessons(client, track, lessons) {
+  const undeclared = lessonContent.findUndeclaredCitations(track, lessons);
+  if (undeclared.length > 0) {
+    return {
+      error: {
+        error: "Content blocks must cite the track's official_sources or the lesson's source_urls",
+        undeclared
+      }
+    };
+  }
+
+  const seeded = [];
+  let updatedCount = 0;
+
+  const lessonOrders = lessons.map((lesson) => lesson.lesson_order);
+  const existingLessons = await client.query(
+    `SELECT lesson_order
+     FROM lessons
+     WHERE track_id = $1 AND lesson_order = ANY($2::int[])`,
+    [track.id, lessonOrders]
+  );
+  const existingOrderSet = new Set(existingLessons.rows.map((row) => row.lesson_order));
+
+  for (const lesson of lessons) {
+    if (existingOrderSet.has(lesson.lesson_order)) {
+      updatedCount += 1;
+    }
+    const hasMasteryPolicy = Object.prototype.hasOwnProperty.call(lesson, "mastery_policy");
+    const upserted = await client.query(
+      `INSERT INTO lessons (track_id, lesson_order, title, objectives, tags, source_urls, mastery_policy)
+       VALUES ($1, $2, $3, $4::jsonb, $5::jsonb, $6::jsonb, $7::jsonb)
+       ON CONFLICT (track_id, lesson_order) DO UPDATE
+       SET title = EXCLUDED.title,
+           objectives = EXCLUDED.objectives,
+           tags = EXCLUDED.tags,
+           source_urls = EXCLUDED.source_urls,
+           mastery_policy = CASE WHEN $8 THEN EXCLUDED.mastery_policy ELSE lessons.mastery_policy END
+       RETURNING id, lesson_order, title`,
+      [
+        track.id,
+        lesson.lesson_order,
+        lesson.title,
+        JSON.stringify(lesson.objectives),
+        JSON.stringify(lesson.tags),
+        JSON.stringify(lesson.source_urls),
+        hasMasteryPolicy && lesson.mastery_policy ? JSON.stringify(lesson.mastery_policy) : null,
+        hasMasteryPolicy
+      ]
+    );
+    seeded.push(upserted.rows[0]);
+  }
+
+  const prerequisiteResult = await replaceLessonPrerequisites(client, track, lessons, seeded);
+  if (prerequisiteResult.error) {
+    return { error: prerequisiteResult.error };
+  }
+
+  const quizItemCount = await replaceQuizItems(client, lessons, seeded);
+  const contentVersionCount = await lessonContent.replaceLessonContent(client, lessons, seeded);
+
+  return {
+    seeded,
+    insertedCount: seeded.length - updatedCount,
+    updatedCount,
+    prerequisiteEdges: prerequisiteResult.edgeCount,
+    quizItems: quizItemCount,
+    contentVersions: contentVersionCount
+  };
+}
+
+module.exports = {
+  masteryPolicySchema,
+  quizItemSchema,
+  lessonSeedSchema,
+  seedLessons
+};
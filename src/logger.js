@@ -0,0 +1,95 @@
+// logger.js
+// Structured logs: one JSON line per event, info on stdout and errors on
+// stderr. Lines written while a request is handled carry its request_id, so
+// domain events can be matched to the request line. Learner IDs are never
+// written raw: user_id and learner_id fields become learner_hash.
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+const REQUEST_ID_HEADER = "X-Request-Id";
+// Incoming request IDs from a proxy are kept when they look like one
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+const LEARNER_ID_FIELDS = ["user_id", "learner_id"];
+
+const requestContext = new AsyncLocalStorage();
+
+// Stable and short, so one learner's lines can be grouped; a Learner ID
+// is random enough that the hash can't be reversed by guessing
+function hashLearnerId(id) {
+  return crypto.createHash("sha256").update(`learner:${id}`).digest("hex").slice(0, 16);
+}
+
+function format(level, fields) {
+  const line = { ts: new Date().toISOString(), level };
+  const context = requestContext.getStore();
+  if (context) line.request_id = context.requestId;
+
+  for (const [key, value] of Object.entries(fields)) {
+    if (!LEARNER_ID_FIELDS.includes(key)) {
+      line[key] = value;
+    } else if (value) {
+      line.learner_hash = hashLearnerId(value);
+    }
+  }
+  return JSON.stringify(line);
+}
+
+function info(fields) {
+  console.log(format("info", fields));
+}
+
+function error(fields) {
+  console.error(format("error", fields));
+}
+
+// Route template the request matched (/v1/tracks/:slug), never the raw path,
+// so logs and metric labels don't fill up with IDs
+function routeLabel(req) {
+  if (req.route) return `${req.baseUrl}${req.route.path}`;
+  return "unmatched";
+}
+
+// Assigns the request ID, runs the rest of the request inside its context and
+// logs one request line when the response finishes. onFinish receives the
+// same fields, for metrics.
+function requestLogger({ onFinish } = {}) {
+  return (req, res, next) => {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    const started = process.hrtime.bigint();
+    res.set(REQUEST_ID_HEADER, requestId);
+
+    res.on("finish", () => {
+      const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+      const entry = {
+        event: "request",
+        request_id: requestId,
+        method: req.method,
+        route: routeLabel(req),
+        status: res.statusCode,
+        duration_ms: Math.round(durationMs * 100) / 100
+      };
+      const learnerId = req.query?.learner_id || req.query?.user_id || req.body?.user_id;
+      if (typeof learnerId === "string") entry.learner_id = learnerId;
+
+      if (onFinish) onFinish(entry);
+      (res.statusCode >= 500 ? error : info)(entry);
+    });
+
+    requestContext.run({ requestId }, next);
+  };
+}
+
+function currentRequestId() {
+  return requestContext.getStore()?.requestId ?? null;
+}
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  hashLearnerId,
+  info,
+  error,
+  routeLabel,
+  requestLogger,
+  currentRequestId
+};
@@ -0,0 +1,93 @@
+// masteryPolicy.js
+// Decides whether a learner has mastered a lesson from their attempts on it.
+// Policies live on tracks.mastery_policy and lessons.mastery_policy; a lesson
+// policy overrides its track's, and any field left out falls back to the default.
+
+const ATTEMPT_TYPES = ["quiz", "challenge", "project"];
+
+const DEFAULT_POLICY = Object.freeze({
+  thresholds: Object.freeze({ quiz: 70, challenge: 70, project: 70 }),
+  required_passes: 1,
+  counted_types: ATTEMPT_TYPES,
+  require_project: false,
+  suggest_review_after_failures: null
+});
+
+function resolvePolicy(trackPolicy, lessonPolicy) {
+  const source = lessonPolicy ? "lesson" : trackPolicy ? "track" : "default";
+  const merged = {
+    ...DEFAULT_POLICY,
+    ...(trackPolicy || {}),
+    ...(lessonPolicy || {}),
+    thresholds: {
+      ...DEFAULT_POLICY.thresholds,
+      ...((trackPolicy && trackPolicy.thresholds) || {}),
+      ...((lessonPolicy && lessonPolicy.thresholds) || {})
+    }
+  };
+
+  return { source, policy: merged };
+}
+
+function scorePercent(attempt) {
+  const score = attempt.score == null ? null : Number(attempt.score);
+  const maxScore = attempt.max_score == null ? null : Number(attempt.max_score);
+  if (score == null || maxScore == null || maxScore <= 0) return null;
+  return (score / maxScore) * 100;
+}
+
+function isPassing(policy, attempt) {
+  const pct = scorePercent(attempt);
+  return pct != null && pct >= policy.thresholds[attempt.attempt_type];
+}
+
+// attempts: every attempt the learner made on the lesson, oldest first.
+function evaluateMastery(resolved, attempts) {
+  const { policy } = resolved;
+  const counted = attempts.filter((attempt) => policy.counted_types.includes(attempt.attempt_type));
+  const passingAttempts = counted.filter((attempt) => isPassing(policy, attempt)).length;
+  const hasPassingProject = attempts.some(
+    (attempt) => attempt.attempt_type === "project" && isPassing(policy, attempt)
+  );
+
+  const missing = [];
+  if (passingAttempts < policy.required_passes) {
+    const remaining = policy.required_passes - passingAttempts;
+    missing.push(
+      `${remaining} more passing ${policy.counted_types.join("/")} attempt${remaining === 1 ? "" : "s"}`
+    );
+  }
+  if (policy.require_project && !hasPassingProject) {
+    missing.push(`a passing project attempt (>= ${policy.thresholds.project}%)`);
+  }
+
+  // Advisory only: after enough failures in a row a review is suggested, but
+  // later attempts still count toward mastery
+  let failedSinceLastPass = 0;
+  for (const attempt of counted) {
+    failedSinceLastPass = isPassing(policy, attempt) ? 0 : failedSinceLastPass + 1;
+  }
+  const mastered = missing.length === 0;
+  const reviewSuggested =
+    !mastered &&
+    policy.suggest_review_after_failures != null &&
+    failedSinceLastPass >= policy.suggest_review_after_failures;
+
+  return {
+    rule_source: resolved.source,
+    policy,
+    mastered,
+    passing_attempts: passingAttempts,
+    failed_since_last_pass: failedSinceLastPass,
+    missing,
+    review_suggested: reviewSuggested
+  };
+}
+
+module.exports = {
+  ATTEMPT_TYPES,
+  DEFAULT_POLICY,
+  resolvePolicy,
+  scorePercent,
+  evaluateMastery
+};
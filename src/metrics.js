@@ -0,0 +1,123 @@
+// metrics.js
+// A small in-process metrics registry rendered in the Prometheus text format
+// (version 0.0.4) for GET /metrics. Counters and histograms are kept per
+// process; gauges are read from a callback at scrape time.
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+// Seconds; covers fast cache-like reads up to slow report queries
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+// Series are stored under their label values in labelNames order
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] ?? "")));
+}
+
+function labelsFromKey(labelNames, key) {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, index) => [name, values[index]]));
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  function register(metric) {
+    if (metrics.some((existing) => existing.name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    metrics.push(metric);
+    return metric;
+  }
+
+  function counter(name, help, labelNames = []) {
+    const series = new Map();
+    register({
+      name,
+      help,
+      type: "counter",
+      lines: () =>
+        [...series.entries()].map(([key, value]) => `${name}${formatLabels(labelsFromKey(labelNames, key))} ${value}`)
+    });
+    return {
+      inc(labels = {}, value = 1) {
+        const key = seriesKey(labelNames, labels);
+        series.set(key, (series.get(key) || 0) + value);
+      }
+    };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+    register({
+      name,
+      help,
+      type: "histogram",
+      lines: () => {
+        const lines = [];
+        for (const [key, entry] of series.entries()) {
+          const labels = labelsFromKey(labelNames, key);
+          buckets.forEach((bound, index) => {
+            lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${entry.counts[index]}`);
+          });
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${entry.count}`);
+          lines.push(`${name}_sum${formatLabels(labels)} ${entry.sum}`);
+          lines.push(`${name}_count${formatLabels(labels)} ${entry.count}`);
+        }
+        return lines;
+      }
+    });
+    return {
+      observe(labels, value) {
+        const key = seriesKey(labelNames, labels);
+        let entry = series.get(key);
+        if (!entry) {
+          entry = { counts: new Array(buckets.length).fill(0), sum: 0, count: 0 };
+          series.set(key, entry);
+        }
+        // Buckets are cumulative: each counts every observation at or below its bound
+        buckets.forEach((bound, index) => {
+          if (value <= bound) entry.counts[index] += 1;
+        });
+        entry.sum += value;
+        entry.count += 1;
+      }
+    };
+  }
+
+  // collect() returns [{ labels, value }] and is called on every render
+  function gauge(name, help, collect) {
+    register({
+      name,
+      help,
+      type: "gauge",
+      lines: () => collect().map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${value}`)
+    });
+  }
+
+  function render() {
+    const lines = [];
+    for (const metric of metrics) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      lines.push(...metric.lines());
+    }
+    return `${lines.join("\n")}\n`;
+  }
+
+  return { counter, histogram, gauge, render };
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+  createRegistry
+};
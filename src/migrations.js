@@ -0,0 +1,145 @@
+// migrations.js
+// Versioned migrations: migrations/NNN_name.sql files applied in order and
+// recorded in schema_migrations. src/schema.sql is the baseline (version 0) for
+// empty databases; every numbered migration is idempotent, so databases set up
+// by hand with psql can adopt the runner by simply running it.
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+const BASELINE_PATH = path.join(__dirname, "schema.sql");
+const LOCK_ID = 7305; // pg_advisory_lock key so two runners never interleave
+
+function checksum(sql) {
+  return crypto.createHash("sha256").update(sql).digest("hex");
+}
+
+function listMigrations() {
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((file) => /^\d+_.+\.sql$/.test(file))
+    .map((file) => {
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), "utf8");
+      return { version: Number(file.split("_")[0]), name: file, sql, checksum: checksum(sql) };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+function expectedVersion() {
+  const migrations = listMigrations();
+  return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+}
+
+async function ensureMigrationsTable(queryable) {
+  await queryable.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       version INT PRIMARY KEY,
+       name TEXT NOT NULL,
+       checksum TEXT NOT NULL,
+       applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+     )`
+  );
+}
+
+async function getAppliedMigrations(queryable) {
+  const exists = await queryable.query(`SELECT to_regclass('schema_migrations') IS NOT NULL AS exists`);
+  if (!exists.rows[0].exists) return [];
+
+  const applied = await queryable.query(`SELECT version, name, checksum FROM schema_migrations ORDER BY version`);
+  return applied.rows;
+}
+
+// Compares schema_migrations with the files on disk. The baseline's checksum is
+// not compared: schema.sql is expected to grow with every migration.
+async function checkSchema(queryable) {
+  const migrations = listMigrations();
+  const applied = await getAppliedMigrations(queryable);
+  const appliedByVersion = new Map(applied.map((row) => [row.version, row]));
+  const fileVersions = new Set(migrations.map((migration) => migration.version));
+
+  const pending = migrations.filter((migration) => !appliedByVersion.has(migration.version)).map((m) => m.name);
+  const changed = migrations
+    .filter((migration) => appliedByVersion.has(migration.version))
+    .filter((migration) => appliedByVersion.get(migration.version).checksum !== migration.checksum)
+    .map((migration) => migration.name);
+  const unknown = applied.filter((row) => row.version !== 0 && !fileVersions.has(row.version)).map((row) => row.name);
+
+  const expected = expectedVersion();
+  const current = applied.length > 0 ? applied[applied.length - 1].version : null;
+
+  return {
+    ok: appliedByVersion.has(0) && pending.length === 0 && changed.length === 0 && unknown.length === 0,
+    expected_version: expected,
+    current_version: current,
+    baseline_applied: appliedByVersion.has(0),
+    pending,
+    changed,
+    unknown
+  };
+}
+
+async function recordMigration(client, version, name, sum) {
+  await client.query(
+    `INSERT INTO schema_migrations (version, name, checksum)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (version) DO UPDATE SET name = EXCLUDED.name, checksum = EXCLUDED.checksum, applied_at = now()`,
+    [version, name, sum]
+  );
+}
+
+// Applies the baseline (when missing) and every pending migration, each in its
+// own transaction. With dryRun everything runs in one transaction that is rolled
+// back, so SQL errors still surface but nothing is kept.
+async function runMigrations(db, { dryRun = false, log = () => {} } = {}) {
+  const client = await db.getClient();
+  const applied = [];
+
+  try {
+    await client.query(`SELECT pg_advisory_lock($1)`, [LOCK_ID]);
+    await ensureMigrationsTable(client);
+
+    const done = new Set((await getAppliedMigrations(client)).map((row) => row.version));
+    const steps = [];
+    if (!done.has(0)) {
+      const tables = await client.query(`SELECT to_regclass('tracks') IS NOT NULL AS exists`);
+      const baselineSql = fs.readFileSync(BASELINE_PATH, "utf8");
+      steps.push({
+        version: 0,
+        name: "schema.sql",
+        // Databases created by hand already have the baseline; only record it
+        sql: tables.rows[0].exists ? null : baselineSql,
+        checksum: checksum(baselineSql)
+      });
+    }
+    steps.push(...listMigrations().filter((migration) => !done.has(migration.version)));
+
+    if (dryRun) await client.query("BEGIN");
+    for (const step of steps) {
+      if (!dryRun) await client.query("BEGIN");
+      try {
+        if (step.sql) await client.query(step.sql);
+        await recordMigration(client, step.version, step.name, step.checksum);
+        if (!dryRun) await client.query("COMMIT");
+      } catch (e) {
+        await client.query("ROLLBACK");
+        throw new Error(`${step.name}: ${e.message}`);
+      }
+      applied.push(step.name);
+      log({ event: dryRun ? "migration-dry-run" : "migration-applied", name: step.name, executed: Boolean(step.sql) });
+    }
+    if (dryRun) await client.query("ROLLBACK");
+
+    return { dry_run: dryRun, applied, version: expectedVersion() };
+  } finally {
+    await client.query(`SELECT pg_advisory_unlock($1)`, [LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+module.exports = {
+  listMigrations,
+  expectedVersion,
+  checkSchema,
+  runMigrations
+};
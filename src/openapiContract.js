@@ -0,0 +1,214 @@
+// openapiContract.js
+// openapi.yaml is the contract GPT Actions consume, so it stays the source of
+// truth: requests and responses are checked against it at runtime.
+//
+// OPENAPI_VALIDATION modes:
+//   off     (default) no checks
+//   log     mismatches are logged as openapi-mismatch events; traffic is untouched
+//   enforce request bodies that don't match get 400, responses that don't match
+//           are replaced with a 500 describing the mismatch (used by the tests)
+//
+// Only the JSON Schema subset the spec uses is checked: $ref, type (incl. type
+// arrays with "null"), enum, properties/required, items, additionalProperties,
+// oneOf, anyOf and allOf. Formats and ranges are left to the route zod schemas.
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+const logger = require("./logger");
+
+const SPEC_PATH = path.join(__dirname, "..", "openapi.yaml");
+const spec = YAML.parse(fs.readFileSync(SPEC_PATH, "utf8"));
+
+const MODES = ["off", "log", "enforce"];
+const HTTP_METHODS = ["get", "post", "put", "patch", "delete"];
+
+function listOperations() {
+  const operations = [];
+  for (const [pathTemplate, item] of Object.entries(spec.paths)) {
+    for (const method of HTTP_METHODS) {
+      if (item[method]) operations.push({ method, path: pathTemplate, ...item[method] });
+    }
+  }
+  return operations;
+}
+
+function findOperation(operationId) {
+  return listOperations().find((operation) => operation.operationId === operationId) || null;
+}
+
+// Literal paths win over templated ones (/tracks/import before /tracks/{slug})
+const matchers = listOperations()
+  .map((operation) => ({
+    operation,
+    params: (operation.path.match(/\{\w+\}/g) || []).length,
+    pattern: new RegExp(`^${operation.path.replace(/\{\w+\}/g, "[^/]+")}$`)
+  }))
+  .sort((a, b) => a.params - b.params);
+
+function matchOperation(method, requestPath) {
+  const lower = method.toLowerCase();
+  const found = matchers.find((matcher) => matcher.operation.method === lower && matcher.pattern.test(requestPath));
+  return found ? found.operation : null;
+}
+
+function resolveRef(ref) {
+  return ref
+    .replace(/^#\//, "")
+    .split("/")
+    .reduce((node, key) => node[key], spec);
+}
+
+function typeMatches(type, value) {
+  if (type === "null") return value === null;
+  if (type === "array") return Array.isArray(value);
+  if (type === "object") return value !== null && typeof value === "object" && !Array.isArray(value);
+  if (type === "integer") return Number.isInteger(value);
+  if (type === "number") return typeof value === "number";
+  return typeof value === type;
+}
+
+// Returns a list of "$.path: problem" strings; empty when value matches
+function validate(schema, value, at = "$", errors = []) {
+  if (schema.$ref) return validate(resolveRef(schema.$ref), value, at, errors);
+
+  if (schema.allOf) schema.allOf.forEach((part) => validate(part, value, at, errors));
+  if (schema.oneOf || schema.anyOf) {
+    const options = schema.oneOf || schema.anyOf;
+    const matches = options.filter((option) => validate(option, value, at, []).length === 0).length;
+    if (schema.oneOf ? matches !== 1 : matches === 0) {
+      errors.push(`${at}: expected to match ${schema.oneOf ? "exactly one" : "at least one"} schema, matched ${matches}`);
+    }
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => typeMatches(type, value))) {
+      errors.push(`${at}: expected ${types.join(" | ")}, got ${value === null ? "null" : typeof value}`);
+      return errors;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: ${JSON.stringify(value)} is not one of ${JSON.stringify(schema.enum)}`);
+  }
+
+  if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+    for (const key of schema.required || []) {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) errors.push(`${at}: missing required property ${key}`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) validate(propertySchema, value[key], `${at}.${key}`, errors);
+    }
+    for (const [key, entry] of Object.entries(value)) {
+      if (schema.properties && schema.properties[key]) continue;
+      if (schema.additionalProperties === false) {
+        errors.push(`${at}: unexpected property ${key}`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+        validate(schema.additionalProperties, entry, `${at}.${key}`, errors);
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((entry, index) => validate(schema.items, entry, `${at}[${index}]`, errors));
+  }
+
+  return errors;
+}
+
+function checkRequest(operation, req) {
+  const schema = operation.requestBody?.content?.["application/json"]?.schema;
+  if (!schema || !req.is("application/json")) return [];
+  return validate(schema, req.body === undefined ? {} : req.body);
+}
+
+// 5xx responses come from misconfiguration or outages, not the contract
+function checkResponse(operation, status, body) {
+  if (status >= 500) return [];
+  const documented = operation.responses[String(status)];
+  if (!documented) return [`status ${status} is not documented`];
+
+  const schema = documented.content?.["application/json"]?.schema;
+  return schema ? validate(schema, body) : [];
+}
+
+function logMismatch(direction, operation, req, status, errors) {
+  logger.error({
+    event: "openapi-mismatch",
+    direction,
+    operation_id: operation.operationId,
+    method: req.method,
+    path: req.path,
+    status,
+    errors
+  });
+}
+
+function createContractMiddleware({ mode = "off" } = {}) {
+  if (!MODES.includes(mode)) {
+    throw new Error(`Invalid OPENAPI_VALIDATION. Use ${MODES.join(", ")}.`);
+  }
+
+  return (req, res, next) => {
+    if (mode === "off") return next();
+    const operation = matchOperation(req.method, req.path);
+    if (!operation) return next();
+
+    const requestErrors = checkRequest(operation, req);
+    if (requestErrors.length > 0) {
+      logMismatch("request", operation, req, null, requestErrors);
+      if (mode === "enforce") {
+        return res.status(400).json({ error: "Request body does not match openapi.yaml", details: requestErrors });
+      }
+    }
+
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      // Compare what the client will actually see (Dates become strings, etc.)
+      const wire = body === undefined ? undefined : JSON.parse(JSON.stringify(body));
+      const responseErrors = checkResponse(operation, res.statusCode, wire);
+      if (responseErrors.length === 0) return sendJson(body);
+
+      logMismatch("response", operation, req, res.statusCode, responseErrors);
+      if (mode !== "enforce") return sendJson(body);
+      return res.status(500).json({
+        error: "Response does not match openapi.yaml",
+        operation_id: operation.operationId,
+        details: responseErrors
+      });
+    };
+
+    return next();
+  };
+}
+
+// Compares the routes registered on an Express app with the documented
+// operations. Both lists are "METHOD /path/{param}".
+function diffRoutes(app) {
+  const implemented = new Set();
+  for (const layer of app.router.stack) {
+    if (!layer.route) continue;
+    const routePath = layer.route.path.replace(/:(\w+)/g, "{$1}");
+    for (const method of Object.keys(layer.route.methods)) {
+      if (HTTP_METHODS.includes(method)) implemented.add(`${method.toUpperCase()} ${routePath}`);
+    }
+  }
+  const documented = new Set(listOperations().map((operation) => `${operation.method.toUpperCase()} ${operation.path}`));
+
+  return {
+    undocumented: [...implemented].filter((route) => !documented.has(route)).sort(),
+    unimplemented: [...documented].filter((route) => !implemented.has(route)).sort()
+  };
+}
+
+module.exports = {
+  spec,
+  SPEC_PATH,
+  listOperations,
+  findOperation,
+  matchOperation,
+  validate,
+  checkRequest,
+  checkResponse,
+  createContractMiddleware,
+  diffRoutes
+};
@@ -0,0 +1,162 @@
+// pacing.js
+// Turns a learner's commitment (weekly time budget, target date) and their
+// recent attempts on a track into a recommendation for today: how many
+// lessons, whether to slow down or speed up, and when to stop for remedial
+// review. Dates are local calendar dates ("YYYY-MM-DD").
+const streaks = require("./streaks");
+
+const RECENT_WINDOW_DAYS = 14;
+const RECENT_SCORED_ATTEMPTS = 5;
+const DEFAULT_MINUTES_PER_LESSON = 20;
+const MAX_LESSONS_PER_DAY = 5;
+const SLOW_DOWN_BELOW_PCT = 60;
+const SPEED_UP_FROM_PCT = 85;
+const REMEDIAL_AFTER_FAILURES = 2;
+const MAX_REMEDIAL_TAGS = 5;
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Typical time a lesson takes this learner: median of the summed durations of
+// each lesson they logged time on
+function minutesPerLesson(attempts) {
+  const secondsByLesson = new Map();
+  for (const attempt of attempts) {
+    if (attempt.duration_sec == null) continue;
+    secondsByLesson.set(attempt.lesson_id, (secondsByLesson.get(attempt.lesson_id) || 0) + attempt.duration_sec);
+  }
+  const typical = median([...secondsByLesson.values()]);
+  if (typical == null) return { minutes: DEFAULT_MINUTES_PER_LESSON, source: "default" };
+  return { minutes: Math.max(1, Math.round(typical / 60)), source: "history" };
+}
+
+function remedialTags(failedAttempts) {
+  const counts = new Map();
+  for (const attempt of failedAttempts) {
+    for (const tag of new Set([...attempt.weak_tags, ...attempt.lesson_tags])) {
+      counts.set(tag, (counts.get(tag) || 0) + 1);
+    }
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, MAX_REMEDIAL_TAGS)
+    .map(([tag]) => tag);
+}
+
+// profile:  { weekly_minutes, target_date, daily_goal: { type, target } }
+// attempts: the learner's attempts on this track in the last RECENT_WINDOW_DAYS,
+//           oldest first: { date, lesson_id, score_pct, passed, duration_sec, weak_tags, lesson_tags }
+// progress: { remaining_lessons, completed_today }
+function recommendPacing({ today, profile, attempts, progress }) {
+  const scored = attempts.filter((attempt) => attempt.score_pct != null);
+  const recent = scored.slice(-RECENT_SCORED_ATTEMPTS);
+  const avgScorePct =
+    recent.length === 0
+      ? null
+      : Math.round((recent.reduce((sum, attempt) => sum + attempt.score_pct, 0) / recent.length) * 10) / 10;
+
+  let consecutiveFailures = 0;
+  for (const attempt of scored) consecutiveFailures = attempt.passed ? 0 : consecutiveFailures + 1;
+
+  const weekStart = streaks.addDays(today, -6);
+  const activeDays = new Set(attempts.filter((attempt) => attempt.date >= weekStart).map((attempt) => attempt.date));
+  const perLesson = minutesPerLesson(attempts);
+
+  // Daily time from the weekly budget, else from a minutes-based daily goal
+  let dailyMinutes = null;
+  if (profile.weekly_minutes != null) dailyMinutes = profile.weekly_minutes / 7;
+  else if (profile.daily_goal.type === "minutes") dailyMinutes = profile.daily_goal.target;
+  const lessonsPerDay = dailyMinutes == null ? 1 : dailyMinutes / perLesson.minutes;
+  const budgetLessons = Math.max(1, Math.round(lessonsPerDay));
+
+  const remaining = progress.remaining_lessons;
+  const reasons = [];
+
+  let requiredPerDay = null;
+  if (profile.target_date && remaining > 0) {
+    const daysLeft = streaks.daysBetween(today, profile.target_date) + 1;
+    requiredPerDay = daysLeft > 0 ? Math.ceil(remaining / daysLeft) : remaining;
+  }
+
+  let projectedFinish = null;
+  if (remaining > 0) {
+    const daysNeeded = Math.ceil(remaining / Math.max(lessonsPerDay, 1 / 7));
+    projectedFinish = streaks.addDays(today, daysNeeded - 1);
+  }
+  const onTrack = profile.target_date ? remaining === 0 || projectedFinish <= profile.target_date : null;
+
+  let adjustment = "steady";
+  if (consecutiveFailures >= REMEDIAL_AFTER_FAILURES || (avgScorePct != null && avgScorePct < SLOW_DOWN_BELOW_PCT)) {
+    adjustment = "slow_down";
+    reasons.push(
+      consecutiveFailures >= REMEDIAL_AFTER_FAILURES
+        ? `${consecutiveFailures} failed attempts in a row`
+        : `recent average score is ${avgScorePct}%`
+    );
+  } else if (
+    avgScorePct != null &&
+    avgScorePct >= SPEED_UP_FROM_PCT &&
+    consecutiveFailures === 0 &&
+    recent.length >= 3
+  ) {
+    adjustment = "speed_up";
+    reasons.push(`recent average score is ${avgScorePct}%`);
+  }
+
+  let recommended = budgetLessons;
+  if (requiredPerDay != null && requiredPerDay > recommended) {
+    recommended = requiredPerDay;
+    reasons.push(`${requiredPerDay} lessons a day are needed to finish by ${profile.target_date}`);
+  }
+  if (adjustment === "slow_down") recommended -= 1;
+  if (adjustment === "speed_up") recommended += 1;
+  recommended = remaining === 0 ? 0 : Math.min(Math.max(recommended, 1), MAX_LESSONS_PER_DAY, remaining);
+
+  if (onTrack === false) reasons.push(`at the current budget the track finishes on ${projectedFinish}`);
+  if (remaining === 0) reasons.push("every lesson in this track is complete");
+
+  const failedRecently = recent.filter((attempt) => !attempt.passed);
+  const insertRemedial = adjustment === "slow_down";
+
+  return {
+    adjustment,
+    reasons,
+    lessons_today: {
+      recommended,
+      completed: progress.completed_today,
+      remaining: Math.max(0, recommended - progress.completed_today)
+    },
+    remedial: {
+      insert: insertRemedial,
+      reason: insertRemedial ? "Review the weak tags (GET /v1/reviews/due) before the next new lesson." : null,
+      tags: insertRemedial ? remedialTags(failedRecently) : []
+    },
+    recent_performance: {
+      window_days: RECENT_WINDOW_DAYS,
+      attempts: attempts.length,
+      avg_score_pct: avgScorePct,
+      consecutive_failures: consecutiveFailures,
+      active_days_7d: activeDays.size,
+      minutes_per_lesson: perLesson.minutes,
+      minutes_per_lesson_source: perLesson.source
+    },
+    schedule: {
+      weekly_minutes: profile.weekly_minutes,
+      target_date: profile.target_date,
+      remaining_lessons: remaining,
+      required_lessons_per_day: requiredPerDay,
+      projected_finish_date: projectedFinish,
+      on_track: onTrack
+    }
+  };
+}
+
+module.exports = {
+  RECENT_WINDOW_DAYS,
+  DEFAULT_MINUTES_PER_LESSON,
+  recommendPacing
+};
@@ -0,0 +1,129 @@
+// quizGrader.js
+// Server-side grading for lesson quiz items. Answer keys never leave the
+// server: toPublicItem strips them before items are returned to learners.
+
+const ITEM_TYPES = ["multiple_choice", "short_answer", "ordering"];
+
+function normalizeText(value, caseSensitive) {
+  const collapsed = String(value).trim().replace(/\s+/g, " ");
+  return caseSensitive ? collapsed : collapsed.toLowerCase();
+}
+
+function shuffle(values) {
+  const shuffled = [...values];
+  for (let i = shuffled.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  // Never present an ordering item already solved
+  if (shuffled.length > 1 && shuffled.every((value, index) => value === values[index])) {
+    shuffled.push(shuffled.shift());
+  }
+  return shuffled;
+}
+
+// Turns a seed-lessons quiz item into the { choices, answer } pair stored in quiz_items.
+function toStoredItem(item) {
+  if (item.item_type === "multiple_choice") {
+    return { choices: item.choices, answer: { correct_choices: [...new Set(item.correct_choices)].sort() } };
+  }
+  if (item.item_type === "short_answer") {
+    return {
+      choices: [],
+      answer: { accepted_answers: item.accepted_answers, case_sensitive: item.case_sensitive ?? false }
+    };
+  }
+  // ordering: seeded in the correct order, stored and shown shuffled
+  return { choices: shuffle(item.choices), answer: { order: item.choices } };
+}
+
+// Inverse of toStoredItem, used when exporting track bundles.
+function toSeedItem(row) {
+  const base = { item_type: row.item_type, prompt: row.prompt, tags: row.tags, points: Number(row.points) };
+
+  if (row.item_type === "multiple_choice") {
+    return { ...base, choices: row.choices, correct_choices: row.answer.correct_choices };
+  }
+  if (row.item_type === "short_answer") {
+    return {
+      ...base,
+      accepted_answers: row.answer.accepted_answers,
+      ...(row.answer.case_sensitive ? { case_sensitive: true } : {})
+    };
+  }
+  return { ...base, choices: row.answer.order };
+}
+
+function toPublicItem(row) {
+  return {
+    id: row.id,
+    item_order: row.item_order,
+    item_type: row.item_type,
+    prompt: row.prompt,
+    choices: row.choices,
+    tags: row.tags,
+    points: Number(row.points)
+  };
+}
+
+function isCorrect(row, response) {
+  if (!response) return false;
+
+  if (row.item_type === "multiple_choice") {
+    if (!Array.isArray(response.choice_indices)) return false;
+    const given = [...new Set(response.choice_indices)].sort();
+    const expected = row.answer.correct_choices;
+    return given.length === expected.length && given.every((value, index) => value === expected[index]);
+  }
+
+  if (row.item_type === "short_answer") {
+    if (typeof response.text !== "string") return false;
+    const caseSensitive = row.answer.case_sensitive;
+    const given = normalizeText(response.text, caseSensitive);
+    return row.answer.accepted_answers.some((accepted) => normalizeText(accepted, caseSensitive) === given);
+  }
+
+  if (row.item_type === "ordering") {
+    if (!Array.isArray(response.order)) return false;
+    const expected = row.answer.order;
+    return response.order.length === expected.length && response.order.every((value, index) => value === expected[index]);
+  }
+
+  return false;
+}
+
+// Unanswered items count as missed. weak_tags are the tags of every missed item.
+function gradeQuiz(rows, answers) {
+  const responseByItemId = new Map(answers.map((answer) => [answer.item_id, answer]));
+  const weakTags = new Set();
+  let score = 0;
+  let maxScore = 0;
+
+  const results = rows.map((row) => {
+    const points = Number(row.points);
+    const correct = isCorrect(row, responseByItemId.get(row.id));
+    maxScore += points;
+    if (correct) {
+      score += points;
+    } else {
+      row.tags.forEach((tag) => weakTags.add(tag));
+    }
+    return { item_id: row.id, correct, points, points_awarded: correct ? points : 0 };
+  });
+
+  return {
+    score,
+    max_score: maxScore,
+    results,
+    weak_tags: [...weakTags],
+    unknown_item_ids: answers.map((answer) => answer.item_id).filter((id) => !rows.some((row) => row.id === id))
+  };
+}
+
+module.exports = {
+  ITEM_TYPES,
+  toStoredItem,
+  toSeedItem,
+  toPublicItem,
+  gradeQuiz
+};
@@ -0,0 +1,132 @@
+// rateLimit.js
+// Sliding-window rate limiting over a pluggable counter store. A store only
+// counts hits per (key, fixed window); the limiter estimates the sliding
+// window as current + previous * (share of the previous window still inside it).
+//
+// Store interface: increment(key, windowStartMs, windowMs) -> { current, previous }
+const logger = require("./logger");
+
+// Per-process counters: reset on restart and not shared between instances.
+function createMemoryStore() {
+  const windowsByKey = new Map();
+  let nextCleanupAt = 0;
+
+  return {
+    name: "memory",
+    async increment(key, windowStartMs, windowMs) {
+      if (windowStartMs >= nextCleanupAt) {
+        for (const [storedKey, value] of windowsByKey.entries()) {
+          if (value.windowStartMs < windowStartMs - windowMs) windowsByKey.delete(storedKey);
+        }
+        nextCleanupAt = windowStartMs + windowMs;
+      }
+
+      const record = windowsByKey.get(key);
+      if (!record || record.windowStartMs < windowStartMs - windowMs) {
+        windowsByKey.set(key, { windowStartMs, current: 1, previous: 0 });
+        return { current: 1, previous: 0 };
+      }
+      if (record.windowStartMs !== windowStartMs) {
+        record.previous = record.current;
+        record.current = 0;
+        record.windowStartMs = windowStartMs;
+      }
+
+      record.current += 1;
+      return { current: record.current, previous: record.previous };
+    }
+  };
+}
+
+// Counters in rate_limit_counters, shared by every instance using the database.
+function createPostgresStore(db) {
+  let nextCleanupAt = 0;
+
+  return {
+    name: "postgres",
+    async increment(key, windowStartMs, windowMs) {
+      if (windowStartMs >= nextCleanupAt) {
+        nextCleanupAt = windowStartMs + windowMs;
+        await db.query(`DELETE FROM rate_limit_counters WHERE window_start_ms < $1`, [windowStartMs - windowMs]);
+      }
+
+      const counted = await db.query(
+        `WITH hit AS (
+           INSERT INTO rate_limit_counters (key, window_start_ms, count)
+           VALUES ($1, $2, 1)
+           ON CONFLICT (key, window_start_ms) DO UPDATE
+           SET count = rate_limit_counters.count + 1
+           RETURNING count
+         )
+         SELECT (SELECT count FROM hit) AS current,
+                COALESCE(
+                  (SELECT count FROM rate_limit_counters WHERE key = $1 AND window_start_ms = $3),
+                  0
+                ) AS previous`,
+        [key, windowStartMs, windowStartMs - windowMs]
+      );
+
+      return { current: counted.rows[0].current, previous: counted.rows[0].previous };
+    }
+  };
+}
+
+function slidingWindowCount(counts, windowStartMs, windowMs, now) {
+  const previousWeight = 1 - (now - windowStartMs) / windowMs;
+  return counts.current + Math.floor(counts.previous * previousWeight);
+}
+
+// keyFor(req) returns the counter key, or null to skip this limiter for the request.
+// With several limiters on one request, the RateLimit-* headers describe the
+// one with the fewest requests remaining.
+function createRateLimiter({ store, name, limit, windowMs, keyFor }) {
+  const windowSec = Math.ceil(windowMs / 1000);
+
+  return async function rateLimiter(req, res, next) {
+    const key = keyFor(req);
+    if (!key) return next();
+
+    const now = Date.now();
+    const windowStartMs = now - (now % windowMs);
+    let counts;
+    try {
+      counts = await store.increment(`${name}:${key}`, windowStartMs, windowMs);
+    } catch (e) {
+      // Fail open: a store outage should not take the API down with it
+      logger.error({ event: "rate-limit-store-error", store: store.name, error: e.message });
+      return next();
+    }
+
+    const used = slidingWindowCount(counts, windowStartMs, windowMs, now);
+    const remaining = Math.max(0, limit - used);
+    const resetSec = Math.max(1, Math.ceil((windowStartMs + windowMs - now) / 1000));
+
+    const previousRemaining = res.get("RateLimit-Remaining");
+    if (previousRemaining === undefined || remaining <= Number(previousRemaining)) {
+      res.set("RateLimit-Policy", `${limit};w=${windowSec}`);
+      res.set("RateLimit-Limit", String(limit));
+      res.set("RateLimit-Remaining", String(remaining));
+      res.set("RateLimit-Reset", String(resetSec));
+    }
+
+    if (used > limit) {
+      res.set("Retry-After", String(resetSec));
+      return res.status(429).json({ error: "Too many requests" });
+    }
+
+    return next();
+  };
+}
+
+function createStore(kind, db) {
+  if (kind === "postgres") return createPostgresStore(db);
+  if (kind === "memory") return createMemoryStore();
+  throw new Error("Invalid RATE_LIMIT_STORE. Use memory or postgres.");
+}
+
+module.exports = {
+  createMemoryStore,
+  createPostgresStore,
+  createStore,
+  createRateLimiter
+};
@@ -0,0 +1,70 @@
+// recoveryCodes.js
+// Word-based Learner ID recovery codes. A code is CODE_WORDS words from a
+// 256-word list (8 random bits per word), shown to the learner once and stored
+// only as a SHA-256 hash. The code alone identifies the learner, so each one
+// carries enough entropy that guessing any issued code is impractical.
+const crypto = require("crypto");
+
+const CODE_WORDS = 8;
+const CODES_PER_SET = 5;
+
+// Exactly 256 distinct words, so one random byte picks one word without bias
+const WORDS = [
+  "acorn", "actor", "adobe", "agent", "album", "alley", "amber", "anchor", "angle", "ankle", "apple", "apron",
+  "arena", "arrow", "aspen", "atlas", "attic", "autumn", "bacon", "badge", "bagel", "baker", "bamboo",
+  "banjo", "barley", "barn", "basin", "basket", "beach", "beacon", "beard", "beaver", "bench", "berry",
+  "bison", "blade", "blanket", "blossom", "board", "bonnet", "bottle", "bowl", "brick", "bridge", "broom",
+  "bucket", "bugle", "butter", "cabin", "cactus", "camel", "candle", "canoe", "canyon", "carpet", "carrot",
+  "castle", "cedar", "cello", "chalk", "cherry", "chess", "cider", "cinema", "circus", "cliff", "clock",
+  "cloud", "clover", "cobalt", "cocoa", "comet", "copper", "coral", "cotton", "cradle", "crane", "crayon",
+  "cricket", "crown", "cube", "daisy", "dance", "delta", "denim", "desert", "diary", "dolphin", "donkey",
+  "dragon", "drum", "eagle", "easel", "echo", "elbow", "ember", "engine", "fabric", "falcon", "feather",
+  "fern", "fiddle", "field", "flute", "forest", "fossil", "fountain", "fox", "garden", "garlic", "gecko",
+  "geyser", "ginger", "glacier", "globe", "goose", "grape", "gravel", "guitar", "hammer", "harbor", "harp",
+  "hazel", "helmet", "heron", "hill", "honey", "horizon", "igloo", "island", "ivory", "jacket", "jasmine",
+  "jelly", "jigsaw", "jungle", "kayak", "kettle", "kiwi", "koala", "ladder", "lagoon", "lantern", "lemon",
+  "lily", "lion", "lizard", "llama", "lobster", "locket", "lotus", "magnet", "mango", "maple", "marble",
+  "meadow", "melon", "mirror", "mitten", "monkey", "moose", "mosaic", "motor", "muffin", "nectar", "needle",
+  "nest", "noodle", "nutmeg", "oasis", "ocean", "olive", "onion", "orbit", "orchid", "otter", "oyster",
+  "paddle", "palace", "panda", "paper", "parrot", "peach", "pebble", "pencil", "pepper", "piano", "pillow",
+  "pine", "planet", "plum", "pocket", "pony", "poppy", "potato", "prairie", "pumpkin", "puzzle", "quartz",
+  "quill", "rabbit", "radar", "radish", "raven", "reef", "ribbon", "river", "robin", "rocket", "saddle",
+  "salmon", "sandal", "satin", "scarf", "shadow", "shell", "silver", "sketch", "sled", "spider", "sponge",
+  "spruce", "squash", "stamp", "star", "stone", "sugar", "summit", "swan", "table", "tiger", "timber",
+  "toast", "tomato", "topaz", "torch", "tractor", "trumpet", "tulip", "tunnel", "turtle", "umbrella",
+  "valley", "velvet", "violin", "volcano", "wagon", "walnut", "whale", "willow", "window", "winter", "wizard",
+  "yogurt", "zebra", "zipper"
+];
+
+function generateCode() {
+  return [...crypto.randomBytes(CODE_WORDS)].map((byte) => WORDS[byte]).join("-");
+}
+
+function generateCodeSet() {
+  const codes = [];
+  for (let i = 0; i < CODES_PER_SET; i += 1) codes.push(generateCode());
+  return codes;
+}
+
+// Case, spacing and separators don't matter: "Maple river..." == "maple-river-..."
+// Returns null when the input is not CODE_WORDS known words.
+function normalizeCode(input) {
+  if (typeof input !== "string") return null;
+  const words = input.toLowerCase().split(/[^a-z]+/).filter(Boolean);
+  if (words.length !== CODE_WORDS || !words.every((word) => WORDS.includes(word))) return null;
+  return words.join("-");
+}
+
+function hashCode(normalized) {
+  return crypto.createHash("sha256").update(normalized).digest("hex");
+}
+
+module.exports = {
+  CODE_WORDS,
+  CODES_PER_SET,
+  WORDS,
+  generateCode,
+  generateCodeSet,
+  normalizeCode,
+  hashCode
+};
@@ -0,0 +1,92 @@
+// reviewScheduler.js
+// SM-2 style scheduling for per-tag reviews. Pure functions only: src/app.js
+// owns the tag_reviews table and feeds rows in and out of here.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_EASINESS = 2.5;
+const MIN_EASINESS = 1.3;
+const PASSING_QUALITY = 3;
+
+// Maps a score percentage to SM-2 quality (0-5). Tags the learner reported as
+// weak are capped below the passing grade so they come back soon.
+function qualityFromScore(scorePct, isWeakTag) {
+  let quality;
+  if (scorePct == null) {
+    quality = isWeakTag ? 2 : null;
+  } else if (scorePct >= 95) {
+    quality = 5;
+  } else if (scorePct >= 85) {
+    quality = 4;
+  } else if (scorePct >= 70) {
+    quality = 3;
+  } else if (scorePct >= 50) {
+    quality = 2;
+  } else if (scorePct >= 25) {
+    quality = 1;
+  } else {
+    quality = 0;
+  }
+
+  if (quality != null && isWeakTag) {
+    quality = Math.min(quality, 2);
+  }
+
+  return quality;
+}
+
+function scheduleReview(previous, quality, now = new Date()) {
+  const state = {
+    easiness: previous ? Number(previous.easiness) : DEFAULT_EASINESS,
+    interval_days: previous ? previous.interval_days : 0,
+    repetitions: previous ? previous.repetitions : 0,
+    lapses: previous ? previous.lapses : 0
+  };
+
+  if (quality >= PASSING_QUALITY) {
+    if (state.repetitions === 0) {
+      state.interval_days = 1;
+    } else if (state.repetitions === 1) {
+      state.interval_days = 6;
+    } else {
+      state.interval_days = Math.round(state.interval_days * state.easiness);
+    }
+    state.repetitions += 1;
+  } else {
+    state.repetitions = 0;
+    state.interval_days = 1;
+    state.lapses += 1;
+  }
+
+  const penalty = 5 - quality;
+  state.easiness = Math.max(MIN_EASINESS, state.easiness + (0.1 - penalty * (0.08 + penalty * 0.02)));
+  state.easiness = Math.round(state.easiness * 100) / 100;
+  state.due_at = new Date(now.getTime() + state.interval_days * DAY_MS);
+
+  return state;
+}
+
+// Higher is weaker: repeated lapses, low easiness and long-overdue tags first.
+function tagWeakness(review, now = new Date()) {
+  const overdueDays = Math.max(0, (now.getTime() - new Date(review.due_at).getTime()) / DAY_MS);
+  return review.lapses + (DEFAULT_EASINESS - Number(review.easiness)) * 2 + Math.min(overdueDays, 30) / 30;
+}
+
+function rankReviewLessons(dueReviews, lessons, now = new Date()) {
+  const weaknessByTag = new Map(dueReviews.map((review) => [review.tag, tagWeakness(review, now)]));
+
+  return lessons
+    .map((lesson) => {
+      const matchedTags = lesson.tags.filter((tag) => weaknessByTag.has(tag));
+      const priority = matchedTags.reduce((sum, tag) => sum + weaknessByTag.get(tag), 0);
+      return { lesson, matched_tags: matchedTags, priority: Math.round(priority * 100) / 100 };
+    })
+    .filter((item) => item.matched_tags.length > 0)
+    .sort((a, b) => b.priority - a.priority || a.lesson.lesson_order - b.lesson.lesson_order);
+}
+
+module.exports = {
+  qualityFromScore,
+  scheduleReview,
+  tagWeakness,
+  rankReviewLessons
+};
@@ -3,6 +3,12 @@ CREATE EXTENSION IF NOT EXISTS "pgcrypto";
 
 CREATE TABLE IF NOT EXISTS users (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  token_version INT NOT NULL DEFAULT 0,   -- 0 = no learner token issued yet; bumped on rotation
+  timezone TEXT NOT NULL DEFAULT 'UTC',   -- IANA name; streak days are local dates
+  daily_goal_type TEXT NOT NULL DEFAULT 'attempts' CHECK (daily_goal_type IN ('attempts', 'minutes')),
+  daily_goal_target INT NOT NULL DEFAULT 1 CHECK (daily_goal_target > 0),
+  weekly_minutes INT CHECK (weekly_minutes > 0), -- pacing budget; NULL = not set
+  target_date DATE,                       -- pacing deadline (learner's local date); NULL = none
   created_at TIMESTAMPTZ NOT NULL DEFAULT now()
 );
 
@@ -14,6 +20,8 @@ CREATE TABLE IF NOT EXISTS tracks (
   track_type TEXT NOT NULL DEFAULT 'custom' CHECK (track_type IN ('official', 'custom')),
   owner_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
   status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'active', 'archived')),
+  mastery_policy JSONB,                   -- NULL = default rule (>= 70% on any attempt type)
+  search_vector TSVECTOR,                 -- maintained by triggers; see track_search_vector()
   created_at TIMESTAMPTZ NOT NULL DEFAULT now()
 );
 
@@ -25,10 +33,103 @@ CREATE TABLE IF NOT EXISTS lessons (
   objectives JSONB NOT NULL DEFAULT '[]'::jsonb,
   tags JSONB NOT NULL DEFAULT '[]'::jsonb,
   source_urls JSONB NOT NULL DEFAULT '[]'::jsonb,
+  mastery_policy JSONB,                   -- NULL = inherit the track's policy
+  content_version INT,                    -- NULL = no content blocks yet
   created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
   UNIQUE(track_id, lesson_order)
 );
 
+CREATE INDEX IF NOT EXISTS lessons_tags_idx ON lessons USING GIN (tags);
+
+-- Full-text search for GET /v1/tracks?q=: track title (A), lesson titles and tags (B), objectives (C)
+CREATE OR REPLACE FUNCTION track_search_vector(target_track_id UUID, track_title TEXT) RETURNS TSVECTOR AS $$
+  SELECT setweight(to_tsvector('english', COALESCE(track_title, '')), 'A') ||
+         setweight(to_tsvector('english', COALESCE(
+           (SELECT string_agg(l.title, ' ') FROM lessons l WHERE l.track_id = target_track_id), ''
+         )), 'B') ||
+         setweight(to_tsvector('english', COALESCE(
+           (SELECT string_agg(tag, ' ')
+            FROM lessons l, jsonb_array_elements_text(l.tags) AS tag
+            WHERE l.track_id = target_track_id), ''
+         )), 'B') ||
+         setweight(to_tsvector('english', COALESCE(
+           (SELECT string_agg(objective, ' ')
+            FROM lessons l, jsonb_array_elements_text(l.objectives) AS objective
+            WHERE l.track_id = target_track_id), ''
+         )), 'C')
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION tracks_search_vector_trigger() RETURNS trigger AS $$
+BEGIN
+  NEW.search_vector := track_search_vector(NEW.id, NEW.title);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION lessons_search_vector_trigger() RETURNS trigger AS $$
+BEGIN
+  UPDATE tracks
+  SET search_vector = track_search_vector(id, title)
+  WHERE id IN (
+    CASE WHEN TG_OP = 'INSERT' THEN NULL ELSE OLD.track_id END,
+    CASE WHEN TG_OP = 'DELETE' THEN NULL ELSE NEW.track_id END
+  );
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS tracks_search_vector_update ON tracks;
+CREATE TRIGGER tracks_search_vector_update
+  BEFORE INSERT OR UPDATE OF title ON tracks
+  FOR EACH ROW EXECUTE FUNCTION tracks_search_vector_trigger();
+
+DROP TRIGGER IF EXISTS lessons_search_vector_update ON lessons;
+CREATE TRIGGER lessons_search_vector_update
+  AFTER INSERT OR UPDATE OF track_id, title, tags, objectives OR DELETE ON lessons
+  FOR EACH ROW EXECUTE FUNCTION lessons_search_vector_trigger();
+
+CREATE INDEX IF NOT EXISTS tracks_search_vector_idx ON tracks USING GIN (search_vector);
+
+-- Quiz item bank graded by POST /v1/lessons/:id/quiz/submit
+CREATE TABLE IF NOT EXISTS quiz_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  lesson_id UUID NOT NULL REFERENCES lessons(id) ON DELETE CASCADE,
+  item_order INT NOT NULL,
+  item_type TEXT NOT NULL CHECK (item_type IN ('multiple_choice', 'short_answer', 'ordering')),
+  prompt TEXT NOT NULL,
+  choices JSONB NOT NULL DEFAULT '[]'::jsonb,
+  answer JSONB NOT NULL,                  -- answer key; never returned to learners
+  tags JSONB NOT NULL DEFAULT '[]'::jsonb,
+  points NUMERIC NOT NULL DEFAULT 1,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE(lesson_id, item_order)
+);
+
+-- Content block versions; never edited, a changed list gets the next version
+CREATE TABLE IF NOT EXISTS lesson_content_versions (
+  lesson_id UUID NOT NULL REFERENCES lessons(id) ON DELETE CASCADE,
+  version INT NOT NULL,
+  blocks JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY(lesson_id, version)
+);
+
+-- Prerequisite edges; may point at lessons in other tracks
+CREATE TABLE IF NOT EXISTS lesson_prerequisites (
+  lesson_id UUID NOT NULL REFERENCES lessons(id) ON DELETE CASCADE,
+  prerequisite_lesson_id UUID NOT NULL REFERENCES lessons(id) ON DELETE CASCADE,
+  PRIMARY KEY(lesson_id, prerequisite_lesson_id)
+);
+
+CREATE INDEX IF NOT EXISTS lesson_prerequisites_prerequisite_idx ON lesson_prerequisites (prerequisite_lesson_id);
+
+CREATE TABLE IF NOT EXISTS lesson_completions (
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  lesson_id UUID NOT NULL REFERENCES lessons(id) ON DELETE CASCADE,
+  completed_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY(user_id, lesson_id)
+);
+
 CREATE TABLE IF NOT EXISTS attempts (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
@@ -38,13 +139,138 @@ CREATE TABLE IF NOT EXISTS attempts (
   max_score NUMERIC,
   duration_sec INT,
   weak_tags JSONB NOT NULL DEFAULT '[]'::jsonb,
+  graded_by TEXT NOT NULL DEFAULT 'client' CHECK (graded_by IN ('client', 'server')),
   created_at TIMESTAMPTZ NOT NULL DEFAULT now()
 );
 
+CREATE INDEX IF NOT EXISTS attempts_user_lesson_idx ON attempts (user_id, lesson_id, created_at);
+CREATE INDEX IF NOT EXISTS attempts_user_created_idx ON attempts (user_id, created_at);
+-- Covering indexes for the /v1/internal/analytics reports
+CREATE INDEX IF NOT EXISTS attempts_lesson_created_idx
+  ON attempts (lesson_id, created_at) INCLUDE (user_id, attempt_type, score, max_score, duration_sec);
+CREATE INDEX IF NOT EXISTS attempts_lesson_weak_tags_idx
+  ON attempts (lesson_id, created_at) INCLUDE (user_id, weak_tags) WHERE weak_tags <> '[]'::jsonb;
+
+-- Immutable published snapshots of a track's content
+CREATE TABLE IF NOT EXISTS track_versions (
+  track_id UUID NOT NULL REFERENCES tracks(id) ON DELETE CASCADE,
+  version INT NOT NULL,
+  snapshot JSONB NOT NULL,                -- { track, lessons } at publish time
+  notes TEXT,
+  published_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY(track_id, version)
+);
+
 CREATE TABLE IF NOT EXISTS user_track_state (
   user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
   track_id UUID NOT NULL REFERENCES tracks(id) ON DELETE CASCADE,
   current_lesson_order INT NOT NULL DEFAULT 1,
+  track_version INT,                      -- NULL = live lessons; otherwise a published track_versions.version
   last_seen TIMESTAMPTZ,
   PRIMARY KEY(user_id, track_id)
 );
+CREATE INDEX IF NOT EXISTS user_track_state_track_seen_idx
+  ON user_track_state (track_id, last_seen) INCLUDE (current_lesson_order);
+
+-- Spaced-repetition state per learner, track and lesson tag (SM-2)
+CREATE TABLE IF NOT EXISTS tag_reviews (
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  track_id UUID NOT NULL REFERENCES tracks(id) ON DELETE CASCADE,
+  tag TEXT NOT NULL,
+  easiness NUMERIC NOT NULL DEFAULT 2.5,
+  interval_days INT NOT NULL DEFAULT 0,
+  repetitions INT NOT NULL DEFAULT 0,
+  lapses INT NOT NULL DEFAULT 0,
+  last_quality INT,
+  last_reviewed_at TIMESTAMPTZ,
+  due_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY(user_id, track_id, tag)
+);
+
+CREATE INDEX IF NOT EXISTS tag_reviews_due_idx ON tag_reviews (user_id, track_id, due_at);
+
+-- Sliding-window rate-limit counters (RATE_LIMIT_STORE=postgres). Unlogged: losing them on a crash is fine.
+CREATE UNLOGGED TABLE IF NOT EXISTS rate_limit_counters (
+  key TEXT NOT NULL,                      -- "<limiter>:<ip or learner id>"
+  window_start_ms BIGINT NOT NULL,        -- start of the fixed window, epoch milliseconds
+  count INT NOT NULL DEFAULT 0,
+  PRIMARY KEY(key, window_start_ms)
+);
+
+CREATE INDEX IF NOT EXISTS rate_limit_counters_window_idx ON rate_limit_counters (window_start_ms);
+
+-- Outbound webhooks (src/webhooks.js): endpoints registered by admins and the delivery outbox
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL,                   -- HMAC-SHA256 key for X-Webhook-Signature
+  events JSONB NOT NULL DEFAULT '[]'::jsonb,  -- event types, e.g. ["attempt.submitted"]
+  description TEXT,
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  endpoint_id UUID NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+  event_id UUID NOT NULL,                 -- shared by the deliveries of one event
+  event_type TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+  attempts INT NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_attempt_at TIMESTAMPTZ,
+  last_status_code INT,
+  last_error TEXT,
+  delivered_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS webhook_deliveries_due_idx ON webhook_deliveries (next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS webhook_deliveries_endpoint_idx ON webhook_deliveries (endpoint_id, created_at DESC);
+
+-- Signed track completion certificates (src/certificates.js); they outlive the track they cover
+CREATE TABLE IF NOT EXISTS certificates (
+  id UUID PRIMARY KEY,                    -- generated before signing; part of the signed payload
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  track_id UUID REFERENCES tracks(id) ON DELETE SET NULL,
+  track_version INT,                      -- the learner's pinned version at completion (NULL = unversioned)
+  key_id TEXT NOT NULL,                   -- CERTIFICATE_KEYS kid that signed it
+  signed_payload TEXT NOT NULL,           -- exact JSON that was signed
+  signature TEXT NOT NULL,
+  issued_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS certificates_user_track_version_idx
+  ON certificates (user_id, track_id, COALESCE(track_version, 0));
+
+-- Learner ID recovery codes, stored as SHA-256 hashes; each works once
+CREATE TABLE IF NOT EXISTS recovery_codes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash TEXT NOT NULL UNIQUE,         -- sha256 of the normalized code
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  used_at TIMESTAMPTZ                     -- NULL = still redeemable
+);
+
+CREATE INDEX IF NOT EXISTS recovery_codes_user_idx ON recovery_codes (user_id);
+
+-- Idempotency-Key records for learner POST routes; rows expire after 24 hours
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  route TEXT NOT NULL,                    -- e.g. "POST /v1/attempts"
+  key TEXT NOT NULL,                      -- Idempotency-Key header value
+  request_hash TEXT NOT NULL,             -- sha256 of the canonical request body
+  response_status INT,
+  response_body JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY(user_id, route, key)
+);
+
+-- Applied migrations, maintained by `npm run migrate` (src/migrations.js). Version 0 is this file.
+CREATE TABLE IF NOT EXISTS schema_migrations (
+  version INT PRIMARY KEY,
+  name TEXT NOT NULL,
+  checksum TEXT NOT NULL,                 -- sha256 of the migration file when it was applied
+  applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
@@ -1,540 +1,101 @@
 // server.js
 require("dotenv").config();
-const express = require("express");
-const cors = require("cors");
-const { z } = require("zod");
-const path = require("path");
+const { once } = require("node:events");
+const app = require("./app");
 const db = require("./db");
-
-const app = express();
-app.set("trust proxy", 1);
-app.use(cors());
-app.use(express.json());
-
-const RATE_LIMIT_WINDOW_MS = 15 * 60 * 1000;
-
-function createIpLimiter(maxRequests) {
-  const requestsByIp = new Map();
-  let nextCleanupAt = Date.now() + RATE_LIMIT_WINDOW_MS;
-
-  return function ipLimiter(req, res, next) {
-    const now = Date.now();
-
-    if (now >= nextCleanupAt) {
-      for (const [ip, value] of requestsByIp.entries()) {
-        if (now >= value.resetAt) {
-          requestsByIp.delete(ip);
-        }
-      }
-      nextCleanupAt = now + RATE_LIMIT_WINDOW_MS;
-    }
-
-    const key = req.ip || req.connection?.remoteAddress || "unknown";
-    const record = requestsByIp.get(key);
-
-    if (!record || now >= record.resetAt) {
-      requestsByIp.set(key, { count: 1, resetAt: now + RATE_LIMIT_WINDOW_MS });
-      return next();
-    }
-
-    if (record.count >= maxRequests) {
-      const retryAfterSeconds = Math.ceil((record.resetAt - now) / 1000);
-      res.set("Retry-After", String(retryAfterSeconds));
-      return res.status(429).json({ error: "Too many requests" });
-    }
-
-    record.count += 1;
-    return next();
-  };
-}
-
-const publicLimiter = createIpLimiter(300);
-const adminLimiter = createIpLimiter(60);
-
-// ---------- helpers ----------
-async function ensureUser(userId) {
-  // If userId is missing, create a new user and return id
-  if (!userId) {
-    const created = await db.query(`INSERT INTO users DEFAULT VALUES RETURNING id`);
-    return created.rows[0].id;
-  }
-
-  // If provided, ensure exists
-  const found = await db.query(`SELECT id FROM users WHERE id = $1`, [userId]);
-  if (found.rowCount === 0) {
-    await db.query(`INSERT INTO users (id) VALUES ($1)`, [userId]);
-  }
-  return userId;
-}
-
-async function getTrackBySlug(slug) {
-  const res = await db.query(`SELECT * FROM tracks WHERE slug = $1`, [slug]);
-  return res.rows[0] || null;
-}
-
-function getUserIdFromQuery(req, res) {
-  const hasLearnerId = Object.prototype.hasOwnProperty.call(req.query, "learner_id");
-  const hasUserId = Object.prototype.hasOwnProperty.call(req.query, "user_id");
-
-  if (!hasLearnerId && !hasUserId) return null;
-
-  if (hasLearnerId && hasUserId) {
-    const parsedLearnerId = z.string().uuid().safeParse(req.query.learner_id);
-    const parsedUserId = z.string().uuid().safeParse(req.query.user_id);
-
-    if (!parsedLearnerId.success || !parsedUserId.success) {
-      res.status(400).json({ error: "learner_id/user_id must be a valid UUID" });
-      return null;
-    }
-
-    if (parsedLearnerId.data !== parsedUserId.data) {
-      res.status(400).json({ error: "learner_id and user_id must match when both are provided" });
-      return null;
-    }
-
-    return parsedLearnerId.data;
-  }
-
-  const selectedId = hasLearnerId ? req.query.learner_id : req.query.user_id;
-  const parsed = z.string().uuid().safeParse(selectedId);
-  if (!parsed.success) {
-    res.status(400).json({ error: "learner_id/user_id must be a valid UUID" });
-    return null;
-  }
-
-  return parsed.data;
-}
-
-function requireAdminKey(req, res, next) {
-  const configuredKey = process.env.ADMIN_KEY;
-  if (!configuredKey) {
-    return res.status(500).json({ error: "ADMIN_KEY is not configured on the server." });
-  }
-
-  const providedKey = req.header("X-ADMIN-KEY");
-  if (providedKey !== configuredKey) {
-    return res.status(401).json({ error: "Unauthorized" });
-  }
-
-  return next();
-}
-
-// ---------- routes ----------
-app.use((req, res, next) => {
-  if (req.path.startsWith("/v1/internal")) {
-    return next();
-  }
-  return publicLimiter(req, res, next);
-});
-
-app.get("/health", (req, res) => {
-  res.json({ ok: true, message: "API is alive 🫡" });
-});
-
-app.get("/openapi.yaml", (req, res) => {
-  return res.sendFile(path.join(__dirname, "..", "openapi.yaml"));
-});
-
-// List tracks
-app.get("/v1/tracks", async (req, res) => {
-  const tracks = await db.query(`
-    SELECT id, slug, title, official_sources, track_type, owner_user_id, status
-    FROM tracks
-    ORDER BY title
-  `);
-  res.json({ tracks: tracks.rows });
-});
-
-// Create track (admin-only)
-app.post("/v1/tracks", requireAdminKey, async (req, res) => {
-  const schema = z.object({
-    slug: z.string().min(2).max(50),
-    title: z.string().min(2).max(100),
-    official_sources: z.array(z.string().url()).optional()
-  });
-
-  const parsed = schema.safeParse(req.body);
-  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
-
-  const { slug, title, official_sources = [] } = parsed.data;
-
-  try {
-    const created = await db.query(
-      `INSERT INTO tracks (slug, title, official_sources)
-       VALUES ($1, $2, $3::jsonb)
-       RETURNING id, slug, title, official_sources, track_type, owner_user_id, status`,
-      [slug.toLowerCase(), title, JSON.stringify(official_sources)]
-    );
-    res.status(201).json({ track: created.rows[0] });
-  } catch (e) {
-    res.status(400).json({ error: "Track slug already exists or invalid data." });
-  }
-});
-
-app.use("/v1/internal", adminLimiter, requireAdminKey);
-
-app.post("/v1/internal/ensure-track", async (req, res) => {
-  const schema = z.object({
-    slug: z.string().min(2).max(50),
-    title: z.string().min(2).max(100),
-    official_sources: z.array(z.string().url()).optional(),
-    track_type: z.enum(["official", "custom"]).optional(),
-    owner_user_id: z.string().uuid().nullable().optional(),
-    status: z.enum(["draft", "active", "archived"]).optional()
-  });
-
-  const parsed = schema.safeParse(req.body);
-  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
-
-  const payload = parsed.data;
-  const slug = payload.slug.toLowerCase();
-  const hasOfficialSources = Object.prototype.hasOwnProperty.call(payload, "official_sources");
-  const hasTrackType = Object.prototype.hasOwnProperty.call(payload, "track_type");
-  const hasOwnerUserId = Object.prototype.hasOwnProperty.call(payload, "owner_user_id");
-  const hasStatus = Object.prototype.hasOwnProperty.call(payload, "status");
-
-  try {
-    if (hasOwnerUserId && payload.owner_user_id) {
-      await ensureUser(payload.owner_user_id);
-    }
-
-    const existing = await db.query(`SELECT id FROM tracks WHERE slug = $1`, [slug]);
-
-    const saved = await db.query(
-      `INSERT INTO tracks (slug, title, official_sources, track_type, owner_user_id, status)
-       VALUES (
-         $1,
-         $2,
-         COALESCE($3::jsonb, '[]'::jsonb),
-         COALESCE($4, 'custom'),
-         $5,
-         COALESCE($6, 'draft')
-       )
-       ON CONFLICT (slug) DO UPDATE
-       SET title = EXCLUDED.title,
-           official_sources = CASE WHEN $7 THEN EXCLUDED.official_sources ELSE tracks.official_sources END,
-           track_type = CASE WHEN $8 THEN EXCLUDED.track_type ELSE tracks.track_type END,
-           owner_user_id = CASE WHEN $9 THEN EXCLUDED.owner_user_id ELSE tracks.owner_user_id END,
-           status = CASE WHEN $10 THEN EXCLUDED.status ELSE tracks.status END
-       RETURNING id, slug, title, official_sources, track_type, owner_user_id, status`,
-      [
-        slug,
-        payload.title,
-        hasOfficialSources ? JSON.stringify(payload.official_sources) : null,
-        hasTrackType ? payload.track_type : null,
-        hasOwnerUserId ? payload.owner_user_id : null,
-        hasStatus ? payload.status : null,
-        hasOfficialSources,
-        hasTrackType,
-        hasOwnerUserId,
-        hasStatus
-      ]
-    );
-
-    const created = existing.rowCount === 0;
-    console.log(
-      JSON.stringify({
-        event: "ensure-track",
-        slug,
-        action: created ? "created" : "updated"
-      })
-    );
-
-    return res.status(created ? 201 : 200).json({
-      created,
-      track: saved.rows[0]
-    });
-  } catch (e) {
-    return res.status(400).json({ error: "Unable to ensure track." });
+const migrations = require("./migrations");
+const webhooks = require("./webhooks");
+const logger = require("./logger");
+
+// Render allows 30 seconds between SIGTERM and SIGKILL
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS || 10000);
+
+// Checks the schema, listens and starts the webhook dispatcher. Resolves to
+// { server, shutdown }. shutdown(signal) stops accepting connections, lets
+// in-flight requests and webhook sends finish, then closes the pg pool.
+async function start({
+  port = process.env.PORT || 3000,
+  // How often to send due webhook deliveries; 0 turns this instance's dispatcher off
+  webhookIntervalMs = Number(process.env.WEBHOOK_DISPATCH_INTERVAL_MS || 5000)
+} = {}) {
+  // Refuse to serve against a database that is behind (or ahead of) migrations/
+  const status = await migrations.checkSchema(db);
+  if (!status.ok) {
+    const error = new Error("Schema does not match migrations/");
+    error.schemaStatus = status;
+    throw error;
   }
-});
 
-app.post("/v1/internal/seed-lessons", async (req, res) => {
-  const schema = z.object({
-    track_slug: z.string().min(2).max(50),
-    lessons: z.array(
-      z.object({
-        lesson_order: z.number().int().positive(),
-        title: z.string().min(2).max(160),
-        objectives: z.array(z.string()).default([]),
-        tags: z.array(z.string()).default([]),
-        source_urls: z.array(z.string().url()).default([])
-      })
-    ).min(1)
+  const server = app.listen(port);
+  await once(server, "listening");
+  logger.info({ event: "server-started", port: server.address().port });
+  const dispatcher = webhookIntervalMs > 0 ? webhooks.startDispatcher(db, { intervalMs: webhookIntervalMs }) : null;
+
+  let closing = null;
+  // Responses unfinished when shutdown starts close their keep-alive connection,
+  // so server.close() isn't left waiting on sockets that would sit idle
+  const open = new Set();
+  server.on("request", (req, res) => {
+    if (closing) res.setHeader("Connection", "close");
+    open.add(res);
+    res.on("close", () => open.delete(res));
   });
 
-  const parsed = schema.safeParse(req.body);
-  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
-
-  const payload = parsed.data;
-  const track = await getTrackBySlug(payload.track_slug.toLowerCase());
-  if (!track) return res.status(404).json({ error: "Track not found" });
-
-  const seeded = [];
-  let updatedCount = 0;
-  const client = await db.getClient();
-
-  try {
-    await client.query("BEGIN");
-
-    const lessonOrders = payload.lessons.map((lesson) => lesson.lesson_order);
-    const existingLessons = await client.query(
-      `SELECT lesson_order
-       FROM lessons
-       WHERE track_id = $1 AND lesson_order = ANY($2::int[])`,
-      [track.id, lessonOrders]
-    );
-    const existingOrderSet = new Set(existingLessons.rows.map((row) => row.lesson_order));
-
-    for (const lesson of payload.lessons) {
-      if (existingOrderSet.has(lesson.lesson_order)) {
-        updatedCount += 1;
+  function shutdown(signal) {
+    closing ??= (async () => {
+      logger.info({ event: "shutdown-started", signal });
+      // GET /health/ready answers 503 from here on
+      app.set("draining", true);
+      for (const res of open) {
+        if (!res.headersSent) res.setHeader("Connection", "close");
       }
-      const upserted = await client.query(
-        `INSERT INTO lessons (track_id, lesson_order, title, objectives, tags, source_urls)
-         VALUES ($1, $2, $3, $4::jsonb, $5::jsonb, $6::jsonb)
-         ON CONFLICT (track_id, lesson_order) DO UPDATE
-         SET title = EXCLUDED.title,
-             objectives = EXCLUDED.objectives,
-             tags = EXCLUDED.tags,
-             source_urls = EXCLUDED.source_urls
-         RETURNING id, lesson_order, title`,
-        [
-          track.id,
-          lesson.lesson_order,
-          lesson.title,
-          JSON.stringify(lesson.objectives),
-          JSON.stringify(lesson.tags),
-          JSON.stringify(lesson.source_urls)
-        ]
-      );
-      seeded.push(upserted.rows[0]);
-    }
-
-    await client.query("COMMIT");
 
-    const insertedCount = seeded.length - updatedCount;
-    console.log(
-      JSON.stringify({
-        event: "seed-lessons",
-        track_slug: payload.track_slug.toLowerCase(),
-        inserted: insertedCount,
-        updated: updatedCount
-      })
-    );
+      const closed = new Promise((resolve, reject) => server.close((error) => (error ? reject(error) : resolve())));
+      server.closeIdleConnections();
+      await closed;
+      if (dispatcher) await dispatcher.stop();
+      await db.close();
 
-    return res.status(200).json({
-      track: { id: track.id, slug: track.slug, title: track.title },
-      inserted_or_updated: seeded.length,
-      lessons: seeded
-    });
-  } catch (e) {
-    await client.query("ROLLBACK");
-    return res.status(400).json({ error: "Unable to seed lessons" });
-  } finally {
-    client.release();
+      logger.info({ event: "shutdown-complete", signal });
+    })();
+    return closing;
   }
-});
-
-// "Me" dashboard (MVP: user_id passed)
-app.get("/v1/me", async (req, res) => {
-  const parsedUserId = getUserIdFromQuery(req, res);
-  const hasLearnerId = Object.prototype.hasOwnProperty.call(req.query, "learner_id");
-  const hasUserId = Object.prototype.hasOwnProperty.call(req.query, "user_id");
-  if ((hasUserId || hasLearnerId) && !parsedUserId) return;
-
-  const user_id = await ensureUser(parsedUserId);
-
-  // Streak/basic activity (simple: count attempts in last 7 days)
-  const attempts = await db.query(
-    `SELECT COUNT(*)::int AS attempts_7d
-     FROM attempts
-     WHERE user_id = $1 AND created_at >= now() - interval '7 days'`,
-    [user_id]
-  );
-
-  res.json({
-    user_id,
-    learner_id: user_id,
-    message: "Save this Learner ID to resume later.",
-    privacy_note: "No personal data is stored. Progress is linked only to your Learner ID.",
-    attempts_7d: attempts.rows[0].attempts_7d,
-    tip: "MVP mode: progress is stored. Later we’ll add login (OAuth) so users don’t need user_id."
-  });
-});
-
-// Get next lesson for a track + user progress
-app.get("/v1/lessons/next", async (req, res) => {
-  const trackSlug = req.query.track;
-  if (!trackSlug) return res.status(400).json({ error: "Missing ?track=slug" });
 
-  const parsedUserId = getUserIdFromQuery(req, res);
-  const hasLearnerId = Object.prototype.hasOwnProperty.call(req.query, "learner_id");
-  const hasUserId = Object.prototype.hasOwnProperty.call(req.query, "user_id");
-  if ((hasUserId || hasLearnerId) && !parsedUserId) return;
-
-  const user_id = await ensureUser(parsedUserId);
-  const track = await getTrackBySlug(trackSlug.toLowerCase());
-  if (!track) return res.status(404).json({ error: "Track not found" });
-
-  // Ensure user_track_state exists
-  await db.query(
-    `INSERT INTO user_track_state (user_id, track_id, last_seen)
-     VALUES ($1, $2, now())
-     ON CONFLICT (user_id, track_id) DO UPDATE SET last_seen = now()`,
-    [user_id, track.id]
-  );
-
-  const stateRes = await db.query(
-    `SELECT current_lesson_order FROM user_track_state WHERE user_id = $1 AND track_id = $2`,
-    [user_id, track.id]
-  );
-  const currentOrder = stateRes.rows[0].current_lesson_order;
-
-  const lessonRes = await db.query(
-    `SELECT id, lesson_order, title, objectives, tags, source_urls
-     FROM lessons
-     WHERE track_id = $1 AND lesson_order = $2`,
-    [track.id, currentOrder]
-  );
-
-  // If no lesson exists yet, return a “needs seeding” response
-  if (lessonRes.rowCount === 0) {
-    return res.json({
-      user_id,
-      track: { slug: track.slug, title: track.title, official_sources: track.official_sources },
-      next_lesson: null,
-      message: "No lessons found for this track yet. Seed lessons in the lessons table."
-    });
-  }
-
-  res.json({
-    user_id,
-    track: { slug: track.slug, title: track.title, official_sources: track.official_sources },
-    next_lesson: lessonRes.rows[0]
-  });
-});
-
-app.get("/v1/resume", async (req, res) => {
-  const parsedLearnerId = z.string().uuid().safeParse(req.query.learner_id);
-  if (!parsedLearnerId.success) {
-    return res.status(400).json({ error: "learner_id must be a valid UUID" });
-  }
-
-  const learner_id = parsedLearnerId.data;
-
-  const recentActivity = await db.query(
-    `SELECT
-       recent.track_slug,
-       recent.track_title,
-       recent.last_attempt_at,
-       recent.last_lesson_order
-     FROM (
-       SELECT DISTINCT ON (t.id)
-         t.slug AS track_slug,
-         t.title AS track_title,
-         a.created_at AS last_attempt_at,
-         l.lesson_order::int AS last_lesson_order
-       FROM attempts a
-       JOIN lessons l ON l.id = a.lesson_id
-       JOIN tracks t ON t.id = l.track_id
-       WHERE a.user_id = $1
-       ORDER BY t.id, a.created_at DESC, a.id DESC
-     ) recent
-     ORDER BY recent.last_attempt_at DESC
-     LIMIT 10`,
-    [learner_id]
-  );
-
-  const message =
-    recentActivity.rowCount === 0
-      ? "No activity yet. Start a lesson to begin tracking progress."
-      : "Resume from your most recent tracks.";
-
-  return res.json({
-    learner_id,
-    recent_activity: recentActivity.rows,
-    message
-  });
-});
-
-// Submit attempt + advance lesson if passed
-app.post("/v1/attempts", async (req, res) => {
-  const schema = z.object({
-    user_id: z.string().uuid().optional(),
-    lesson_id: z.string().uuid(),
-    attempt_type: z.enum(["quiz", "challenge", "project"]),
-    score: z.number().optional(),
-    max_score: z.number().optional(),
-    duration_sec: z.number().int().positive().optional(),
-    weak_tags: z.array(z.string()).optional()
-  });
-
-  const parsed = schema.safeParse(req.body);
-  if (!parsed.success) return res.status(400).json({ error: parsed.error.flatten() });
-
-  const body = parsed.data;
-  const user_id = await ensureUser(body.user_id);
-
-  // Insert attempt
-  const created = await db.query(
-    `INSERT INTO attempts (user_id, lesson_id, attempt_type, score, max_score, duration_sec, weak_tags)
-     VALUES ($1, $2, $3, $4, $5, $6, $7::jsonb)
-     RETURNING id, created_at`,
-    [
-      user_id,
-      body.lesson_id,
-      body.attempt_type,
-      body.score ?? null,
-      body.max_score ?? null,
-      body.duration_sec ?? null,
-      JSON.stringify(body.weak_tags ?? [])
-    ]
-  );
-
-  // Find lesson + track to potentially advance
-  const lesson = await db.query(
-    `SELECT l.lesson_order, l.track_id
-     FROM lessons l
-     WHERE l.id = $1`,
-    [body.lesson_id]
-  );
-  if (lesson.rowCount === 0) return res.status(404).json({ error: "Lesson not found" });
-
-  const { lesson_order, track_id } = lesson.rows[0];
-
-  // Simple pass rule: >= 70% if score and max_score provided
-  let advanced = false;
-  if (body.score != null && body.max_score != null && body.max_score > 0) {
-    const pct = (body.score / body.max_score) * 100;
-    if (pct >= 70) {
-      await db.query(
-        `UPDATE user_track_state
-         SET current_lesson_order = GREATEST(current_lesson_order, $3),
-             last_seen = now()
-         WHERE user_id = $1 AND track_id = $2`,
-        [user_id, track_id, lesson_order + 1]
-      );
-      advanced = true;
-    }
-  }
+  return { server, shutdown };
+}
 
-  console.log(
-    JSON.stringify({
-      event: "submit-attempt",
-      user_id,
-      lesson_id: body.lesson_id,
-      advanced
+if (require.main === module) {
+  start()
+    .then(({ shutdown }) => {
+      const onSignal = (signal) => {
+        // Requests that outlive the timeout are cut off rather than blocking the deploy
+        setTimeout(() => {
+          logger.error({ event: "shutdown-timeout", signal, timeout_ms: SHUTDOWN_TIMEOUT_MS });
+          process.exit(1);
+        }, SHUTDOWN_TIMEOUT_MS).unref();
+
+        shutdown(signal).then(
+          () => process.exit(0),
+          (error) => {
+            logger.error({ event: "shutdown-failed", signal, error: error.message });
+            process.exit(1);
+          }
+        );
+      };
+      process.once("SIGTERM", onSignal);
+      process.once("SIGINT", onSignal);
     })
-  );
-
-  res.json({
-    user_id,
-    attempt_id: created.rows[0].id,
-    saved_at: created.rows[0].created_at,
-    advanced
-  });
-});
+    .catch((error) => {
+      if (error.schemaStatus) {
+        logger.error({ event: "schema-check-failed", hint: "Run npm run migrate", ...error.schemaStatus });
+      } else {
+        logger.error({ event: "server-start-failed", error: error.message });
+      }
+      process.exit(1);
+    });
+}
 
-const port = process.env.PORT || 3000;
-app.listen(port, () => console.log(`API running on http://localhost:${port}`));
+module.exports = {
+  SHUTDOWN_TIMEOUT_MS,
+  start
+};
@@ -0,0 +1,114 @@
+// streaks.js
+// Streak and daily-goal math over per-day activity rows. Days are local
+// calendar dates ("YYYY-MM-DD") in the learner's timezone.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GOAL_TYPES = ["attempts", "minutes"];
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function localDate(timezone, now = new Date()) {
+  // en-CA formats as YYYY-MM-DD
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone: timezone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit"
+  }).format(now);
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+function goalProgress(day, goal) {
+  if (!day) return 0;
+  return goal.type === "minutes" ? Math.floor(day.seconds / 60) : day.attempts;
+}
+
+// days: [{ date, attempts, seconds }] sorted by date. A streak day is a day the
+// daily goal was met; today still counts toward the current streak until it ends.
+function computeStreaks(days, goal, today) {
+  const metDates = days.filter((day) => goalProgress(day, goal) >= goal.target).map((day) => day.date);
+
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  for (const date of metDates) {
+    run = previous && daysBetween(previous, date) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = date;
+  }
+
+  const metSet = new Set(metDates);
+  const activeToday = metSet.has(today);
+  let current = 0;
+  let cursor = activeToday ? today : addDays(today, -1);
+  while (metSet.has(cursor)) {
+    current += 1;
+    cursor = addDays(cursor, -1);
+  }
+
+  return {
+    current,
+    longest,
+    active_today: activeToday,
+    last_active_date: metDates.length > 0 ? metDates[metDates.length - 1] : null
+  };
+}
+
+// The streak a learner lost, reported once on their first activity day after
+// it ended. days holds the activity before that first activity (today
+// excluded). Returns { length, last_active_date } or null.
+function brokenStreak(days, goal, today) {
+  if (days.some((day) => day.date === today)) return null;
+
+  const { last_active_date: lastActive } = computeStreaks(days, goal, today);
+  if (!lastActive || daysBetween(lastActive, today) < 2) return null;
+
+  // Activity after the streak's last day, other than the day it lapsed, means it was already reported
+  const lapsedOn = addDays(lastActive, 1);
+  if (days.some((day) => day.date > lapsedOn)) return null;
+
+  return { length: computeStreaks(days, goal, lastActive).current, last_active_date: lastActive };
+}
+
+function buildActivityCalendar(days, goal, from, to) {
+  const dayByDate = new Map(days.map((day) => [day.date, day]));
+  const calendar = [];
+
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const day = dayByDate.get(date);
+    calendar.push({
+      date,
+      attempts: day ? day.attempts : 0,
+      minutes: day ? Math.floor(day.seconds / 60) : 0,
+      goal_met: goalProgress(day, goal) >= goal.target
+    });
+  }
+
+  return calendar;
+}
+
+module.exports = {
+  GOAL_TYPES,
+  isValidTimezone,
+  localDate,
+  addDays,
+  daysBetween,
+  goalProgress,
+  computeStreaks,
+  brokenStreak,
+  buildActivityCalendar
+};
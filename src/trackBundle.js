@@ -0,0 +1,263 @@
+// trackBundle.js
+// Portable track bundles (JSON or YAML) shared by the import/export routes and
+// scripts/track-bundle.js. See "Track bundles" in the README for the format.
+const { z } = require("zod");
+const YAML = require("yaml");
+const quizGrader = require("./quizGrader");
+const lessonContent = require("./lessonContent");
+const { masteryPolicySchema, lessonSeedSchema, seedLessons } = require("./lessonSeeding");
+
+const BUNDLE_FORMAT = "learn-anything-track";
+const BUNDLE_VERSION = 1;
+
+const bundleSchema = z
+  .object({
+    format: z.literal(BUNDLE_FORMAT),
+    version: z.literal(BUNDLE_VERSION),
+    track: z.object({
+      slug: z.string().min(2).max(50),
+      title: z.string().min(2).max(100),
+      official_sources: z.array(z.string().url()).default([]),
+      track_type: z.enum(["official", "custom"]).optional(),
+      status: z.enum(["draft", "active", "archived"]).optional(),
+      mastery_policy: masteryPolicySchema.nullable().optional()
+    }),
+    lessons: z.array(lessonSeedSchema).default([])
+  })
+  .superRefine((bundle, ctx) => {
+    const orders = bundle.lessons.map((lesson) => lesson.lesson_order);
+    if (new Set(orders).size !== orders.length) {
+      ctx.addIssue({ code: "custom", path: ["lessons"], message: "lesson_order values must be unique" });
+    }
+  });
+
+function parseBundleText(text, format) {
+  const trimmed = text.trim();
+  if (format === "json" || (!format && trimmed.startsWith("{"))) {
+    return JSON.parse(trimmed);
+  }
+  return YAML.parse(trimmed);
+}
+
+function validateBundle(raw) {
+  const parsed = bundleSchema.safeParse(raw);
+  if (!parsed.success) {
+    return { success: false, error: parsed.error.flatten() };
+  }
+  return {
+    success: true,
+    bundle: { ...parsed.data, track: { ...parsed.data.track, slug: parsed.data.track.slug.toLowerCase() } }
+  };
+}
+
+function serializeBundle(bundle, format) {
+  return format === "yaml" ? YAML.stringify(bundle) : `${JSON.stringify(bundle, null, 2)}\n`;
+}
+
+// queryable is anything with query(text, params): the db module or a pg client.
+async function exportTrackBundle(queryable, slug) {
+  const trackRes = await queryable.query(
+    `SELECT id, slug, title, official_sources, track_type, status, mastery_policy FROM tracks WHERE slug = $1`,
+    [slug]
+  );
+  if (trackRes.rowCount === 0) return null;
+  const track = trackRes.rows[0];
+
+  const lessonsRes = await queryable.query(
+    `SELECT id, lesson_order, title, objectives, tags, source_urls, mastery_policy
+     FROM lessons
+     WHERE track_id = $1
+     ORDER BY lesson_order`,
+    [track.id]
+  );
+  const lessonIds = lessonsRes.rows.map((lesson) => lesson.id);
+
+  const prerequisitesRes = await queryable.query(
+    `SELECT lp.lesson_id, t.slug AS track_slug, l.lesson_order
+     FROM lesson_prerequisites lp
+     JOIN lessons l ON l.id = lp.prerequisite_lesson_id
+     JOIN tracks t ON t.id = l.track_id
+     WHERE lp.lesson_id = ANY($1::uuid[])
+     ORDER BY t.slug, l.lesson_order`,
+    [lessonIds]
+  );
+  const quizItemsRes = await queryable.query(
+    `SELECT lesson_id, item_type, prompt, choices, answer, tags, points
+     FROM quiz_items
+     WHERE lesson_id = ANY($1::uuid[])
+     ORDER BY item_order`,
+    [lessonIds]
+  );
+  const blocksByLesson = await lessonContent.getCurrentBlocks(queryable, lessonIds);
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    track: {
+      slug: track.slug,
+      title: track.title,
+      official_sources: track.official_sources,
+      track_type: track.track_type,
+      status: track.status,
+      mastery_policy: track.mastery_policy
+    },
+    lessons: lessonsRes.rows.map((lesson) => ({
+      lesson_order: lesson.lesson_order,
+      title: lesson.title,
+      objectives: lesson.objectives,
+      tags: lesson.tags,
+      source_urls: lesson.source_urls,
+      prerequisites: prerequisitesRes.rows
+        .filter((row) => row.lesson_id === lesson.id)
+        .map((row) =>
+          row.track_slug === track.slug
+            ? { lesson_order: row.lesson_order }
+            : { track_slug: row.track_slug, lesson_order: row.lesson_order }
+        ),
+      quiz_items: quizItemsRes.rows.filter((row) => row.lesson_id === lesson.id).map(quizGrader.toSeedItem),
+      content_blocks: blocksByLesson.get(lesson.id) || [],
+      mastery_policy: lesson.mastery_policy
+    }))
+  };
+}
+
+const LESSON_DIFF_FIELDS = [
+  "title",
+  "objectives",
+  "tags",
+  "source_urls",
+  "prerequisites",
+  "quiz_items",
+  "content_blocks",
+  "mastery_policy"
+];
+const TRACK_DIFF_FIELDS = ["title", "official_sources", "track_type", "status", "mastery_policy"];
+
+// Key order differs between exported rows and parsed files, so compare sorted keys
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .map((key) => [key, canonical(value[key])])
+    );
+  }
+  return value ?? null;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(canonical(a)) === JSON.stringify(canonical(b));
+}
+
+// Fields left out of the incoming bundle are kept on import, so they never show as changes.
+function diffBundles(current, incoming) {
+  const changedFields = (before, after, fields) =>
+    fields.filter((field) => after[field] !== undefined && !sameValue(before[field], after[field]));
+
+  if (!current) {
+    return {
+      track: { created: true, changed: [] },
+      lessons: { added: incoming.lessons.map((lesson) => lesson.lesson_order), removed: [], changed: [] }
+    };
+  }
+
+  const currentByOrder = new Map(current.lessons.map((lesson) => [lesson.lesson_order, lesson]));
+  const incomingOrders = new Set(incoming.lessons.map((lesson) => lesson.lesson_order));
+
+  return {
+    track: { created: false, changed: changedFields(current.track, incoming.track, TRACK_DIFF_FIELDS) },
+    lessons: {
+      added: incoming.lessons.filter((lesson) => !currentByOrder.has(lesson.lesson_order)).map((lesson) => lesson.lesson_order),
+      removed: current.lessons.filter((lesson) => !incomingOrders.has(lesson.lesson_order)).map((lesson) => lesson.lesson_order),
+      changed: incoming.lessons
+        .filter((lesson) => currentByOrder.has(lesson.lesson_order))
+        .map((lesson) => ({
+          lesson_order: lesson.lesson_order,
+          fields: changedFields(currentByOrder.get(lesson.lesson_order), lesson, LESSON_DIFF_FIELDS)
+        }))
+        .filter((change) => change.fields.length > 0)
+    }
+  };
+}
+
+// Upserts the track by slug and seeds its lessons. With prune, lessons missing
+// from the bundle are deleted, unless learners have attempts on them.
+// Runs inside the caller's transaction; returns { error, status } to roll back.
+async function importTrackBundle(client, bundle, { prune = false } = {}) {
+  const { track: trackInput } = bundle;
+  const hasMasteryPolicy = Object.prototype.hasOwnProperty.call(trackInput, "mastery_policy");
+
+  const existing = await client.query(`SELECT id FROM tracks WHERE slug = $1`, [trackInput.slug]);
+  const saved = await client.query(
+    `INSERT INTO tracks (slug, title, official_sources, track_type, status, mastery_policy)
+     VALUES ($1, $2, $3::jsonb, COALESCE($4, 'custom'), COALESCE($5, 'draft'), $6::jsonb)
+     ON CONFLICT (slug) DO UPDATE
+     SET title = EXCLUDED.title,
+         official_sources = EXCLUDED.official_sources,
+         track_type = COALESCE($4, tracks.track_type),
+         status = COALESCE($5, tracks.status),
+         mastery_policy = CASE WHEN $7 THEN EXCLUDED.mastery_policy ELSE tracks.mastery_policy END
+     RETURNING *`,
+    [
+      trackInput.slug,
+      trackInput.title,
+      JSON.stringify(trackInput.official_sources),
+      trackInput.track_type ?? null,
+      trackInput.status ?? null,
+      hasMasteryPolicy && trackInput.mastery_policy ? JSON.stringify(trackInput.mastery_policy) : null,
+      hasMasteryPolicy
+    ]
+  );
+  const track = saved.rows[0];
+
+  let pruned = [];
+  if (prune) {
+    const stale = await client.query(
+      `SELECT l.id, l.lesson_order,
+              EXISTS (SELECT 1 FROM attempts a WHERE a.lesson_id = l.id) AS has_attempts
+       FROM lessons l
+       WHERE l.track_id = $1 AND NOT (l.lesson_order = ANY($2::int[]))`,
+      [track.id, bundle.lessons.map((lesson) => lesson.lesson_order)]
+    );
+    const blocked = stale.rows.filter((row) => row.has_attempts).map((row) => row.lesson_order);
+    if (blocked.length > 0) {
+      return {
+        status: 409,
+        error: { error: "Cannot prune lessons that have learner attempts", lesson_orders: blocked }
+      };
+    }
+    await client.query(`DELETE FROM lessons WHERE id = ANY($1::uuid[])`, [stale.rows.map((row) => row.id)]);
+    pruned = stale.rows.map((row) => row.lesson_order).sort((a, b) => a - b);
+  }
+
+  const seeded =
+    bundle.lessons.length > 0
+      ? await seedLessons(client, track, bundle.lessons)
+      : { seeded: [], insertedCount: 0, updatedCount: 0, prerequisiteEdges: 0, quizItems: 0, contentVersions: 0 };
+  if (seeded.error) {
+    return { status: 400, error: seeded.error };
+  }
+
+  return {
+    created: existing.rowCount === 0,
+    track: { id: track.id, slug: track.slug, title: track.title },
+    inserted: seeded.insertedCount,
+    updated: seeded.updatedCount,
+    pruned,
+    prerequisite_edges: seeded.prerequisiteEdges,
+    quiz_items: seeded.quizItems,
+    content_versions: seeded.contentVersions
+  };
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  parseBundleText,
+  validateBundle,
+  serializeBundle,
+  exportTrackBundle,
+  diffBundles,
+  importTrackBundle
+};
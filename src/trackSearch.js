@@ -0,0 +1,40 @@
+// trackSearch.js
+// Opaque keyset cursors for GET /v1/tracks. A cursor carries the sort key of
+// the last track on the page (search rank, title, id) plus the filters it was
+// issued for, so it can't be replayed against a different search.
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Stable fingerprint of the listing filters a cursor belongs to
+function filterKey(filters) {
+  return JSON.stringify(Object.keys(filters).sort().map((key) => [key, filters[key] ?? null]));
+}
+
+function encodeCursor(filters, lastTrack) {
+  const payload = { f: filterKey(filters), r: lastTrack.rank ?? null, t: lastTrack.title, i: lastTrack.id };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+// Returns { rank, title, id }, or null when the cursor is malformed or was
+// issued for other filters
+function decodeCursor(cursor, filters) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+  if (!payload || typeof payload !== "object" || payload.f !== filterKey(filters)) return null;
+  if (typeof payload.t !== "string" || typeof payload.i !== "string" || !UUID_PATTERN.test(payload.i)) return null;
+  if (payload.r !== null && typeof payload.r !== "number") return null;
+  if ((filters.q == null) !== (payload.r === null)) return null;
+  return { rank: payload.r, title: payload.t, id: payload.i };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor
+};
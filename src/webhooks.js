@@ -0,0 +1,202 @@
+// webhooks.js
+// Outbound webhooks through a Postgres outbox. enqueueEvent() writes one
+// webhook_deliveries row per active endpoint subscribed to the event, and the
+// dispatcher POSTs due rows, retrying failures with exponential backoff until
+// MAX_ATTEMPTS, after which the delivery is marked failed.
+//
+// Every request carries:
+//   X-Webhook-Id         delivery id (stable across retries, use it to dedupe)
+//   X-Webhook-Event      event type
+//   X-Webhook-Timestamp  unix seconds when this attempt was sent
+//   X-Webhook-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" keyed with the endpoint secret>
+const crypto = require("crypto");
+const logger = require("./logger");
+
+const EVENT_TYPES = ["attempt.submitted", "lesson.advanced", "track.completed", "streak.broken"];
+const MAX_ATTEMPTS = 8;
+const BASE_RETRY_MS = 30 * 1000;
+const MAX_RETRY_MS = 6 * 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// Claimed deliveries are sent one at a time, so a claim is hidden from other
+// dispatchers until the whole batch could have timed out, plus this margin
+const CLAIM_MARGIN_MS = 60 * 1000;
+const BATCH_SIZE = 20;
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+function sign(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+// Receivers can use this to check a request: compares in constant time and
+// rejects timestamps older than toleranceSec
+function verifySignature(secret, timestamp, body, signature, { toleranceSec = 300, now = Date.now() } = {}) {
+  if (!signature || !timestamp || Math.abs(now / 1000 - Number(timestamp)) > toleranceSec) return false;
+  const expected = Buffer.from(sign(secret, timestamp, body));
+  const provided = Buffer.from(String(signature));
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+// 30s, 1m, 2m, 4m, ... capped at 6h; attempts counts the attempt that just failed
+function retryDelayMs(attempts) {
+  return Math.min(BASE_RETRY_MS * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_MS);
+}
+
+// Queues an event for every subscribed endpoint. Pass a transaction client to
+// make the event commit or roll back with the change that caused it.
+async function enqueueEvent(queryable, type, data) {
+  if (!EVENT_TYPES.includes(type)) throw new Error(`Unknown webhook event type ${type}`);
+
+  const event = { id: crypto.randomUUID(), type, created_at: new Date().toISOString(), data };
+  const queued = await queryable.query(
+    `INSERT INTO webhook_deliveries (endpoint_id, event_id, event_type, payload)
+     SELECT id, $1, $2, $3::jsonb
+     FROM webhook_endpoints
+     WHERE active AND events ? $2`,
+    [event.id, type, JSON.stringify(event)]
+  );
+  return { event_id: event.id, deliveries: queued.rowCount };
+}
+
+// Lets callers skip building an event that no endpoint would receive
+async function hasSubscribers(queryable, type) {
+  const subscribed = await queryable.query(
+    `SELECT EXISTS (SELECT 1 FROM webhook_endpoints WHERE active AND events ? $1) AS subscribed`,
+    [type]
+  );
+  return subscribed.rows[0].subscribed;
+}
+
+async function attemptDelivery(delivery, fetchImpl) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  try {
+    const response = await fetchImpl(delivery.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "learn-anything-webhooks/1",
+        "X-Webhook-Id": delivery.id,
+        "X-Webhook-Event": delivery.event_type,
+        "X-Webhook-Timestamp": timestamp,
+        "X-Webhook-Signature": sign(delivery.secret, timestamp, body)
+      },
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    return response.ok
+      ? { ok: true, statusCode: response.status, error: null }
+      : { ok: false, statusCode: response.status, error: `HTTP ${response.status}` };
+  } catch (e) {
+    return { ok: false, statusCode: null, error: e.name === "TimeoutError" ? "Request timed out" : e.message };
+  }
+}
+
+// Claims up to batchSize due deliveries and sends them one by one. Returns
+// counts of { delivered, retrying, failed }.
+async function dispatchDue(db, { batchSize = BATCH_SIZE, fetchImpl = fetch } = {}) {
+  const leaseMs = batchSize * REQUEST_TIMEOUT_MS + CLAIM_MARGIN_MS;
+  const claimed = await db.query(
+    `UPDATE webhook_deliveries d
+     SET next_attempt_at = now() + make_interval(secs => $2)
+     FROM webhook_endpoints e
+     WHERE e.id = d.endpoint_id
+       AND d.id IN (
+         SELECT id FROM webhook_deliveries
+         WHERE status = 'pending' AND next_attempt_at <= now()
+         ORDER BY next_attempt_at, id
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+     RETURNING d.id, d.event_type, d.payload, d.attempts, e.url, e.secret`,
+    [batchSize, leaseMs / 1000]
+  );
+
+  const counts = { delivered: 0, retrying: 0, failed: 0 };
+  for (const delivery of claimed.rows) {
+    const result = await attemptDelivery(delivery, fetchImpl);
+    const attempts = delivery.attempts + 1;
+    const status = result.ok ? "delivered" : attempts >= MAX_ATTEMPTS ? "failed" : "pending";
+
+    // Only the dispatcher whose claim is current records the result: if the row
+    // moved on meanwhile (another dispatcher sent it), this result is stale
+    const recorded = await db.query(
+      `UPDATE webhook_deliveries
+       SET status = $2,
+           attempts = $3,
+           last_attempt_at = now(),
+           last_status_code = $4,
+           last_error = $5,
+           delivered_at = CASE WHEN $2 = 'delivered' THEN now() ELSE NULL END,
+           next_attempt_at = now() + make_interval(secs => $6)
+       WHERE id = $1 AND status = 'pending' AND attempts = $7`,
+      [
+        delivery.id,
+        status,
+        attempts,
+        result.statusCode,
+        result.error,
+        status === "pending" ? retryDelayMs(attempts) / 1000 : 0,
+        delivery.attempts
+      ]
+    );
+    if (recorded.rowCount === 0) {
+      logger.info({ event: "webhook-delivery-superseded", delivery_id: delivery.id, event_type: delivery.event_type });
+      continue;
+    }
+
+    if (status === "delivered") counts.delivered += 1;
+    else if (status === "pending") counts.retrying += 1;
+    else counts.failed += 1;
+
+    if (!result.ok) {
+      logger.error({
+        event: "webhook-delivery-failed",
+        delivery_id: delivery.id,
+        event_type: delivery.event_type,
+        attempts,
+        gave_up: status === "failed",
+        error: result.error
+      });
+    }
+  }
+
+  return counts;
+}
+
+// Polls the outbox every intervalMs until stop() is called. Runs never overlap.
+function startDispatcher(db, { intervalMs, ...options }) {
+  let running = null;
+  const timer = setInterval(() => {
+    if (running) return;
+    running = dispatchDue(db, options)
+      .catch((e) => logger.error({ event: "webhook-dispatch-failed", error: e.message }))
+      .finally(() => {
+        running = null;
+      });
+  }, intervalMs);
+  timer.unref();
+
+  // Resolves once a batch that is already sending has finished
+  return {
+    stop: async () => {
+      clearInterval(timer);
+      await running;
+    }
+  };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  MAX_ATTEMPTS,
+  generateSecret,
+  sign,
+  verifySignature,
+  retryDelayMs,
+  enqueueEvent,
+  hasSubscribers,
+  dispatchDue,
+  startDispatcher
+};
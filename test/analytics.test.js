@@ -0,0 +1,209 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp, createLearner } = require("./support/api");
+
+let ctx;
+let api;
+let lessons;
+
+before(async () => {
+  ctx = await startTestApp();
+  api = ctx.api;
+
+  await api.call("ensureTrack", {
+    admin: true,
+    body: { slug: "sql-analytics", title: "SQL Analytics", track_type: "official", status: "active" }
+  });
+  const seeded = await api.call("seedLessons", {
+    admin: true,
+    status: 200,
+    body: {
+      track_slug: "sql-analytics",
+      lessons: [
+        { lesson_order: 1, title: "SELECT", tags: ["select"] },
+        { lesson_order: 2, title: "JOIN", tags: ["joins"] },
+        { lesson_order: 3, title: "GROUP BY", tags: ["grouping"] }
+      ]
+    }
+  });
+  lessons = seeded.body.lessons;
+  // JOIN needs 90% on challenges
+  await api.call("setLessonMasteryPolicy", {
+    admin: true,
+    status: 200,
+    params: { id: lessons[1].id },
+    body: { mastery_policy: { thresholds: { challenge: 90 } } }
+  });
+
+  const submit = (learner, lesson, score, duration_sec, weak_tags = []) =>
+    api.call("submitAttempt", {
+      status: 200,
+      token: learner.token,
+      body: {
+        user_id: learner.learnerId,
+        lesson_id: lesson.id,
+        attempt_type: "challenge",
+        score,
+        max_score: 10,
+        duration_sec,
+        weak_tags
+      }
+    });
+  const start = async () => {
+    const learner = await createLearner(api);
+    await api.call("getNextLesson", { status: 200, token: learner.token, query: { track: "sql-analytics", learner_id: learner.learnerId } });
+    return learner;
+  };
+
+  // Stuck on JOIN: 80% passes the default threshold but not the lesson's
+  const stuck = await start();
+  await submit(stuck, lessons[0], 9, 60);
+  await submit(stuck, lessons[1], 8, 120, ["joins"]);
+
+  // Gave up on SELECT three weeks ago
+  const gaveUp = await start();
+  await submit(gaveUp, lessons[0], 3, 30, ["select", "joins"]);
+  await ctx.db.query(`UPDATE user_track_state SET last_seen = now() - interval '20 days' WHERE user_id = $1`, [gaveUp.learnerId]);
+
+  const finisher = await start();
+  await submit(finisher, lessons[0], 10, 90);
+  await submit(finisher, lessons[1], 10, 100);
+  await submit(finisher, lessons[2], 8, 45);
+
+  // Outside the default 30-day range
+  await ctx.db.query(
+    `INSERT INTO attempts (user_id, lesson_id, attempt_type, score, max_score, weak_tags, created_at)
+     VALUES ($1, $2, 'challenge', 0, 10, '["select"]', now() - interval '60 days')`,
+    [stuck.learnerId, lessons[0].id]
+  );
+});
+
+after(async () => {
+  await ctx.stop();
+});
+
+test("analytics routes require the admin key and validate input", async () => {
+  const params = { slug: "sql-analytics" };
+  const badDate = { from: "yesterday" };
+  const reversed = { from: "2026-02-01", to: "2026-01-01" };
+
+  await api.call("getTrackFunnel", { status: 401, params });
+  await api.call("getTrackFunnel", { admin: true, status: 404, params: { slug: "missing" } });
+  await api.call("getTrackFunnel", { admin: true, status: 400, params, query: badDate });
+  await api.call("getTrackFunnel", { admin: true, status: 400, params, query: reversed });
+
+  await api.call("getTrackLessonStats", { status: 401, params });
+  await api.call("getTrackLessonStats", { admin: true, status: 404, params: { slug: "missing" } });
+  await api.call("getTrackLessonStats", { admin: true, status: 400, params, query: badDate });
+  await api.call("getTrackLessonStats", { admin: true, status: 400, params, query: reversed });
+
+  await api.call("getTrackWeakTags", { status: 401, params });
+  await api.call("getTrackWeakTags", { admin: true, status: 404, params: { slug: "missing" } });
+  await api.call("getTrackWeakTags", { admin: true, status: 400, params, query: badDate });
+  await api.call("getTrackWeakTags", { admin: true, status: 400, params, query: { limit: 0 } });
+});
+
+test("the funnel shows where learners stop and drop off", async () => {
+  const funnel = await api.call("getTrackFunnel", { admin: true, status: 200, params: { slug: "sql-analytics" } });
+  assert.equal(funnel.body.learners, 3);
+  assert.equal(funnel.body.completed_track, 1);
+  assert.deepEqual(
+    funnel.body.lessons.map((lesson) => [lesson.lesson_order, lesson.reached, lesson.completed, lesson.in_progress, lesson.dropped]),
+    [
+      [1, 3, 2, 1, 1],
+      [2, 2, 1, 1, 0],
+      [3, 1, 1, 0, 0]
+    ]
+  );
+  assert.equal(funnel.body.lessons[0].drop_off_pct, 33.3);
+  assert.equal(funnel.body.lessons[1].completion_pct, 50);
+
+  // Only learners last seen in the range are counted
+  const recent = await api.call("getTrackFunnel", {
+    admin: true,
+    status: 200,
+    params: { slug: "sql-analytics" },
+    query: { from: new Date(Date.now() - 5 * 86400000).toISOString().slice(0, 10) }
+  });
+  assert.equal(recent.body.learners, 2);
+  assert.equal(recent.body.lessons[0].dropped, 0);
+});
+
+test("the funnel counts a lesson completed only once it was mastered", async () => {
+  await api.call("ensureTrack", { admin: true, body: { slug: "sql-skip", title: "SQL Skip", status: "active" } });
+  const seeded = await api.call("seedLessons", {
+    admin: true,
+    status: 200,
+    body: {
+      track_slug: "sql-skip",
+      lessons: [
+        { lesson_order: 1, title: "SELECT" },
+        { lesson_order: 2, title: "JOIN" }
+      ]
+    }
+  });
+  // Passing the last lesson moves current_lesson_order past lesson 1 without mastering it
+  const skipper = await createLearner(api);
+  await api.call("getNextLesson", { status: 200, token: skipper.token, query: { track: "sql-skip", learner_id: skipper.learnerId } });
+  await api.call("submitAttempt", {
+    status: 200,
+    token: skipper.token,
+    body: { user_id: skipper.learnerId, lesson_id: seeded.body.lessons[1].id, attempt_type: "challenge", score: 10, max_score: 10 }
+  });
+
+  const funnel = await api.call("getTrackFunnel", { admin: true, status: 200, params: { slug: "sql-skip" } });
+  assert.equal(funnel.body.learners, 1);
+  assert.equal(funnel.body.completed_track, 0);
+  assert.deepEqual(
+    funnel.body.lessons.map((lesson) => [lesson.lesson_order, lesson.completed]),
+    [
+      [1, 0],
+      [2, 1]
+    ]
+  );
+});
+
+test("lesson stats report pass rates, score distributions and median durations", async () => {
+  const stats = await api.call("getTrackLessonStats", { admin: true, status: 200, params: { slug: "sql-analytics" } });
+  const [select, join] = stats.body.lessons;
+
+  assert.deepEqual(
+    [select.attempts, select.learners, select.passed_attempts, select.pass_rate_pct, select.median_duration_sec],
+    [3, 3, 2, 66.7, 60]
+  );
+  assert.equal(select.score_distribution.length, 10);
+  assert.deepEqual(
+    select.score_distribution.filter((bucket) => bucket.attempts > 0),
+    [
+      { min_pct: 30, max_pct: 40, attempts: 1 },
+      { min_pct: 90, max_pct: 100, attempts: 2 }
+    ]
+  );
+  // The lesson's 90% threshold applies, not the default 70%
+  assert.deepEqual([join.attempts, join.passed_attempts, join.pass_rate_pct, join.average_score_pct], [2, 1, 50, 90]);
+
+  const wider = await api.call("getTrackLessonStats", {
+    admin: true,
+    status: 200,
+    params: { slug: "sql-analytics" },
+    query: { from: new Date(Date.now() - 90 * 86400000).toISOString().slice(0, 10) }
+  });
+  assert.equal(wider.body.lessons[0].attempts, 4);
+  assert.equal(wider.body.lessons[0].median_duration_sec, 60);
+});
+
+test("weak tags are ranked by how often attempts report them", async () => {
+  const tags = await api.call("getTrackWeakTags", { admin: true, status: 200, params: { slug: "sql-analytics" } });
+  assert.deepEqual(tags.body.weak_tags, [
+    { tag: "joins", occurrences: 2, learners: 2 },
+    { tag: "select", occurrences: 1, learners: 1 }
+  ]);
+
+  const top = await api.call("getTrackWeakTags", {
+    admin: true,
+    status: 200,
+    params: { slug: "sql-analytics" },
+    query: { limit: 1, from: new Date(Date.now() - 90 * 86400000).toISOString().slice(0, 10) }
+  });
+  assert.deepEqual(top.body.weak_tags, [{ tag: "joins", occurrences: 2, learners: 2 }]);
+});
@@ -0,0 +1,162 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp, createLearner } = require("./support/api");
+
+let ctx;
+let api;
+let lessons;
+
+before(async () => {
+  ctx = await startTestApp();
+  api = ctx.api;
+
+  await api.call("ensureTrack", {
+    admin: true,
+    body: { slug: "bash", title: "Bash Scripting", track_type: "official", status: "active" }
+  });
+  const seeded = await api.call("seedLessons", {
+    admin: true,
+    status: 200,
+    body: {
+      track_slug: "bash",
+      lessons: [
+        { lesson_order: 1, title: "Pipes", tags: ["pipes"] },
+        { lesson_order: 2, title: "Loops", tags: ["loops"] }
+      ]
+    }
+  });
+  lessons = seeded.body.lessons;
+});
+
+after(async () => {
+  await ctx.stop();
+});
+
+async function submit(learner, lessonId, score) {
+  return api.call("submitAttempt", {
+    status: 200,
+    token: learner.token,
+    body: { user_id: learner.learnerId, lesson_id: lessonId, attempt_type: "challenge", score, max_score: 10 }
+  });
+}
+
+async function completeTrack() {
+  const learner = await createLearner(api);
+  await api.call("getNextLesson", { status: 200, token: learner.token, query: { track: "bash", learner_id: learner.learnerId } });
+  const first = await submit(learner, lessons[0].id, 9);
+  assert.equal(first.body.track_completed, false);
+  assert.equal(first.body.certificate, null);
+  const last = await submit(learner, lessons[1].id, 10);
+  return { ...learner, certificate: last.body.certificate, last: last.body };
+}
+
+test("completing a track issues one signed certificate", async () => {
+  const learner = await completeTrack();
+  assert.equal(learner.last.track_completed, true);
+  const { certificate } = learner;
+  assert.deepEqual(certificate.track, { slug: "bash", title: "Bash Scripting", version: null });
+  assert.equal(certificate.verify_url, `/v1/certificates/${certificate.id}/verify`);
+
+  // Finishing again neither completes the track again nor reissues the certificate
+  const again = await submit(learner, lessons[1].id, 10);
+  assert.equal(again.body.track_completed, false);
+
+  const next = await api.call("getNextLesson", {
+    status: 200,
+    token: learner.token,
+    query: { track: "bash", learner_id: learner.learnerId }
+  });
+  assert.equal(next.body.next_lesson, null);
+  assert.equal(next.body.message, "All lessons in this track are complete.");
+  assert.deepEqual(next.body.certificate, certificate);
+
+  await api.call("listMyCertificates", { status: 400 });
+  await api.call("listMyCertificates", { status: 401, query: { learner_id: learner.learnerId } });
+  const listed = await api.call("listMyCertificates", {
+    status: 200,
+    token: learner.token,
+    query: { learner_id: learner.learnerId }
+  });
+  assert.deepEqual(listed.body.certificates, [certificate]);
+
+  const exported = await api.call("exportLearnerData", { status: 200, token: learner.token, query: { learner_id: learner.learnerId } });
+  assert.deepEqual(exported.body.certificates, [certificate]);
+});
+
+test("passing only a later or unlocked lesson does not complete the track", async () => {
+  const certificateCount = async (learner) =>
+    (await ctx.db.query(`SELECT COUNT(*)::int AS count FROM certificates WHERE user_id = $1`, [learner.learnerId])).rows[0].count;
+
+  // Linear: skipping straight to the last lesson
+  const skipper = await createLearner(api);
+  const skipped = await submit(skipper, lessons[1].id, 10);
+  assert.equal(skipped.body.track_completed, false);
+  assert.equal(skipped.body.certificate, null);
+  const linear = await api.call("getNextLesson", {
+    status: 200,
+    token: skipper.token,
+    query: { track: "bash", learner_id: skipper.learnerId }
+  });
+  assert.equal(linear.body.next_lesson.id, lessons[0].id);
+  assert.equal(linear.body.certificate, undefined);
+  assert.equal(await certificateCount(skipper), 0);
+
+  // Graph: lesson 2 needs lesson 1, lesson 3 is a free leaf
+  await api.call("ensureTrack", { admin: true, body: { slug: "awk", title: "Awk", status: "active" } });
+  const graph = await api.call("seedLessons", {
+    admin: true,
+    status: 200,
+    body: {
+      track_slug: "awk",
+      lessons: [
+        { lesson_order: 1, title: "Fields" },
+        { lesson_order: 2, title: "Patterns", prerequisites: [{ lesson_order: 1 }] },
+        { lesson_order: 3, title: "Printf" }
+      ]
+    }
+  });
+  const [fields, , printf] = graph.body.lessons;
+  const learner = await createLearner(api);
+  const leaf = await submit(learner, printf.id, 10);
+  assert.equal(leaf.body.track_completed, false);
+  assert.equal(leaf.body.certificate, null);
+  const next = await api.call("getNextLesson", { status: 200, token: learner.token, query: { track: "awk", learner_id: learner.learnerId } });
+  assert.equal(next.body.next_lesson.id, fields.id);
+  assert.equal(next.body.locked_count, 1);
+  assert.equal(await certificateCount(learner), 0);
+});
+
+test("anyone can verify and render a certificate without learning the Learner ID", async () => {
+  const learner = await completeTrack();
+  const { id } = learner.certificate;
+
+  await api.call("verifyCertificate", { status: 400, params: { id: "nope" } });
+  await api.call("verifyCertificate", { status: 404, params: { id: "00000000-0000-4000-8000-000000000000" } });
+  const verified = await api.call("verifyCertificate", { status: 200, params: { id } });
+  assert.equal(verified.body.valid, true);
+  assert.equal(verified.body.certificate.certificate_id, id);
+  assert.equal(verified.body.certificate.key_id, "c1");
+  assert.equal(verified.body.certificate.stats.total_lessons, 2);
+  assert.equal(verified.body.certificate.stats.attempts, 2);
+  assert.ok(!JSON.stringify(verified.body).includes(learner.learnerId));
+
+  await api.call("getCertificate", { status: 400, params: { id: "nope" } });
+  await api.call("getCertificate", { status: 400, params: { id }, query: { format: "docx" } });
+  await api.call("getCertificate", { status: 404, params: { id: "00000000-0000-4000-8000-000000000000" } });
+  const html = await api.call("getCertificate", { status: 200, params: { id } });
+  assert.match(html.headers.get("content-type"), /^text\/html/);
+  assert.match(html.body, /Bash Scripting/);
+  assert.ok(!html.body.includes(learner.learnerId));
+  const pdf = await api.call("getCertificate", { status: 200, params: { id }, query: { format: "pdf" } });
+  assert.equal(pdf.headers.get("content-type"), "application/pdf");
+  assert.match(pdf.body, /^%PDF-1\.4/);
+  assert.ok(!pdf.body.includes(learner.learnerId));
+
+  // An altered certificate no longer verifies and is not rendered
+  await ctx.db.query(`UPDATE certificates SET signed_payload = replace(signed_payload, '"attempts":2', '"attempts":1') WHERE id = $1`, [
+    id
+  ]);
+  const tampered = await api.call("verifyCertificate", { status: 200, params: { id } });
+  assert.deepEqual(tampered.body, { valid: false, reason: "bad_signature", certificate: null });
+  await api.call("getCertificate", { status: 409, params: { id } });
+});
@@ -0,0 +1,103 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./support/api");
+
+let ctx;
+let api;
+
+before(async () => {
+  ctx = await startTestApp();
+  api = ctx.api;
+});
+
+after(async () => {
+  await ctx.stop();
+});
+
+test("readiness checks the database, the schema version and ADMIN_KEY", async () => {
+  const live = await api.call("getLiveness", { status: 200 });
+  assert.equal(live.body.ok, true);
+
+  const ready = await api.call("getReadiness", { status: 200 });
+  assert.equal(ready.body.ready, true);
+  assert.equal(ready.body.draining, false);
+  assert.equal(ready.body.checks.schema.current_version, ready.body.checks.schema.expected_version);
+
+  const adminKey = process.env.ADMIN_KEY;
+  delete process.env.ADMIN_KEY;
+  try {
+    const missingKey = await api.call("getReadiness", { status: 503 });
+    assert.deepEqual(missingKey.body.checks.admin_key, { ok: false });
+    assert.equal(missingKey.body.checks.database.ok, true);
+  } finally {
+    process.env.ADMIN_KEY = adminKey;
+  }
+
+  // A migration this build doesn't know about
+  await ctx.db.query(`INSERT INTO schema_migrations (version, name, checksum) VALUES (9999, '9999_future.sql', 'x')`);
+  try {
+    const behind = await api.call("getReadiness", { status: 503 });
+    assert.equal(behind.body.checks.schema.ok, false);
+    assert.equal(behind.body.checks.schema.current_version, 9999);
+  } finally {
+    await ctx.db.query(`DELETE FROM schema_migrations WHERE version = 9999`);
+  }
+
+  const { query } = ctx.db;
+  ctx.db.query = async () => {
+    throw new Error("connect ECONNREFUSED");
+  };
+  try {
+    const down = await api.call("getReadiness", { status: 503 });
+    assert.equal(down.body.checks.database.ok, false);
+    assert.equal(down.body.checks.schema.ok, false);
+    // Failure details stay in the log
+    assert.ok(!JSON.stringify(down.body).includes("ECONNREFUSED"));
+  } finally {
+    ctx.db.query = query;
+  }
+  // Liveness doesn't depend on the database
+  await api.call("getLiveness", { status: 200 });
+});
+
+// Last: shutting down closes the pool the other tests share
+test("SIGTERM shutdown drains in-flight requests and closes the pool", async () => {
+  const server = require("../src/server");
+  const { server: listening, shutdown } = await server.start({ port: 0, webhookIntervalMs: 0 });
+  const baseUrl = `http://127.0.0.1:${listening.address().port}`;
+
+  // Hold one request in flight until shutdown has started
+  const { query } = ctx.db;
+  let release;
+  const held = new Promise((resolve) => {
+    release = resolve;
+  });
+  let entered;
+  const inFlight = new Promise((resolve) => {
+    entered = resolve;
+  });
+  ctx.db.query = async (...args) => {
+    entered();
+    await held;
+    return query(...args);
+  };
+
+  const slow = fetch(`${baseUrl}/v1/tracks`);
+  await inFlight;
+  ctx.db.query = query;
+  const stopped = shutdown("SIGTERM");
+
+  const draining = await api.call("getReadiness", { status: 503 });
+  assert.equal(draining.body.draining, true);
+  await assert.rejects(fetch(`${baseUrl}/health/live`));
+
+  release();
+  const response = await slow;
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get("connection"), "close");
+  assert.ok(Array.isArray((await response.json()).tracks));
+
+  await stopped;
+  assert.equal(shutdown("SIGTERM"), stopped);
+  await assert.rejects(ctx.db.query("SELECT 1"));
+});
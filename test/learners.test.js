@@ -0,0 +1,358 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp, createLearner } = require("./support/api");
+
+let ctx;
+let api;
+
+before(async () => {
+  ctx = await startTestApp();
+  api = ctx.api;
+
+  await api.call("ensureTrack", {
+    admin: true,
+    body: { slug: "learner-track", title: "Learner Track", track_type: "official", status: "active" }
+  });
+  await api.call("seedLessons", {
+    admin: true,
+    status: 200,
+    body: {
+      track_slug: "learner-track",
+      lessons: [
+        { lesson_order: 1, title: "First", tags: ["basics"] },
+        { lesson_order: 2, title: "Second", tags: ["loops"] }
+      ]
+    }
+  });
+});
+
+after(async () => {
+  await ctx.stop();
+});
+
+test("GET /v1/me creates a learner and issues a token", async () => {
+  const me = await api.call("getMe", { status: 200 });
+  assert.equal(me.body.user_id, me.body.learner_id);
+  assert.match(me.body.learner_token, /^lt1\./);
+  assert.equal(me.body.streak.current, 0);
+  assert.equal(me.body.activity.days.length, 30);
+
+  // Once claimed, the bare UUID is no longer enough
+  await api.call("getMe", { status: 401, query: { learner_id: me.body.learner_id } });
+  const again = await api.call("getMe", {
+    status: 200,
+    token: me.body.learner_token,
+    query: { learner_id: me.body.learner_id, from: "2026-01-01", to: "2026-01-07" }
+  });
+  assert.equal(again.body.activity.days.length, 7);
+});
+
+test("learner_id and user_id are reconciled", async () => {
+  const learner = await createLearner(api);
+  const other = "00000000-0000-4000-8000-000000000001";
+
+  const mismatch = await api.call("getMe", {
+    status: 400,
+    token: learner.token,
+    query: { learner_id: learner.learnerId, user_id: other }
+  });
+  assert.match(mismatch.body.error, /must match/);
+
+  await api.call("getMe", { status: 400, query: { user_id: "not-a-uuid" } });
+  await api.call("getMe", {
+    status: 200,
+    token: learner.token,
+    query: { learner_id: learner.learnerId, user_id: learner.learnerId }
+  });
+  await api.call("getMe", { status: 200, token: learner.token, query: { user_id: learner.learnerId } });
+
+  // A token for one learner does not authenticate another
+  const stranger = await createLearner(api);
+  await api.call("getMe", { status: 401, token: stranger.token, query: { learner_id: learner.learnerId } });
+});
+
+test("legacy learners without a token get their first one from an admin, not from /v1/me", async () => {
+  const legacyId = "11111111-1111-4111-8111-111111111111";
+  await ctx.db.query(`INSERT INTO users (id) VALUES ($1)`, [legacyId]);
+
+  // Whoever knows the UUID can't claim it
+  await api.call("resume", { status: 401, query: { learner_id: legacyId } });
+  const unclaimed = await api.call("getMe", { status: 401, query: { learner_id: legacyId } });
+  assert.match(unclaimed.body.error, /Ask an admin/);
+  const stillUnclaimed = await ctx.db.query(`SELECT token_version FROM users WHERE id = $1`, [legacyId]);
+  assert.equal(stillUnclaimed.rows[0].token_version, 0);
+
+  await api.call("adminIssueLearnerToken", { status: 401, params: { learner_id: legacyId } });
+  await api.call("adminIssueLearnerToken", { admin: true, status: 400, params: { learner_id: "nope" } });
+  await api.call("adminIssueLearnerToken", {
+    admin: true,
+    status: 404,
+    params: { learner_id: "22222222-2222-4222-8222-222222222222" }
+  });
+  const issued = await api.call("adminIssueLearnerToken", { admin: true, status: 200, params: { learner_id: legacyId } });
+  assert.equal(issued.body.learner_id, legacyId);
+  await api.call("resume", { status: 200, token: issued.body.learner_token, query: { learner_id: legacyId } });
+  const me = await api.call("getMe", { status: 200, token: issued.body.learner_token, query: { learner_id: legacyId } });
+
+  // Issuing again rotates, so earlier tokens stop working
+  await api.call("adminIssueLearnerToken", { admin: true, status: 200, params: { learner_id: legacyId } });
+  await api.call("resume", { status: 401, token: me.body.learner_token, query: { learner_id: legacyId } });
+
+  // A UUID nobody has used yet still becomes a new learner
+  const fresh = "33333333-3333-4333-8333-333333333333";
+  const created = await api.call("getMe", { status: 200, query: { learner_id: fresh } });
+  assert.equal(created.body.learner_id, fresh);
+  await api.call("getMe", { status: 401, query: { learner_id: fresh } });
+});
+
+test("PATCH /v1/me/settings validates and stores timezone and daily goal", async () => {
+  const learner = await createLearner(api);
+
+  await api.call("updateLearnerSettings", { status: 400, body: { timezone: "UTC" } });
+  await api.call("updateLearnerSettings", {
+    status: 401,
+    query: { learner_id: learner.learnerId },
+    body: { timezone: "UTC" }
+  });
+  await api.call("updateLearnerSettings", {
+    status: 400,
+    token: learner.token,
+    query: { learner_id: learner.learnerId },
+    body: { timezone: "Mars/Olympus" }
+  });
+
+  const updated = await api.call("updateLearnerSettings", {
+    status: 200,
+    token: learner.token,
+    query: { learner_id: learner.learnerId },
+    body: { timezone: "Asia/Kathmandu", daily_goal: { type: "minutes", target: 20 } }
+  });
+  assert.equal(updated.body.timezone, "Asia/Kathmandu");
+  assert.deepEqual(updated.body.daily_goal, { type: "minutes", target: 20 });
+});
+
+test("rotating the token invalidates the old one", async () => {
+  const learner = await createLearner(api);
+
+  await api.call("rotateLearnerToken", { status: 400 });
+  await api.call("rotateLearnerToken", { status: 401, query: { learner_id: learner.learnerId } });
+  const rotated = await api.call("rotateLearnerToken", {
+    status: 200,
+    token: learner.token,
+    query: { learner_id: learner.learnerId }
+  });
+  assert.notEqual(rotated.body.learner_token, learner.token);
+
+  await api.call("resume", { status: 401, token: learner.token, query: { learner_id: learner.learnerId } });
+  await api.call("resume", { status: 200, token: rotated.body.learner_token, query: { learner_id: learner.learnerId } });
+});
+
+test("GET /v1/resume lists recent activity", async () => {
+  const learner = await createLearner(api);
+  await api.call("resume", { status: 400, query: { learner_id: "nope" } });
+
+  const empty = await api.call("resume", { status: 200, token: learner.token, query: { learner_id: learner.learnerId } });
+  assert.deepEqual(empty.body.recent_activity, []);
+
+  const next = await api.call("getNextLesson", {
+    status: 200,
+    token: learner.token,
+    query: { track: "learner-track", learner_id: learner.learnerId }
+  });
+  await api.call("submitAttempt", {
+    status: 200,
+    token: learner.token,
+    body: {
+      user_id: learner.learnerId,
+      lesson_id: next.body.next_lesson.id,
+      attempt_type: "challenge",
+      score: 4,
+      max_score: 10
+    }
+  });
+
+  const resumed = await api.call("resume", { status: 200, token: learner.token, query: { learner_id: learner.learnerId } });
+  assert.equal(resumed.body.recent_activity[0].track_slug, "learner-track");
+  assert.equal(resumed.body.recent_activity[0].last_lesson_order, 1);
+});
+
+test("learners can export and erase their data", async () => {
+  const learner = await createLearner(api);
+  const next = await api.call("getNextLesson", {
+    status: 200,
+    token: learner.token,
+    query: { track: "learner-track", learner_id: learner.learnerId }
+  });
+  await api.call("submitAttempt", {
+    status: 200,
+    token: learner.token,
+    body: { user_id: learner.learnerId, lesson_id: next.body.next_lesson.id, attempt_type: "quiz", score: 9, max_score: 10 }
+  });
+  // One owned custom track nobody else uses, one another learner has started
+  for (const slug of ["my-notes", "my-shared"]) {
+    await api.call("ensureTrack", {
+      admin: true,
+      body: { slug, title: slug, track_type: "custom", owner_user_id: learner.learnerId, status: "active" }
+    });
+    await api.call("seedLessons", {
+      admin: true,
+      status: 200,
+      body: { track_slug: slug, lessons: [{ lesson_order: 1, title: "Only lesson" }] }
+    });
+  }
+  const other = await createLearner(api);
+  await api.call("getNextLesson", {
+    status: 200,
+    token: other.token,
+    query: { track: "my-shared", learner_id: other.learnerId }
+  });
+
+  await api.call("exportLearnerData", { status: 400 });
+  await api.call("exportLearnerData", { status: 401, query: { learner_id: learner.learnerId } });
+  const exported = await api.call("exportLearnerData", {
+    status: 200,
+    token: learner.token,
+    query: { learner_id: learner.learnerId }
+  });
+  assert.equal(exported.body.attempts.length, 1);
+  assert.equal(exported.body.lesson_completions.length, 1);
+  assert.deepEqual(
+    exported.body.owned_tracks.map((bundle) => bundle.track.slug),
+    ["my-notes", "my-shared"]
+  );
+
+  await api.call("eraseLearner", { status: 400 });
+  await api.call("eraseLearner", { status: 401, query: { learner_id: learner.learnerId } });
+  const erased = await api.call("eraseLearner", {
+    status: 200,
+    token: learner.token,
+    query: { learner_id: learner.learnerId }
+  });
+  assert.equal(erased.body.deleted.attempts, 1);
+  assert.deepEqual(erased.body.deleted.tracks, ["my-notes"]);
+  assert.deepEqual(erased.body.released_tracks, ["my-shared"]);
+
+  const remaining = await ctx.db.query(`SELECT COUNT(*)::int AS count FROM attempts WHERE user_id = $1`, [
+    learner.learnerId
+  ]);
+  assert.equal(remaining.rows[0].count, 0);
+  await api.call("exportLearnerData", { status: 401, token: learner.token, query: { learner_id: learner.learnerId } });
+
+  const tracks = await api.call("listTracks", { admin: true, status: 200, query: { visibility: "all" } });
+  const shared = tracks.body.tracks.find((track) => track.slug === "my-shared");
+  assert.equal(shared.owner_user_id, null);
+});
+
+test("recovery codes recover a Learner ID once each", async () => {
+  const learner = await createLearner(api);
+
+  await api.call("issueRecoveryCodes", { status: 400 });
+  await api.call("issueRecoveryCodes", { status: 401, query: { learner_id: learner.learnerId } });
+  const first = await api.call("issueRecoveryCodes", { status: 200, token: learner.token, query: { learner_id: learner.learnerId } });
+  assert.equal(first.body.recovery_codes.length, 5);
+  const issued = await api.call("issueRecoveryCodes", { status: 200, token: learner.token, query: { learner_id: learner.learnerId } });
+  const codes = issued.body.recovery_codes;
+  assert.equal(new Set(codes).size, 5);
+  for (const code of codes) assert.match(code, /^[a-z]+(-[a-z]+){7}$/);
+
+  // Only hashes are stored
+  const stored = await ctx.db.query(`SELECT code_hash FROM recovery_codes WHERE user_id = $1`, [learner.learnerId]);
+  assert.equal(stored.rowCount, 5);
+  assert.ok(stored.rows.every((row) => !codes.includes(row.code_hash)));
+
+  await api.call("redeemRecoveryCode", { status: 400, body: {} });
+  await api.call("redeemRecoveryCode", { status: 400, body: { code: "not a real code" } });
+  // A new set replaces the old one
+  await api.call("redeemRecoveryCode", { status: 401, body: { code: first.body.recovery_codes[0] } });
+
+  const redeemed = await api.call("redeemRecoveryCode", { status: 200, body: { code: codes[0].toUpperCase().replace(/-/g, " ") } });
+  assert.equal(redeemed.body.learner_id, learner.learnerId);
+  assert.equal(redeemed.body.recovery_codes_remaining, 4);
+  await api.call("redeemRecoveryCode", { status: 401, body: { code: codes[0] } });
+
+  // The lost device's token stops working
+  await api.call("resume", { status: 401, token: learner.token, query: { learner_id: learner.learnerId } });
+  const me = await api.call("getMe", { status: 200, token: redeemed.body.learner_token, query: { learner_id: learner.learnerId } });
+  assert.equal(me.body.recovery_codes_remaining, 4);
+});
+
+test("merging learners combines progress without counting it twice", async () => {
+  const query = (learner) => ({ track: "learner-track", learner_id: learner.learnerId });
+  const submit = (learner, lessonId, score) =>
+    api.call("submitAttempt", {
+      status: 200,
+      token: learner.token,
+      body: { user_id: learner.learnerId, lesson_id: lessonId, attempt_type: "challenge", score, max_score: 10 }
+    });
+
+  const phone = await createLearner(api);
+  const laptop = await createLearner(api);
+  const next = await api.call("getNextLesson", { status: 200, token: phone.token, query: query(phone) });
+  await api.call("getNextLesson", { status: 200, token: laptop.token, query: query(laptop) });
+  await submit(phone, next.body.next_lesson.id, 9);
+  await submit(laptop, next.body.next_lesson.id, 8);
+  const second = await api.call("getNextLesson", { status: 200, token: laptop.token, query: query(laptop) });
+  await submit(laptop, second.body.next_lesson.id, 10);
+
+  const target = { learner_id: phone.learnerId };
+  await api.call("mergeLearner", { status: 400, body: { source_learner_id: laptop.learnerId, source_learner_token: laptop.token } });
+  await api.call("mergeLearner", {
+    status: 401,
+    query: target,
+    body: { source_learner_id: laptop.learnerId, source_learner_token: laptop.token }
+  });
+  await api.call("mergeLearner", { status: 400, token: phone.token, query: target, body: { source_learner_id: laptop.learnerId } });
+  await api.call("mergeLearner", {
+    status: 400,
+    token: phone.token,
+    query: target,
+    body: { source_learner_id: phone.learnerId, source_learner_token: phone.token }
+  });
+  await api.call("mergeLearner", {
+    status: 401,
+    token: phone.token,
+    query: target,
+    body: { source_learner_id: laptop.learnerId, source_learner_token: phone.token }
+  });
+
+  const merged = await api.call("mergeLearner", {
+    status: 200,
+    token: phone.token,
+    query: target,
+    body: { source_learner_id: laptop.learnerId, source_learner_token: laptop.token }
+  });
+  assert.equal(merged.body.merged_learner_id, laptop.learnerId);
+  assert.equal(merged.body.merged.attempts, 2);
+  assert.equal(merged.body.merged.certificates, 1);
+
+  const counts = await ctx.db.query(
+    `SELECT (SELECT COUNT(*)::int FROM attempts WHERE user_id = $1) AS attempts,
+            (SELECT COUNT(*)::int FROM lesson_completions WHERE user_id = $1) AS completions,
+            (SELECT COUNT(*)::int FROM user_track_state WHERE user_id = $1) AS track_states,
+            (SELECT COUNT(*)::int FROM users WHERE id = $2) AS laptop_users`,
+    [phone.learnerId, laptop.learnerId]
+  );
+  assert.deepEqual(counts.rows[0], { attempts: 3, completions: 2, track_states: 1, laptop_users: 0 });
+  const done = await api.call("getNextLesson", { status: 200, token: phone.token, query: query(phone) });
+  assert.equal(done.body.next_lesson, null);
+  await api.call("resume", { status: 401, token: laptop.token, query: { learner_id: laptop.learnerId } });
+
+  // A recovery code proves the other learner too, and is used up by the merge
+  const tablet = await createLearner(api);
+  const { body } = await api.call("issueRecoveryCodes", { status: 200, token: tablet.token, query: { learner_id: tablet.learnerId } });
+  await api.call("mergeLearner", { status: 400, token: phone.token, query: target, body: { source_recovery_code: "nope" } });
+  await api.call("mergeLearner", {
+    status: 400,
+    token: tablet.token,
+    query: { learner_id: tablet.learnerId },
+    body: { source_recovery_code: body.recovery_codes[0] }
+  });
+  const byCode = await api.call("mergeLearner", {
+    status: 200,
+    token: phone.token,
+    query: target,
+    body: { source_recovery_code: body.recovery_codes[0] }
+  });
+  assert.equal(byCode.body.merged_learner_id, tablet.learnerId);
+  await api.call("mergeLearner", { status: 401, token: phone.token, query: target, body: { source_recovery_code: body.recovery_codes[1] } });
+});
@@ -0,0 +1,171 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp, createLearner } = require("./support/api");
+const logger = require("../src/logger");
+const { createRateLimiter } = require("../src/rateLimit");
+
+let ctx;
+let api;
+let lessons;
+
+before(async () => {
+  ctx = await startTestApp();
+  api = ctx.api;
+
+  await api.call("ensureTrack", {
+    admin: true,
+    body: { slug: "observed", title: "Observed Track", track_type: "official", status: "active" }
+  });
+  const seeded = await api.call("seedLessons", {
+    admin: true,
+    status: 200,
+    body: {
+      track_slug: "observed",
+      lessons: [
+        { lesson_order: 1, title: "One", tags: ["one"] },
+        { lesson_order: 2, title: "Two", tags: ["two"] }
+      ]
+    }
+  });
+  lessons = seeded.body.lessons;
+});
+
+after(async () => {
+  await ctx.stop();
+});
+
+// Log lines written while fn runs, parsed
+async function captureLogs(fn) {
+  const lines = [];
+  const { log, error } = console;
+  console.log = (line) => lines.push(line);
+  console.error = (line) => lines.push(line);
+  try {
+    await fn();
+    // The request line is written when the response finishes
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  } finally {
+    Object.assign(console, { log, error });
+  }
+  return lines.map((line) => JSON.parse(line));
+}
+
+test("requests get an ID and a log line without raw Learner IDs", async () => {
+  const learner = await createLearner(api);
+  let response;
+  const lines = await captureLogs(async () => {
+    response = await api.call("submitAttempt", {
+      status: 200,
+      token: learner.token,
+      headers: { "X-Request-Id": "retry-42.a" },
+      body: { user_id: learner.learnerId, lesson_id: lessons[0].id, attempt_type: "challenge", score: 9, max_score: 10 }
+    });
+  });
+  assert.equal(response.headers.get("x-request-id"), "retry-42.a");
+  assert.ok(lines.every((line) => !JSON.stringify(line).includes(learner.learnerId)));
+
+  const request = lines.find((line) => line.event === "request");
+  assert.equal(request.request_id, "retry-42.a");
+  assert.equal(request.route, "/v1/attempts");
+  assert.equal(request.status, 200);
+  assert.equal(request.learner_hash, logger.hashLearnerId(learner.learnerId));
+  assert.equal(typeof request.duration_ms, "number");
+  // Domain events carry the request ID of the request that wrote them
+  const saved = lines.find((line) => line.event === "submit-attempt");
+  assert.equal(saved.request_id, "retry-42.a");
+  assert.equal(saved.learner_hash, request.learner_hash);
+
+  // Route templates, not raw paths; invalid incoming IDs are replaced
+  const track = await captureLogs(() =>
+    api.call("getTrack", { status: 200, params: { slug: "observed" }, headers: { "X-Request-Id": "not valid" } })
+  );
+  assert.equal(track[0].route, "/v1/tracks/:slug");
+  assert.match(track[0].request_id, /^[0-9a-f-]{36}$/);
+});
+
+test("errors are answered with JSON and logged with the request ID", async () => {
+  await api.call("submitAttempt", { status: 400, rawBody: "{", contentType: "application/json" });
+
+  const missing = await fetch(`${ctx.baseUrl}/v1/nothing-here`);
+  assert.equal(missing.status, 404);
+  assert.deepEqual(await missing.json(), { error: "Not found" });
+
+  // A database outage in an async route
+  const { query } = ctx.db;
+  ctx.db.query = async () => {
+    throw new Error("connection terminated unexpectedly");
+  };
+  let failed;
+  let body;
+  const lines = await captureLogs(async () => {
+    try {
+      failed = await fetch(`${ctx.baseUrl}/v1/tracks`);
+      body = await failed.json();
+    } finally {
+      ctx.db.query = query;
+    }
+  });
+  assert.equal(failed.status, 500);
+  assert.deepEqual(body, { error: "Internal server error", request_id: failed.headers.get("x-request-id") });
+  const logged = lines.find((line) => line.event === "unhandled-error");
+  assert.equal(logged.level, "error");
+  assert.equal(logged.request_id, body.request_id);
+  assert.equal(logged.error, "connection terminated unexpectedly");
+  assert.equal(logged.route, "/v1/tracks");
+});
+
+test("a failing rate-limit store lets the request through and logs an error", async () => {
+  const limiter = createRateLimiter({
+    store: {
+      name: "broken",
+      increment: async () => {
+        throw new Error("store unavailable");
+      }
+    },
+    name: "test",
+    limit: 1,
+    windowMs: 60000,
+    keyFor: () => "key"
+  });
+  let passed = false;
+  const lines = await captureLogs(() => limiter({}, {}, () => (passed = true)));
+  assert.equal(passed, true);
+  const logged = lines.find((line) => line.event === "rate-limit-store-error");
+  assert.equal(logged.level, "error");
+  assert.equal(logged.store, "broken");
+  assert.equal(logged.error, "store unavailable");
+});
+
+test("GET /metrics reports requests, pool usage and learning counters", async () => {
+  await api.call("getMetrics", { status: 401 });
+  await api.call("getMetrics", { status: 401, headers: { Authorization: "Bearer wrong" } });
+
+  const learner = await createLearner(api);
+  await api.call("getNextLesson", { status: 200, token: learner.token, query: { track: "observed", learner_id: learner.learnerId } });
+  for (const lesson of lessons) {
+    await api.call("submitAttempt", {
+      status: 200,
+      token: learner.token,
+      body: { user_id: learner.learnerId, lesson_id: lesson.id, attempt_type: "challenge", score: 10, max_score: 10 }
+    });
+  }
+  await api.call("getHealth", { status: 200 });
+
+  const scraped = await api.call("getMetrics", { status: 200, headers: { Authorization: "Bearer test-metrics-token" } });
+  assert.match(scraped.headers.get("content-type"), /^text\/plain;.*version=0\.0\.4/);
+  const value = (series) => {
+    const line = scraped.body.split("\n").find((entry) => entry.startsWith(`${series} `));
+    return line === undefined ? undefined : Number(line.slice(series.length + 1));
+  };
+
+  assert.ok(value('http_requests_total{method="GET",route="/health",status="200"}') >= 1);
+  assert.ok(value('http_requests_total{method="GET",route="/metrics",status="401"}') >= 2);
+  assert.ok(value('http_request_duration_seconds_bucket{method="GET",route="/health",le="+Inf"}') >= 1);
+  assert.ok(value("pg_pool_connections") >= 1);
+  assert.equal(value("pg_pool_waiting_queries"), 0);
+  // The first test saved one challenge attempt that advanced
+  assert.equal(value('learn_attempts_total{attempt_type="challenge",graded_by="client"}'), 3);
+  assert.equal(value("learn_lesson_advancements_total"), 3);
+  assert.equal(value("learn_track_completions_total"), 1);
+  assert.match(scraped.body, /# TYPE http_request_duration_seconds histogram/);
+});
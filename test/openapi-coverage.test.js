@@ -0,0 +1,77 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { once } = require("node:events");
+const openapi = require("../src/openapiContract");
+
+// Collects the statuses each test file expects per operationId by scanning
+// api.call("operationId", { ... status: NNN ... }) invocations.
+function collectCoverage() {
+  const covered = new Map();
+  const files = fs.readdirSync(__dirname).filter((file) => file.endsWith(".test.js"));
+  for (const file of files) {
+    const source = fs.readFileSync(path.join(__dirname, file), "utf8");
+    const callPattern = /call\("(\w+)",\s*\{/g;
+    let match;
+    while ((match = callPattern.exec(source))) {
+      let depth = 0;
+      let end = match.index + match[0].length - 1;
+      for (; end < source.length; end += 1) {
+        if (source[end] === "{") depth += 1;
+        else if (source[end] === "}" && --depth === 0) break;
+      }
+      const statuses = covered.get(match[1]) || new Set();
+      for (const status of source.slice(match.index, end).matchAll(/status: (\d{3})/g)) statuses.add(status[1]);
+      covered.set(match[1], statuses);
+    }
+  }
+  return covered;
+}
+
+test("every documented operation and status code is exercised", () => {
+  const covered = collectCoverage();
+  const missing = [];
+  for (const operation of openapi.listOperations()) {
+    const statuses = covered.get(operation.operationId) || new Set();
+    for (const status of Object.keys(operation.responses)) {
+      if (!statuses.has(status)) missing.push(`${operation.operationId} ${status}`);
+    }
+  }
+  assert.deepEqual(missing, []);
+});
+
+test("Express routes and openapi.yaml list the same operations", () => {
+  const app = require("../src/app");
+  assert.deepEqual(openapi.diffRoutes(app), { undocumented: [], unimplemented: [] });
+});
+
+test("enforce mode rejects mismatched requests and responses", async () => {
+  const express = require("express");
+  const app = express();
+  app.use(express.json());
+  app.use(openapi.createContractMiddleware({ mode: "enforce" }));
+  app.get("/health", (req, res) => res.json({ ok: "yes" }));
+  app.patch("/v1/me/settings", (req, res) => res.json(req.body));
+
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  try {
+    const health = await fetch(`${baseUrl}/health`);
+    assert.equal(health.status, 500);
+    assert.deepEqual((await health.json()).details, ["$.ok: expected boolean, got string"]);
+
+    const settings = await fetch(`${baseUrl}/v1/me/settings`, {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ daily_goal: { type: "pages", target: 3 } })
+    });
+    assert.equal(settings.status, 400);
+    assert.match((await settings.json()).details[0], /daily_goal\.type/);
+  } finally {
+    server.close();
+  }
+
+  assert.throws(() => openapi.createContractMiddleware({ mode: "strict" }), /OPENAPI_VALIDATION/);
+});
@@ -0,0 +1,657 @@
+const fs = require("fs");
+const path = require("path");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp, createLearner } = require("./support/api");
+
+let ctx;
+let api;
+let lessons;
+
+before(async () => {
+  ctx = await startTestApp();
+  api = ctx.api;
+
+  await api.call("ensureTrack", {
+    admin: true,
+    body: { slug: "python", title: "Python", track_type: "official", status: "active" }
+  });
+  const seeded = await api.call("seedLessons", {
+    admin: true,
+    status: 200,
+    body: {
+      track_slug: "python",
+      lessons: [
+        { lesson_order: 1, title: "Variables", tags: ["syntax"] },
+        { lesson_order: 2, title: "Loops", tags: ["loops"] },
+        {
+          lesson_order: 3,
+          title: "Functions",
+          tags: ["functions"],
+          quiz_items: [
+            { item_type: "multiple_choice", prompt: "Pick print", choices: ["echo", "print"], correct_choices: [1], tags: ["io"] },
+            { item_type: "short_answer", prompt: "Keyword for functions?", accepted_answers: ["def"], tags: ["functions"] }
+          ]
+        }
+      ]
+    }
+  });
+  lessons = seeded.body.lessons;
+});
+
+after(async () => {
+  await ctx.stop();
+});
+
+async function startTrack(slug) {
+  const learner = await createLearner(api);
+  const next = await api.call("getNextLesson", {
+    status: 200,
+    token: learner.token,
+    query: { track: slug, learner_id: learner.learnerId }
+  });
+  return { ...learner, next: next.body };
+}
+
+test("GET /v1/lessons/next validates input and serves the first lesson", async () => {
+  await api.call("getNextLesson", { status: 400 });
+  await api.call("getNextLesson", { status: 404, query: { track: "missing" } });
+
+  const anonymous = await api.call("getNextLesson", { status: 200, query: { track: "python" } });
+  assert.match(anonymous.body.learner_token, /^lt1\./);
+  assert.equal(anonymous.body.mode, "linear");
+  assert.equal(anonymous.body.next_lesson.lesson_order, 1);
+
+  await api.call("getNextLesson", {
+    status: 401,
+    token: "lt1.bogus",
+    query: { track: "python", learner_id: anonymous.body.user_id }
+  });
+});
+
+test("passing attempts advance the learner; failing ones do not", async () => {
+  const learner = await startTrack("python");
+
+  await api.call("submitAttempt", { status: 400, body: { lesson_id: "nope", attempt_type: "quiz" } });
+  await api.call("submitAttempt", {
+    status: 404,
+    token: learner.token,
+    body: { user_id: learner.learnerId, lesson_id: "00000000-0000-4000-8000-000000000000", attempt_type: "challenge" }
+  });
+  await api.call("submitAttempt", {
+    status: 401,
+    body: { user_id: learner.learnerId, lesson_id: lessons[1].id, attempt_type: "challenge" }
+  });
+
+  // Lesson 3 has an item bank, so self-reported quiz scores are refused
+  await api.call("submitAttempt", {
+    status: 400,
+    token: learner.token,
+    body: { user_id: learner.learnerId, lesson_id: lessons[2].id, attempt_type: "quiz", score: 10, max_score: 10 }
+  });
+
+  const failed = await api.call("submitAttempt", {
+    status: 200,
+    token: learner.token,
+    body: { user_id: learner.learnerId, lesson_id: lessons[0].id, attempt_type: "challenge", score: 5, max_score: 10 }
+  });
+  assert.equal(failed.body.advanced, false);
+  assert.equal(failed.body.mastery.mastered, false);
+
+  const passed = await api.call("submitAttempt", {
+    status: 200,
+    token: learner.token,
+    body: {
+      user_id: learner.learnerId,
+      lesson_id: lessons[0].id,
+      attempt_type: "challenge",
+      score: 8,
+      max_score: 10,
+      weak_tags: ["loops"]
+    }
+  });
+  assert.equal(passed.body.advanced, true);
+
+  const next = await api.call("getNextLesson", {
+    status: 200,
+    token: learner.token,
+    query: { track: "python", learner_id: learner.learnerId }
+  });
+  assert.equal(next.body.next_lesson.id, lessons[1].id);
+});
+
+test("attempts without a Learner ID create a learner and return a token", async () => {
+  const created = await api.call("submitAttempt", {
+    status: 200,
+    body: { lesson_id: lessons[1].id, attempt_type: "project", score: 1, max_score: 1 }
+  });
+  assert.match(created.body.learner_token, /^lt1\./);
+});
+
+test("attempts start the track for learners who skipped /v1/lessons/next", async () => {
+  const learner = await createLearner(api);
+  const passed = await api.call("submitAttempt", {
+    status: 200,
+    token: learner.token,
+    body: { user_id: learner.learnerId, lesson_id: lessons[1].id, attempt_type: "challenge", score: 9, max_score: 10 }
+  });
+  assert.equal(passed.body.advanced, true);
+
+  const state = await ctx.db.query(`SELECT current_lesson_order FROM user_track_state WHERE user_id = $1`, [
+    learner.learnerId
+  ]);
+  assert.deepEqual(state.rows, [{ current_lesson_order: 3 }]);
+});
+
+test("an Idempotency-Key makes retried attempts safe", async () => {
+  const learner = await startTrack("python");
+  const body = { user_id: learner.learnerId, lesson_id: lessons[1].id, attempt_type: "challenge", score: 4, max_score: 10 };
+  const headers = { "Idempotency-Key": "retry-0001" };
+
+  await api.call("submitAttempt", { status: 400, token: learner.token, headers: { "Idempotency-Key": "has spaces" }, body });
+  await api.call("submitAttempt", {
+    status: 400,
+    headers,
+    body: { lesson_id: lessons[1].id, attempt_type: "challenge", score: 4, max_score: 10 }
+  });
+
+  // A retry sent while the first request is still in flight waits for it, then replays it
+  const sent = api.call("submitAttempt", { status: 200, token: learner.token, headers, body });
+  const resent = api.call("submitAttempt", { status: 200, token: learner.token, headers, body: { ...body } });
+  const responses = [await sent, await resent];
+  const replays = responses.filter((response) => response.headers.get("idempotent-replayed") === "true");
+  assert.equal(replays.length, 1);
+  assert.deepEqual(responses[0].body, responses[1].body);
+  const [first] = responses;
+
+  const later = await api.call("submitAttempt", { status: 200, token: learner.token, headers, body });
+  assert.equal(later.headers.get("idempotent-replayed"), "true");
+  assert.equal(later.body.attempt_id, first.body.attempt_id);
+
+  await api.call("submitAttempt", { status: 409, token: learner.token, headers, body: { ...body, score: 9 } });
+
+  const attempts = await ctx.db.query(`SELECT COUNT(*)::int AS count FROM attempts WHERE user_id = $1`, [learner.learnerId]);
+  assert.equal(attempts.rows[0].count, 1);
+
+  // Keys belong to a learner
+  const other = await startTrack("python");
+  const otherAttempt = await api.call("submitAttempt", {
+    status: 200,
+    token: other.token,
+    headers,
+    body: { ...body, user_id: other.learnerId }
+  });
+  assert.notEqual(otherAttempt.body.attempt_id, first.body.attempt_id);
+});
+
+test("attempt batches are saved in order, all or nothing", async () => {
+  const learner = await startTrack("python");
+  const savedCount = async () =>
+    (await ctx.db.query(`SELECT COUNT(*)::int AS count FROM attempts WHERE user_id = $1`, [learner.learnerId])).rows[0].count;
+  const challenge = (lesson, score) => ({ lesson_id: lesson.id, attempt_type: "challenge", score, max_score: 10 });
+
+  await api.call("submitAttemptBatch", { status: 400, token: learner.token, body: { user_id: learner.learnerId, attempts: [] } });
+  await api.call("submitAttemptBatch", { status: 401, body: { user_id: learner.learnerId, attempts: [challenge(lessons[0], 9)] } });
+
+  const missing = await api.call("submitAttemptBatch", {
+    status: 404,
+    token: learner.token,
+    body: { user_id: learner.learnerId, attempts: [challenge(lessons[0], 9), challenge({ id: "00000000-0000-4000-8000-000000000000" }, 9)] }
+  });
+  assert.deepEqual(missing.body.items, [{ index: 1, lesson_id: "00000000-0000-4000-8000-000000000000" }]);
+  const serverGraded = await api.call("submitAttemptBatch", {
+    status: 400,
+    token: learner.token,
+    body: {
+      user_id: learner.learnerId,
+      attempts: [challenge(lessons[1], 9), { lesson_id: lessons[2].id, attempt_type: "quiz", score: 9, max_score: 10 }]
+    }
+  });
+  assert.deepEqual(serverGraded.body.items, [{ index: 1, lesson_id: lessons[2].id }]);
+  assert.equal(await savedCount(), 0);
+
+  // The second attempt sees the advancement made by the first
+  const body = { user_id: learner.learnerId, attempts: [challenge(lessons[0], 9), challenge(lessons[1], 3), challenge(lessons[1], 8)] };
+  const headers = { "Idempotency-Key": "batch-0001" };
+  const saved = await api.call("submitAttemptBatch", { status: 200, token: learner.token, headers, body });
+  assert.deepEqual(
+    saved.body.results.map((result) => [result.lesson_id, result.advanced]),
+    [
+      [lessons[0].id, true],
+      [lessons[1].id, false],
+      [lessons[1].id, true]
+    ]
+  );
+  assert.equal(await savedCount(), 3);
+
+  const replayed = await api.call("submitAttemptBatch", { status: 200, token: learner.token, headers, body });
+  assert.equal(replayed.headers.get("idempotent-replayed"), "true");
+  assert.deepEqual(replayed.body, saved.body);
+  await api.call("submitAttemptBatch", {
+    status: 409,
+    token: learner.token,
+    headers,
+    body: { ...body, attempts: body.attempts.slice(1) }
+  });
+  assert.equal(await savedCount(), 3);
+
+  const state = await ctx.db.query(
+    `SELECT uts.current_lesson_order
+     FROM user_track_state uts
+     JOIN tracks t ON t.id = uts.track_id
+     WHERE uts.user_id = $1 AND t.slug = 'python'`,
+    [learner.learnerId]
+  );
+  assert.deepEqual(state.rows, [{ current_lesson_order: 3 }]);
+});
+
+test("POST /v1/session returns the dashboard, resume list, next lessons and due reviews", async () => {
+  await api.call("ensureTrack", { admin: true, body: { slug: "sql", title: "SQL", status: "active" } });
+  const sql = await api.call("seedLessons", {
+    admin: true,
+    status: 200,
+    body: { track_slug: "sql", lessons: [{ lesson_order: 1, title: "Select", tags: ["select"] }] }
+  });
+  const learner = await startTrack("sql");
+  await api.call("getNextLesson", { status: 200, token: learner.token, query: { track: "python", learner_id: learner.learnerId } });
+
+  await api.call("startSession", { status: 400, token: learner.token, body: {} });
+  await api.call("startSession", { status: 401, query: { learner_id: learner.learnerId }, body: {} });
+  await api.call("startSession", {
+    status: 400,
+    token: learner.token,
+    query: { learner_id: learner.learnerId },
+    body: { review_limit: 0 }
+  });
+  await api.call("startSession", {
+    status: 404,
+    token: learner.token,
+    query: { learner_id: learner.learnerId },
+    body: { tracks: ["missing"] }
+  });
+
+  await api.call("submitAttempt", {
+    status: 200,
+    token: learner.token,
+    body: { user_id: learner.learnerId, lesson_id: lessons[0].id, attempt_type: "challenge", score: 2, max_score: 10 }
+  });
+  await ctx.db.query(`UPDATE tag_reviews SET due_at = now() - interval '1 minute' WHERE user_id = $1`, [
+    learner.learnerId
+  ]);
+
+  const session = await api.call("startSession", { status: 200, token: learner.token, query: { learner_id: learner.learnerId } });
+  assert.equal(session.body.dashboard.attempts_7d, 1);
+  assert.equal(session.body.resume.recent_activity[0].track_slug, "python");
+  // Most recently seen first
+  assert.deepEqual(
+    session.body.next_lessons.map((next) => [next.track.slug, next.next_lesson.title]),
+    [
+      ["python", "Variables"],
+      ["sql", "Select"]
+    ]
+  );
+  assert.deepEqual(
+    session.body.due_reviews.map((reviews) => [reviews.track.slug, reviews.due_tags.map((tag) => tag.tag)]),
+    [
+      ["python", ["syntax"]],
+      ["sql", []]
+    ]
+  );
+
+  // Completed tracks drop out unless asked for
+  await api.call("submitAttempt", {
+    status: 200,
+    token: learner.token,
+    body: { user_id: learner.learnerId, lesson_id: sql.body.lessons[0].id, attempt_type: "challenge", score: 10, max_score: 10 }
+  });
+  const active = await api.call("startSession", { status: 200, token: learner.token, query: { learner_id: learner.learnerId } });
+  assert.deepEqual(
+    active.body.next_lessons.map((next) => next.track.slug),
+    ["python"]
+  );
+  const asked = await api.call("startSession", {
+    status: 200,
+    token: learner.token,
+    query: { learner_id: learner.learnerId },
+    body: { tracks: ["SQL"], review_limit: 1 }
+  });
+  assert.equal(asked.body.next_lessons[0].track.slug, "sql");
+  assert.equal(asked.body.next_lessons[0].next_lesson, null);
+});
+
+test("quizzes are served without answer keys and graded on the server", async () => {
+  await api.call("getLessonQuiz", { status: 400, params: { id: "nope" } });
+  await api.call("getLessonQuiz", { status: 404, params: { id: "00000000-0000-4000-8000-000000000000" } });
+
+  const quiz = await api.call("getLessonQuiz", { status: 200, params: { id: lessons[2].id } });
+  assert.equal(quiz.body.items.length, 2);
+  assert.ok(quiz.body.items.every((item) => item.answer === undefined));
+
+  const learner = await startTrack("python");
+  const [choiceItem, textItem] = quiz.body.items;
+
+  await api.call("submitQuiz", { status: 400, params: { id: lessons[2].id }, body: {} });
+  await api.call("submitQuiz", {
+    status: 404,
+    token: learner.token,
+    params: { id: lessons[1].id },
+    body: { user_id: learner.learnerId, answers: [] }
+  });
+  await api.call("submitQuiz", {
+    status: 401,
+    params: { id: lessons[2].id },
+    body: { user_id: learner.learnerId, answers: [] }
+  });
+
+  // Self-reported scores of any type are recorded but can't master a lesson with quiz items
+  const selfReported = await api.call("submitAttempt", {
+    status: 200,
+    token: learner.token,
+    body: { user_id: learner.learnerId, lesson_id: lessons[2].id, attempt_type: "challenge", score: 100, max_score: 100 }
+  });
+  assert.equal(selfReported.body.advanced, false);
+  assert.equal(selfReported.body.mastery.mastered, false);
+  const batched = await api.call("submitAttemptBatch", {
+    status: 200,
+    token: learner.token,
+    body: {
+      user_id: learner.learnerId,
+      attempts: [{ lesson_id: lessons[2].id, attempt_type: "project", score: 10, max_score: 10 }]
+    }
+  });
+  assert.equal(batched.body.results[0].advanced, false);
+  const completions = await ctx.db.query(`SELECT COUNT(*)::int AS count FROM lesson_completions WHERE user_id = $1`, [
+    learner.learnerId
+  ]);
+  assert.equal(completions.rows[0].count, 0);
+
+  const graded = await api.call("submitQuiz", {
+    status: 200,
+    token: learner.token,
+    params: { id: lessons[2].id },
+    body: {
+      user_id: learner.learnerId,
+      answers: [
+        { item_id: choiceItem.id, choice_indices: [1] },
+        { item_id: textItem.id, text: "  DEF " }
+      ]
+    }
+  });
+  assert.equal(graded.body.score, 2);
+  assert.equal(graded.body.advanced, true);
+});
+
+test("failed tags show up in the due review queue", async () => {
+  const learner = await startTrack("python");
+
+  await api.call("getDueReviews", { status: 400, query: { learner_id: learner.learnerId } });
+  await api.call("getDueReviews", { status: 400, token: learner.token, query: { track: "python" } });
+  await api.call("getDueReviews", { status: 401, query: { track: "python", learner_id: learner.learnerId } });
+  await api.call("getDueReviews", {
+    status: 404,
+    token: learner.token,
+    query: { track: "missing", learner_id: learner.learnerId }
+  });
+
+  await api.call("submitAttempt", {
+    status: 200,
+    token: learner.token,
+    body: { user_id: learner.learnerId, lesson_id: lessons[0].id, attempt_type: "challenge", score: 2, max_score: 10 }
+  });
+  // A lapse is scheduled for tomorrow; pretend a day has passed
+  await ctx.db.query(`UPDATE tag_reviews SET due_at = now() - interval '1 minute' WHERE user_id = $1`, [
+    learner.learnerId
+  ]);
+
+  const due = await api.call("getDueReviews", {
+    status: 200,
+    token: learner.token,
+    query: { track: "python", learner_id: learner.learnerId }
+  });
+  assert.deepEqual(
+    due.body.due_tags.map((tag) => tag.tag),
+    ["syntax"]
+  );
+  assert.equal(due.body.review_items[0].lesson.id, lessons[0].id);
+});
+
+test("suggest_review_after_failures suggests a review without blocking later attempts", async () => {
+  await api.call("ensureTrack", { admin: true, body: { slug: "advisory", title: "Advisory", status: "active" } });
+  const seeded = await api.call("seedLessons", {
+    admin: true,
+    status: 200,
+    body: {
+      track_slug: "advisory",
+      lessons: [{ lesson_order: 1, title: "Recursion", tags: ["recursion"], mastery_policy: { suggest_review_after_failures: 2 } }]
+    }
+  });
+  const lessonId = seeded.body.lessons[0].id;
+  // The old name is gone from the API
+  await api.call("setLessonMasteryPolicy", {
+    admin: true,
+    status: 400,
+    params: { id: lessonId },
+    body: { mastery_policy: { max_attempts_before_review: 2 } }
+  });
+
+  const learner = await startTrack("advisory");
+  const attempt = (score) =>
+    api.call("submitAttempt", {
+      status: 200,
+      token: learner.token,
+      body: { user_id: learner.learnerId, lesson_id: lessonId, attempt_type: "challenge", score, max_score: 10 }
+    });
+
+  assert.equal((await attempt(2)).body.mastery.review_suggested, false);
+  const suggested = await attempt(3);
+  assert.equal(suggested.body.mastery.review_suggested, true);
+  assert.equal(suggested.body.mastery.failed_since_last_pass, 2);
+  const due = await api.call("getDueReviews", {
+    status: 200,
+    token: learner.token,
+    query: { track: "advisory", learner_id: learner.learnerId }
+  });
+  assert.deepEqual(
+    due.body.due_tags.map((tag) => tag.tag),
+    ["recursion"]
+  );
+
+  // Nothing is blocked: the next passing attempt still masters the lesson
+  const passed = await attempt(9);
+  assert.equal(passed.body.advanced, true);
+  assert.equal(passed.body.mastery.mastered, true);
+  assert.equal(passed.body.mastery.review_suggested, false);
+});
+
+test("migration 018 renames max_attempts_before_review in stored policies", async () => {
+  await api.call("ensureTrack", { admin: true, body: { slug: "legacy-policy", title: "Legacy policy" } });
+  await ctx.db.query(
+    `UPDATE tracks SET mastery_policy = '{"required_passes": 2, "max_attempts_before_review": 3}'::jsonb WHERE slug = $1`,
+    ["legacy-policy"]
+  );
+
+  const sql = fs.readFileSync(path.join(__dirname, "..", "migrations", "018_rename_review_policy_field.sql"), "utf8");
+  await ctx.db.query(sql);
+  await ctx.db.query(sql);
+
+  const renamed = await ctx.db.query(`SELECT mastery_policy FROM tracks WHERE slug = $1`, ["legacy-policy"]);
+  assert.deepEqual(renamed.rows[0].mastery_policy, { required_passes: 2, suggest_review_after_failures: 3 });
+});
+
+test("prerequisite graphs rank unlocked lessons", async () => {
+  await api.call("ensureTrack", { admin: true, body: { slug: "graph", title: "Graph", status: "active" } });
+  const seeded = await api.call("seedLessons", {
+    admin: true,
+    status: 200,
+    body: {
+      track_slug: "graph",
+      lessons: [
+        { lesson_order: 1, title: "Root", prerequisites: [] },
+        { lesson_order: 2, title: "Side", prerequisites: [] },
+        { lesson_order: 3, title: "Needs root", prerequisites: [{ lesson_order: 1 }] },
+        { lesson_order: 4, title: "Also needs root", prerequisites: [{ lesson_order: 1 }] }
+      ]
+    }
+  });
+  const [root, , , leaf] = seeded.body.lessons;
+
+  const learner = await startTrack("graph");
+  assert.equal(learner.next.mode, "graph");
+  assert.equal(learner.next.next_lesson.id, root.id);
+  assert.equal(learner.next.locked_count, 2);
+
+  // Passing the last lesson moves current_lesson_order past the end, but only that lesson is mastered
+  await api.call("submitAttempt", {
+    status: 200,
+    token: learner.token,
+    body: { user_id: learner.learnerId, lesson_id: leaf.id, attempt_type: "challenge", score: 10, max_score: 10 }
+  });
+  const me = await api.call("getMe", { status: 200, token: learner.token, query: { learner_id: learner.learnerId } });
+  const progress = me.body.tracks.find((track) => track.slug === "graph");
+  assert.equal(progress.completed_lessons, 1);
+  assert.equal(progress.completion_pct, 25);
+  const next = await api.call("getNextLesson", {
+    status: 200,
+    token: learner.token,
+    query: { track: "graph", learner_id: learner.learnerId }
+  });
+  assert.equal(next.body.pacing.schedule.remaining_lessons, 3);
+  assert.ok(!next.body.pacing.reasons.includes("every lesson in this track is complete"));
+});
+
+test("learners pinned to a version can upgrade to the latest", async () => {
+  await api.call("ensureTrack", { admin: true, body: { slug: "pinned", title: "Pinned", status: "active" } });
+  const seeded = await api.call("seedLessons", {
+    admin: true,
+    status: 200,
+    body: {
+      track_slug: "pinned",
+      lessons: [
+        { lesson_order: 1, title: "One" },
+        { lesson_order: 2, title: "Two" }
+      ]
+    }
+  });
+  await api.call("publishTrack", { admin: true, status: 201, params: { slug: "pinned" }, body: {} });
+
+  const learner = await startTrack("pinned");
+  assert.deepEqual(learner.next.track_version, { pinned: 1, latest: 1, update_available: false });
+
+  await api.call("upgradeTrackVersion", { status: 400, params: { slug: "pinned" } });
+  await api.call("upgradeTrackVersion", { status: 401, params: { slug: "pinned" }, query: { learner_id: learner.learnerId } });
+  await api.call("upgradeTrackVersion", {
+    status: 404,
+    token: learner.token,
+    params: { slug: "missing" },
+    query: { learner_id: learner.learnerId }
+  });
+
+  const current = await api.call("upgradeTrackVersion", {
+    status: 200,
+    token: learner.token,
+    params: { slug: "pinned" },
+    query: { learner_id: learner.learnerId }
+  });
+  assert.equal(current.body.upgraded, false);
+
+  // Reorder and republish: the learner stays on lesson "One" at its new position
+  await api.call("reorderLessons", {
+    admin: true,
+    status: 200,
+    params: { slug: "pinned" },
+    body: { lesson_ids: [seeded.body.lessons[1].id, seeded.body.lessons[0].id] }
+  });
+  await api.call("publishTrack", { admin: true, status: 201, params: { slug: "pinned" }, body: {} });
+
+  const upgraded = await api.call("upgradeTrackVersion", {
+    status: 200,
+    token: learner.token,
+    params: { slug: "pinned" },
+    query: { learner_id: learner.learnerId }
+  });
+  assert.equal(upgraded.body.upgraded, true);
+  assert.equal(upgraded.body.track_version, 2);
+  assert.equal(upgraded.body.current_lesson_order, 2);
+});
+
+test("pacing follows the learner's budget, target date and recent scores", async () => {
+  const learner = await startTrack("python");
+  assert.equal(learner.next.pacing.adjustment, "steady");
+  assert.equal(learner.next.pacing.lessons_today.recommended, 1);
+  assert.equal(learner.next.pacing.recent_performance.minutes_per_lesson_source, "default");
+  assert.equal(learner.next.pacing.schedule.on_track, null);
+
+  const today = new Date().toISOString().slice(0, 10);
+  await api.call("updateLearnerSettings", {
+    status: 400,
+    token: learner.token,
+    query: { learner_id: learner.learnerId },
+    body: { target_date: "2020-01-01" }
+  });
+  const settings = await api.call("updateLearnerSettings", {
+    status: 200,
+    token: learner.token,
+    query: { learner_id: learner.learnerId },
+    body: { weekly_minutes: 420, target_date: "2999-12-31" }
+  });
+  assert.equal(settings.body.weekly_minutes, 420);
+  assert.equal(settings.body.target_date, "2999-12-31");
+
+  // Two 20-minute failures in a row: slow down and review before moving on
+  for (let i = 0; i < 2; i += 1) {
+    await api.call("submitAttempt", {
+      status: 200,
+      token: learner.token,
+      body: {
+        user_id: learner.learnerId,
+        lesson_id: lessons[0].id,
+        attempt_type: "challenge",
+        score: 2,
+        max_score: 10,
+        duration_sec: 600,
+        weak_tags: ["loops"]
+      }
+    });
+  }
+  const struggling = await api.call("getNextLesson", {
+    status: 200,
+    token: learner.token,
+    query: { track: "python", learner_id: learner.learnerId }
+  });
+  const slow = struggling.body.pacing;
+  assert.equal(slow.adjustment, "slow_down");
+  assert.equal(slow.recent_performance.consecutive_failures, 2);
+  assert.equal(slow.recent_performance.minutes_per_lesson, 20);
+  // 420 minutes a week at 20 minutes a lesson is 3 a day, one fewer while struggling
+  assert.equal(slow.lessons_today.recommended, 2);
+  assert.equal(slow.remedial.insert, true);
+  assert.deepEqual(slow.remedial.tags, ["loops", "syntax"]);
+  assert.equal(slow.schedule.on_track, true);
+
+  // A deadline of today needs every remaining lesson today
+  await api.call("updateLearnerSettings", {
+    status: 200,
+    token: learner.token,
+    query: { learner_id: learner.learnerId },
+    body: { weekly_minutes: null, target_date: today }
+  });
+  await api.call("submitAttempt", {
+    status: 200,
+    token: learner.token,
+    body: { user_id: learner.learnerId, lesson_id: lessons[0].id, attempt_type: "challenge", score: 9, max_score: 10 }
+  });
+  const rushed = await api.call("getNextLesson", {
+    status: 200,
+    token: learner.token,
+    query: { track: "python", learner_id: learner.learnerId }
+  });
+  const plan = rushed.body.pacing;
+  assert.equal(plan.schedule.weekly_minutes, null);
+  assert.equal(plan.schedule.remaining_lessons, 2);
+  assert.equal(plan.schedule.required_lessons_per_day, 2);
+  assert.equal(plan.schedule.on_track, false);
+  // The recent average (20, 20, 90) is still low, so the slow-down wins over the deadline
+  assert.equal(plan.adjustment, "slow_down");
+  assert.ok(plan.reasons.includes(`2 lessons a day are needed to finish by ${today}`));
+  assert.deepEqual(plan.lessons_today, { recommended: 1, completed: 1, remaining: 0 });
+});
@@ -0,0 +1,119 @@
+// api.js
+// Boots the app against a fresh, fully migrated database and calls it by
+// openapi.yaml operationId. Every call asserts that the status code is
+// documented for the operation and that a JSON body matches its schema. The
+// app itself runs with OPENAPI_VALIDATION=enforce, so request bodies are
+// checked against the spec too.
+const assert = require("node:assert/strict");
+const { once } = require("node:events");
+const { startDatabase } = require("./database");
+const openapi = require("../../src/openapiContract");
+
+const ADMIN_KEY = "test-admin-key";
+
+function buildUrl(baseUrl, operation, params = {}, query = {}) {
+  const pathname = operation.path.replace(/\{(\w+)\}/g, (match, name) => {
+    assert.ok(params[name] !== undefined, `${operation.operationId}: missing path param ${name}`);
+    return encodeURIComponent(params[name]);
+  });
+  const url = new URL(pathname, baseUrl);
+  for (const [key, value] of Object.entries(query)) {
+    if (value !== undefined) url.searchParams.set(key, String(value));
+  }
+  return url;
+}
+
+function createApi(baseUrl) {
+  // options: { params, query, body, rawBody, contentType, headers, admin, token, status }
+  async function call(operationId, options = {}) {
+    const operation = openapi.findOperation(operationId);
+    assert.ok(operation, `Unknown operationId ${operationId}`);
+
+    const headers = { ...(options.headers || {}) };
+    if (options.admin) headers["X-ADMIN-KEY"] = ADMIN_KEY;
+    if (options.token) headers["X-Learner-Token"] = options.token;
+
+    let body;
+    if (options.rawBody !== undefined) {
+      body = options.rawBody;
+      headers["Content-Type"] = options.contentType;
+    } else if (options.body !== undefined) {
+      body = JSON.stringify(options.body);
+      headers["Content-Type"] = "application/json";
+    }
+
+    const response = await fetch(buildUrl(baseUrl, operation, options.params, options.query), {
+      method: operation.method.toUpperCase(),
+      headers,
+      body
+    });
+    const contentType = response.headers.get("content-type") || "";
+    const text = await response.text();
+    const parsed = contentType.includes("application/json") && text ? JSON.parse(text) : text;
+
+    const label = `${operation.method.toUpperCase()} ${operation.path} -> ${response.status} ${text.slice(0, 500)}`;
+    if (options.status !== undefined) assert.equal(response.status, options.status, label);
+
+    const documented = operation.responses[String(response.status)];
+    assert.ok(documented, `Undocumented status: ${label}`);
+
+    const schema = documented.content?.["application/json"]?.schema;
+    if (schema && contentType.includes("application/json")) {
+      const errors = openapi.validate(schema, parsed);
+      assert.deepEqual(errors, [], `Response does not match openapi.yaml: ${label}`);
+    }
+
+    return { status: response.status, headers: response.headers, body: parsed };
+  }
+
+  return { call };
+}
+
+async function startTestApp() {
+  const database = await startDatabase();
+  Object.assign(process.env, {
+    DATABASE_URL: database.url,
+    PG_SSL_MODE: "disable",
+    ADMIN_KEY,
+    OPENAPI_VALIDATION: "enforce",
+    LEARNER_TOKEN_KEYS: "test:integration-test-secret-0123456789",
+    CERTIFICATE_KEYS: "c1:test-certificate-secret-0123456789",
+    RATE_LIMIT_PUBLIC_MAX: "100000",
+    RATE_LIMIT_ADMIN_MAX: "100000",
+    RATE_LIMIT_LEARNER_MAX: "100000",
+    RATE_LIMIT_RECOVERY_MAX: "100000",
+    METRICS_TOKEN: "test-metrics-token"
+  });
+
+  const db = require("../../src/db");
+  const migrations = require("../../src/migrations");
+  await migrations.runMigrations(db);
+
+  const app = require("../../src/app");
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    db,
+    baseUrl,
+    api: createApi(baseUrl),
+    stop: async () => {
+      server.close();
+      await db.close();
+      await database.stop();
+    }
+  };
+}
+
+// Creates a learner and returns { learnerId, token }
+async function createLearner(api) {
+  const me = await api.call("getMe", { status: 200 });
+  return { learnerId: me.body.learner_id, token: me.body.learner_token };
+}
+
+module.exports = {
+  ADMIN_KEY,
+  startTestApp,
+  createLearner
+};
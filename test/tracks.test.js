@@ -0,0 +1,775 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const YAML = require("yaml");
+const { startTestApp, createLearner } = require("./support/api");
+
+let ctx;
+let api;
+
+before(async () => {
+  ctx = await startTestApp();
+  api = ctx.api;
+});
+
+after(async () => {
+  await ctx.stop();
+});
+
+async function seedTrack(slug, lessonCount = 3, extra = {}) {
+  await api.call("ensureTrack", {
+    admin: true,
+    body: { slug, title: `Track ${slug}`, track_type: "official", status: "active" }
+  });
+  const lessons = Array.from({ length: lessonCount }, (_, index) => ({
+    lesson_order: index + 1,
+    title: `Lesson ${index + 1}`,
+    tags: [`tag-${index + 1}`],
+    source_urls: ["https://example.com/docs"],
+    ...(extra[index + 1] || {})
+  }));
+  const seeded = await api.call("seedLessons", { admin: true, status: 200, body: { track_slug: slug, lessons } });
+  return seeded.body.lessons;
+}
+
+test("health and openapi routes respond", async () => {
+  const health = await api.call("getHealth", { status: 200 });
+  assert.equal(health.body.ok, true);
+
+  const spec = await api.call("getOpenApiSpec", { status: 200 });
+  assert.match(spec.body, /^openapi: 3\.1\.0/);
+
+  const json = await api.call("getOpenApiJson", { status: 200 });
+  assert.equal(json.body.openapi, "3.1.0");
+  assert.deepEqual(Object.keys(json.body.paths), Object.keys(YAML.parse(spec.body).paths));
+});
+
+test("POST /v1/tracks requires the admin key and lowercases the slug", async () => {
+  await api.call("createTrack", { status: 401, body: { slug: "nope", title: "Nope" } });
+
+  const created = await api.call("createTrack", { admin: true, status: 201, body: { slug: "Go-Lang", title: "Go" } });
+  assert.equal(created.body.track.slug, "go-lang");
+  assert.equal(created.body.track.status, "draft");
+
+  // Drafts stay out of the public listing
+  const listed = await api.call("listTracks", { status: 200 });
+  assert.ok(!listed.body.tracks.some((track) => track.slug === "go-lang"));
+  const all = await api.call("listTracks", { admin: true, status: 200, query: { visibility: "all" } });
+  const draft = all.body.tracks.find((track) => track.slug === "go-lang");
+  assert.equal(draft.visibility, "private");
+});
+
+test("ensure-track only overwrites the fields it is sent", async () => {
+  await api.call("ensureTrack", { status: 401, body: { slug: "rust", title: "Rust" } });
+
+  const created = await api.call("ensureTrack", {
+    admin: true,
+    status: 201,
+    body: {
+      slug: "rust",
+      title: "Rust",
+      official_sources: ["https://doc.rust-lang.org/book/"],
+      track_type: "official",
+      status: "active"
+    }
+  });
+  assert.equal(created.body.created, true);
+
+  const updated = await api.call("ensureTrack", {
+    admin: true,
+    status: 200,
+    body: { slug: "RUST", title: "Rust Language" }
+  });
+  assert.equal(updated.body.created, false);
+  assert.equal(updated.body.track.title, "Rust Language");
+  assert.deepEqual(updated.body.track.official_sources, ["https://doc.rust-lang.org/book/"]);
+  assert.equal(updated.body.track.track_type, "official");
+  assert.equal(updated.body.track.status, "active");
+
+  const cleared = await api.call("ensureTrack", {
+    admin: true,
+    status: 200,
+    body: { slug: "rust", title: "Rust Language", official_sources: [], owner_user_id: null }
+  });
+  assert.deepEqual(cleared.body.track.official_sources, []);
+  assert.equal(cleared.body.track.owner_user_id, null);
+});
+
+test("seed-lessons upserts by lesson_order and rejects prerequisite cycles", async () => {
+  await api.call("seedLessons", { admin: true, status: 400, body: { track_slug: "x", lessons: [] } });
+  await api.call("seedLessons", {
+    admin: true,
+    status: 404,
+    body: { track_slug: "missing-track", lessons: [{ lesson_order: 1, title: "Intro" }] }
+  });
+
+  const first = await seedTrack("seed-track", 2);
+  const again = await seedTrack("seed-track", 2);
+  assert.deepEqual(
+    again.map((lesson) => lesson.id),
+    first.map((lesson) => lesson.id)
+  );
+
+  const cycle = await api.call("seedLessons", {
+    admin: true,
+    status: 400,
+    body: {
+      track_slug: "seed-track",
+      lessons: [
+        { lesson_order: 1, title: "Lesson 1", prerequisites: [{ lesson_order: 2 }] },
+        { lesson_order: 2, title: "Lesson 2", prerequisites: [{ lesson_order: 1 }] }
+      ]
+    }
+  });
+  assert.match(JSON.stringify(cycle.body), /cycle/i);
+});
+
+test("PATCH and DELETE tracks", async () => {
+  await seedTrack("patch-me", 1);
+
+  await api.call("updateTrack", { admin: true, status: 400, params: { slug: "patch-me" }, body: {} });
+  await api.call("updateTrack", { admin: true, status: 404, params: { slug: "nope" }, body: { title: "Nope" } });
+  await api.call("updateTrack", { admin: true, status: 409, params: { slug: "patch-me" }, body: { slug: "rust" } });
+
+  const renamed = await api.call("updateTrack", {
+    admin: true,
+    status: 200,
+    params: { slug: "patch-me" },
+    body: { slug: "patched", status: "archived" }
+  });
+  assert.equal(renamed.body.track.slug, "patched");
+  assert.equal(renamed.body.track.status, "archived");
+
+  // Learner progress blocks a plain delete
+  const learner = await createLearner(api);
+  await api.call("getNextLesson", {
+    status: 200,
+    token: learner.token,
+    query: { track: "patched", learner_id: learner.learnerId }
+  });
+  const blocked = await api.call("deleteTrack", { admin: true, status: 409, params: { slug: "patched" } });
+  assert.equal(blocked.body.learners, 1);
+
+  await api.call("deleteTrack", { admin: true, status: 200, params: { slug: "patched" }, query: { force: true } });
+  await api.call("deleteTrack", { admin: true, status: 404, params: { slug: "patched" } });
+  await api.call("deleteTrack", { status: 401, params: { slug: "rust" } });
+});
+
+test("PATCH and DELETE lessons close the order gap", async () => {
+  const lessons = await seedTrack("lesson-edits", 3);
+
+  await api.call("updateLesson", { admin: true, status: 400, params: { id: "not-a-uuid" }, body: { title: "X" } });
+  await api.call("updateLesson", {
+    admin: true,
+    status: 404,
+    params: { id: "00000000-0000-4000-8000-000000000000" },
+    body: { title: "Missing" }
+  });
+  const updated = await api.call("updateLesson", {
+    admin: true,
+    status: 200,
+    params: { id: lessons[0].id },
+    body: { title: "Renamed lesson", tags: ["renamed"] }
+  });
+  assert.equal(updated.body.lesson.title, "Renamed lesson");
+  assert.deepEqual(updated.body.lesson.tags, ["renamed"]);
+
+  const learner = await createLearner(api);
+  await api.call("submitAttempt", {
+    status: 200,
+    token: learner.token,
+    body: { user_id: learner.learnerId, lesson_id: lessons[1].id, attempt_type: "quiz", score: 1, max_score: 10 }
+  });
+  await api.call("deleteLesson", { admin: true, status: 409, params: { id: lessons[1].id } });
+  await api.call("deleteLesson", { admin: true, status: 200, params: { id: lessons[1].id }, query: { force: true } });
+  await api.call("deleteLesson", { admin: true, status: 404, params: { id: lessons[1].id } });
+  await api.call("deleteLesson", { admin: true, status: 400, params: { id: "nope" } });
+
+  const exported = await api.call("exportTrackBundle", { admin: true, status: 200, params: { slug: "lesson-edits" } });
+  assert.deepEqual(
+    exported.body.lessons.map((lesson) => [lesson.lesson_order, lesson.title]),
+    [
+      [1, "Renamed lesson"],
+      [2, "Lesson 3"]
+    ]
+  );
+});
+
+test("reorder keeps live learners on their current lesson", async () => {
+  const lessons = await seedTrack("reorder-track", 3);
+  const learner = await createLearner(api);
+  await api.call("getNextLesson", {
+    status: 200,
+    token: learner.token,
+    query: { track: "reorder-track", learner_id: learner.learnerId }
+  });
+  await api.call("submitAttempt", {
+    status: 200,
+    token: learner.token,
+    body: { user_id: learner.learnerId, lesson_id: lessons[0].id, attempt_type: "quiz", score: 9, max_score: 10 }
+  });
+
+  await api.call("reorderLessons", { admin: true, status: 400, params: { slug: "reorder-track" }, body: { lesson_ids: [lessons[0].id] } });
+  await api.call("reorderLessons", { admin: true, status: 404, params: { slug: "nope" }, body: { lesson_ids: [lessons[0].id] } });
+
+  const reordered = await api.call("reorderLessons", {
+    admin: true,
+    status: 200,
+    params: { slug: "reorder-track" },
+    body: { lesson_ids: [lessons[1].id, lessons[2].id, lessons[0].id] }
+  });
+  assert.equal(reordered.body.learners_updated, 1);
+
+  const next = await api.call("getNextLesson", {
+    status: 200,
+    token: learner.token,
+    query: { track: "reorder-track", learner_id: learner.learnerId }
+  });
+  assert.equal(next.body.next_lesson.id, lessons[1].id);
+});
+
+test("publishing pins learners and versions can be listed and fetched", async () => {
+  await seedTrack("versioned", 2);
+  await api.call("publishTrack", { admin: true, status: 404, params: { slug: "nope" }, body: {} });
+
+  const published = await api.call("publishTrack", {
+    admin: true,
+    status: 201,
+    params: { slug: "versioned" },
+    body: { notes: "First cut" }
+  });
+  assert.equal(published.body.version, 1);
+  assert.equal(published.body.lesson_count, 2);
+
+  const versions = await api.call("listTrackVersions", { admin: true, status: 200, params: { slug: "versioned" } });
+  assert.deepEqual(
+    versions.body.versions.map((version) => version.version),
+    [1]
+  );
+  await api.call("listTrackVersions", { admin: true, status: 404, params: { slug: "nope" } });
+
+  const version = await api.call("getTrackVersion", { admin: true, status: 200, params: { slug: "versioned", version: 1 } });
+  assert.equal(version.body.snapshot.lessons.length, 2);
+  await api.call("getTrackVersion", { admin: true, status: 400, params: { slug: "versioned", version: "zero" } });
+  await api.call("getTrackVersion", { admin: true, status: 404, params: { slug: "versioned", version: 9 } });
+});
+
+test("mastery policies can be set and cleared on tracks and lessons", async () => {
+  const lessons = await seedTrack("policy-track", 1);
+
+  const trackPolicy = await api.call("setTrackMasteryPolicy", {
+    admin: true,
+    status: 200,
+    params: { slug: "policy-track" },
+    body: { mastery_policy: { thresholds: { quiz: 90 }, required_passes: 2 } }
+  });
+  assert.equal(trackPolicy.body.effective_policy.policy.thresholds.quiz, 90);
+  await api.call("setTrackMasteryPolicy", {
+    admin: true,
+    status: 400,
+    params: { slug: "policy-track" },
+    body: { mastery_policy: { required_passes: 0 } }
+  });
+  await api.call("setTrackMasteryPolicy", { admin: true, status: 404, params: { slug: "nope" }, body: { mastery_policy: null } });
+
+  const lessonPolicy = await api.call("setLessonMasteryPolicy", {
+    admin: true,
+    status: 200,
+    params: { id: lessons[0].id },
+    body: { mastery_policy: { require_project: true } }
+  });
+  assert.equal(lessonPolicy.body.effective_policy.source, "lesson");
+  await api.call("setLessonMasteryPolicy", { admin: true, status: 400, params: { id: "nope" }, body: { mastery_policy: null } });
+  await api.call("setLessonMasteryPolicy", {
+    admin: true,
+    status: 404,
+    params: { id: "00000000-0000-4000-8000-000000000000" },
+    body: { mastery_policy: null }
+  });
+});
+
+test("track bundles round-trip through export and import", async () => {
+  await seedTrack("bundle-source", 2, {
+    1: {
+      quiz_items: [{ item_type: "short_answer", prompt: "Say hi", accepted_answers: ["hi"] }]
+    },
+    2: { prerequisites: [{ lesson_order: 1 }], mastery_policy: { required_passes: 2 } }
+  });
+
+  await api.call("exportTrackBundle", { admin: true, status: 400, params: { slug: "bundle-source" }, query: { format: "xml" } });
+  await api.call("exportTrackBundle", { admin: true, status: 404, params: { slug: "nope" } });
+
+  const yamlExport = await api.call("exportTrackBundle", {
+    admin: true,
+    status: 200,
+    params: { slug: "bundle-source" },
+    query: { format: "yaml" }
+  });
+  assert.match(yamlExport.headers.get("content-type"), /application\/yaml/);
+  const bundle = YAML.parse(yamlExport.body);
+  assert.deepEqual(bundle.lessons[1].prerequisites, [{ lesson_order: 1 }]);
+  assert.deepEqual(bundle.lessons[0].quiz_items[0].accepted_answers, ["hi"]);
+
+  bundle.track.slug = "bundle-copy";
+  const dryRun = await api.call("importTrackBundle", {
+    admin: true,
+    status: 200,
+    query: { dry_run: true },
+    rawBody: YAML.stringify(bundle),
+    contentType: "application/yaml"
+  });
+  assert.equal(dryRun.body.diff.track.created, true);
+  await api.call("exportTrackBundle", { admin: true, status: 404, params: { slug: "bundle-copy" } });
+
+  const imported = await api.call("importTrackBundle", { admin: true, status: 201, body: bundle });
+  assert.equal(imported.body.inserted, 2);
+  assert.equal(imported.body.quiz_items, 1);
+
+  const unchanged = await api.call("importTrackBundle", { admin: true, status: 200, body: bundle });
+  assert.deepEqual(unchanged.body.diff.lessons, { added: [], removed: [], changed: [] });
+
+  await api.call("importTrackBundle", { admin: true, status: 400, body: { format: "something-else" } });
+  await api.call("importTrackBundle", { status: 401, body: bundle });
+
+  // Pruning a lesson that has attempts is refused
+  const copy = await api.call("exportTrackBundle", { admin: true, status: 200, params: { slug: "bundle-copy" } });
+  const learner = await createLearner(api);
+  await api.call("submitAttempt", {
+    status: 200,
+    token: learner.token,
+    body: {
+      user_id: learner.learnerId,
+      lesson_id: (await api.call("getNextLesson", {
+        status: 200,
+        token: learner.token,
+        query: { track: "bundle-copy", learner_id: learner.learnerId }
+      })).body.next_lesson.id,
+      attempt_type: "challenge",
+      score: 5,
+      max_score: 10
+    }
+  });
+  const pruned = await api.call("importTrackBundle", {
+    admin: true,
+    status: 409,
+    query: { prune: true },
+    body: { ...copy.body, lessons: copy.body.lessons.slice(1).map((lesson) => ({ ...lesson, prerequisites: [] })) }
+  });
+  assert.deepEqual(pruned.body.lesson_orders, [1]);
+});
+
+test("lesson content blocks are versioned, cited and rendered", async () => {
+  await api.call("ensureTrack", {
+    admin: true,
+    body: {
+      slug: "content",
+      title: "Content",
+      track_type: "official",
+      status: "active",
+      official_sources: ["https://docs.example.com/guide"]
+    }
+  });
+  const blocks = [
+    {
+      type: "markdown",
+      markdown: "## Loops\n\nUse `for` to repeat. See [the guide](https://docs.example.com/guide).\n\n<script>x</script>",
+      citations: ["https://docs.example.com/guide#loops"]
+    },
+    { type: "code", language: "js", code: "for (let i = 0; i < 3; i++) {}", citations: ["https://example.com/lesson"] },
+    { type: "exercise", prompt: "Print **three** lines.", citations: ["https://docs.example.com/guide"] },
+    { type: "hint", markdown: "- start at 0\n- stop before 3", citations: ["https://example.com/lesson"] }
+  ];
+  const lesson = (content_blocks) => ({
+    lesson_order: 1,
+    title: "Loops",
+    source_urls: ["https://example.com/lesson"],
+    content_blocks
+  });
+
+  const undeclared = await api.call("seedLessons", {
+    admin: true,
+    status: 400,
+    body: {
+      track_slug: "content",
+      lessons: [lesson([{ type: "hint", markdown: "Try again", citations: ["https://elsewhere.example.com/"] }])]
+    }
+  });
+  assert.deepEqual(undeclared.body.undeclared, [{ lesson_order: 1, block: 0, url: "https://elsewhere.example.com/" }]);
+  await api.call("seedLessons", {
+    admin: true,
+    status: 400,
+    body: { track_slug: "content", lessons: [lesson([{ type: "code", code: "x", citations: ["https://example.com/lesson"] }])] }
+  });
+
+  const seeded = await api.call("seedLessons", {
+    admin: true,
+    status: 200,
+    body: { track_slug: "content", lessons: [lesson(blocks), { lesson_order: 2, title: "No content yet" }] }
+  });
+  assert.equal(seeded.body.content_versions, 1);
+  await api.call("publishTrack", { admin: true, status: 201, params: { slug: "content" }, body: {} });
+
+  const pinned = await createLearner(api);
+  const next = await api.call("getNextLesson", {
+    status: 200,
+    token: pinned.token,
+    query: { track: "content", learner_id: pinned.learnerId }
+  });
+  const { content } = next.body.next_lesson;
+  assert.equal(content.version, 1);
+  assert.equal(
+    content.blocks[0].html,
+    '<h2>Loops</h2>\n<p>Use <code>for</code> to repeat. See <a href="https://docs.example.com/guide">the guide</a>.</p>\n<p>&lt;script&gt;x&lt;/script&gt;</p>'
+  );
+  assert.equal(content.blocks[1].html, '<pre><code class="language-js">for (let i = 0; i &lt; 3; i++) {}</code></pre>');
+  assert.equal(content.blocks[2].html, "<p>Print <strong>three</strong> lines.</p>");
+  assert.equal(content.blocks[3].html, "<ul><li>start at 0</li><li>stop before 3</li></ul>");
+  assert.ok(!("content_version" in next.body.available_lessons[0]));
+
+  // The same blocks again keep the version; changed blocks add one
+  const same = await api.call("seedLessons", {
+    admin: true,
+    status: 200,
+    body: { track_slug: "content", lessons: [lesson(blocks)] }
+  });
+  assert.equal(same.body.content_versions, 0);
+  const changed = await api.call("seedLessons", {
+    admin: true,
+    status: 200,
+    body: { track_slug: "content", lessons: [lesson(blocks.slice(1))] }
+  });
+  assert.equal(changed.body.content_versions, 1);
+
+  // The pinned learner keeps version 1 until they upgrade to a version published after the change
+  const stillPinned = await api.call("getNextLesson", {
+    status: 200,
+    token: pinned.token,
+    query: { track: "content", learner_id: pinned.learnerId }
+  });
+  assert.equal(stillPinned.body.next_lesson.content.version, 1);
+  await api.call("publishTrack", { admin: true, status: 201, params: { slug: "content" }, body: {} });
+  await api.call("upgradeTrackVersion", {
+    status: 200,
+    token: pinned.token,
+    params: { slug: "content" },
+    query: { learner_id: pinned.learnerId }
+  });
+  const upgraded = await api.call("getNextLesson", {
+    status: 200,
+    token: pinned.token,
+    query: { track: "content", learner_id: pinned.learnerId }
+  });
+  assert.equal(upgraded.body.next_lesson.content.version, 2);
+  assert.equal(upgraded.body.next_lesson.content.blocks.length, 3);
+
+  const exported = await api.call("exportTrackBundle", { admin: true, status: 200, params: { slug: "content" } });
+  assert.deepEqual(exported.body.lessons[0].content_blocks, blocks.slice(1));
+  assert.deepEqual(exported.body.lessons[1].content_blocks, []);
+});
+
+test("internal routes reject a missing admin key", async () => {
+  const id = "00000000-0000-4000-8000-000000000000";
+
+  await api.call("seedLessons", { status: 401, body: { track_slug: "rust", lessons: [] } });
+  await api.call("updateTrack", { status: 401, params: { slug: "rust" }, body: { title: "Nope" } });
+  await api.call("reorderLessons", { status: 401, params: { slug: "rust" }, body: { lesson_ids: [id] } });
+  await api.call("publishTrack", { status: 401, params: { slug: "rust" }, body: {} });
+  await api.call("listTrackVersions", { status: 401, params: { slug: "rust" } });
+  await api.call("getTrackVersion", { status: 401, params: { slug: "rust", version: 1 } });
+  await api.call("exportTrackBundle", { status: 401, params: { slug: "rust" } });
+  await api.call("updateLesson", { status: 401, params: { id }, body: { title: "Nope" } });
+  await api.call("deleteLesson", { status: 401, params: { id } });
+  await api.call("setTrackMasteryPolicy", { status: 401, params: { slug: "rust" }, body: { mastery_policy: null } });
+  await api.call("setLessonMasteryPolicy", { status: 401, params: { id }, body: { mastery_policy: null } });
+  await api.call("promoteTrack", { status: 401, params: { slug: "rust" } });
+});
+
+test("learners author private custom tracks and publish them", async () => {
+  const author = await createLearner(api);
+  const stranger = await createLearner(api);
+  const asAuthor = { token: author.token, query: { learner_id: author.learnerId } };
+
+  await api.call("createLearnerTrack", { status: 400, body: { slug: "my-go", title: "My Go" } });
+  await api.call("createLearnerTrack", {
+    status: 401,
+    query: { learner_id: author.learnerId },
+    body: { slug: "my-go", title: "My Go" }
+  });
+  const created = await api.call("createLearnerTrack", {
+    ...asAuthor,
+    status: 201,
+    body: { slug: "My-Go", title: "My Go" }
+  });
+  assert.deepEqual(
+    [created.body.track.slug, created.body.track.track_type, created.body.track.status, created.body.track.owner_user_id],
+    ["my-go", "custom", "draft", author.learnerId]
+  );
+  await api.call("createLearnerTrack", { ...asAuthor, status: 409, body: { slug: "rust", title: "Rust" } });
+
+  // Nothing to publish yet, and nobody else can touch or see the draft
+  await api.call("publishLearnerTrack", { ...asAuthor, status: 409, params: { slug: "my-go" } });
+  await api.call("publishLearnerTrack", { status: 400, params: { slug: "my-go" } });
+  await api.call("publishLearnerTrack", { status: 401, params: { slug: "my-go" }, query: { learner_id: author.learnerId } });
+  await api.call("publishLearnerTrack", {
+    status: 404,
+    token: stranger.token,
+    params: { slug: "my-go" },
+    query: { learner_id: stranger.learnerId }
+  });
+
+  await api.call("saveLearnerTrackLessons", { ...asAuthor, status: 400, params: { slug: "my-go" }, body: { lessons: [] } });
+  await api.call("saveLearnerTrackLessons", {
+    status: 401,
+    params: { slug: "my-go" },
+    query: { learner_id: author.learnerId },
+    body: { lessons: [{ lesson_order: 1, title: "Hello" }] }
+  });
+  await api.call("saveLearnerTrackLessons", {
+    status: 404,
+    token: stranger.token,
+    params: { slug: "my-go" },
+    query: { learner_id: stranger.learnerId },
+    body: { lessons: [{ lesson_order: 1, title: "Hello" }] }
+  });
+  const saved = await api.call("saveLearnerTrackLessons", {
+    ...asAuthor,
+    status: 200,
+    params: { slug: "my-go" },
+    body: {
+      lessons: [
+        { lesson_order: 1, title: "Hello", tags: ["basics"] },
+        { lesson_order: 2, title: "Goroutines", prerequisites: [{ lesson_order: 1 }] }
+      ]
+    }
+  });
+  assert.equal(saved.body.prerequisite_edges, 1);
+
+  // A stranger's draft can't be used as a prerequisite
+  await api.call("createLearnerTrack", {
+    status: 201,
+    token: stranger.token,
+    query: { learner_id: stranger.learnerId },
+    body: { slug: "secret-notes", title: "Secret notes" }
+  });
+  const hidden = await api.call("saveLearnerTrackLessons", {
+    ...asAuthor,
+    status: 400,
+    params: { slug: "my-go" },
+    body: { lessons: [{ lesson_order: 3, title: "Extra", prerequisites: [{ track_slug: "secret-notes", lesson_order: 1 }] }] }
+  });
+  assert.deepEqual(hidden.body.missing, ["secret-notes"]);
+
+  await api.call("getNextLesson", {
+    status: 404,
+    token: stranger.token,
+    query: { track: "my-go", learner_id: stranger.learnerId }
+  });
+  await api.call("getLessonQuiz", { status: 404, params: { id: saved.body.lessons[0].id } });
+  await api.call("getLessonQuiz", {
+    status: 401,
+    params: { id: saved.body.lessons[0].id },
+    query: { learner_id: author.learnerId }
+  });
+  await api.call("getLessonQuiz", { ...asAuthor, status: 200, params: { id: saved.body.lessons[0].id } });
+  const own = await api.call("getNextLesson", {
+    status: 200,
+    token: author.token,
+    query: { track: "my-go", learner_id: author.learnerId }
+  });
+  assert.equal(own.body.next_lesson.title, "Hello");
+
+  const mine = await api.call("listTracks", { ...asAuthor, status: 200, query: { visibility: "mine", learner_id: author.learnerId } });
+  assert.deepEqual(
+    mine.body.tracks.map((track) => [track.slug, track.visibility, track.is_mine, track.owner_user_id]),
+    [["my-go", "private", true, undefined]]
+  );
+  await api.call("listTracks", { status: 400, query: { visibility: "mine" } });
+  await api.call("listTracks", { status: 400, query: { status: "draft" } });
+  await api.call("listTracks", { status: 401, query: { visibility: "all" } });
+
+  const published = await api.call("publishLearnerTrack", { ...asAuthor, status: 200, params: { slug: "my-go" } });
+  assert.equal(published.body.track.status, "active");
+  const listed = await api.call("listTracks", { status: 200, query: { track_type: "custom" } });
+  const listedMyGo = listed.body.tracks.find((track) => track.slug === "my-go");
+  assert.equal(listedMyGo.visibility, "public");
+  // The author's Learner ID stays out of public listings; learners only see whether a track is theirs
+  assert.ok(listed.body.tracks.every((track) => !("owner_user_id" in track) && !("is_mine" in track)));
+  const strangerList = await api.call("listTracks", {
+    token: stranger.token,
+    status: 200,
+    query: { track_type: "custom", learner_id: stranger.learnerId }
+  });
+  assert.equal(strangerList.body.tracks.find((track) => track.slug === "my-go").is_mine, false);
+  const authorList = await api.call("listTracks", {
+    token: author.token,
+    status: 200,
+    query: { track_type: "custom", learner_id: author.learnerId }
+  });
+  assert.equal(authorList.body.tracks.find((track) => track.slug === "my-go").is_mine, true);
+  assert.ok(authorList.body.tracks.every((track) => !("owner_user_id" in track)));
+  await api.call("listTracks", { status: 401, query: { learner_id: author.learnerId } });
+  const adminList = await api.call("listTracks", { admin: true, status: 200, query: { visibility: "all" } });
+  assert.equal(adminList.body.tracks.find((track) => track.slug === "my-go").owner_user_id, author.learnerId);
+  await api.call("getNextLesson", {
+    status: 200,
+    token: stranger.token,
+    query: { track: "my-go", learner_id: stranger.learnerId }
+  });
+
+  await api.call("updateLearnerTrack", { ...asAuthor, status: 400, params: { slug: "my-go" }, body: {} });
+  await api.call("updateLearnerTrack", {
+    status: 401,
+    params: { slug: "my-go" },
+    query: { learner_id: author.learnerId },
+    body: { title: "Go" }
+  });
+  await api.call("updateLearnerTrack", { ...asAuthor, status: 404, params: { slug: "rust" }, body: { title: "Mine now" } });
+  const archived = await api.call("updateLearnerTrack", {
+    ...asAuthor,
+    status: 200,
+    params: { slug: "my-go" },
+    body: { title: "Go for learners", status: "archived" }
+  });
+  assert.equal(archived.body.track.status, "archived");
+
+  // Promotion needs a published track and hands editing over to admins
+  await api.call("promoteTrack", { admin: true, status: 404, params: { slug: "missing" } });
+  await api.call("promoteTrack", { admin: true, status: 409, params: { slug: "my-go" } });
+  await api.call("publishLearnerTrack", { ...asAuthor, status: 200, params: { slug: "my-go" } });
+  const promoted = await api.call("promoteTrack", { admin: true, status: 200, params: { slug: "my-go" } });
+  assert.equal(promoted.body.track.track_type, "official");
+  assert.equal(promoted.body.track.owner_user_id, author.learnerId);
+  await api.call("promoteTrack", { admin: true, status: 409, params: { slug: "my-go" } });
+  await api.call("updateLearnerTrack", { ...asAuthor, status: 404, params: { slug: "my-go" }, body: { title: "Back" } });
+});
+
+test("GET /v1/tracks searches titles, objectives and tags and pages with a cursor", async () => {
+  const catalog = [
+    ["search-rust", "Rustacean ownership", { title: "Borrowing and lifetimes", tags: ["memory"], objectives: ["Explain the borrow checker"] }],
+    ["search-async", "Async Rustacean", { title: "Futures", tags: ["concurrency"], objectives: ["Poll a future"] }],
+    ["search-go", "Go basics", { title: "Gophers and goroutines", tags: ["concurrency", "memory"], objectives: ["Use channels"] }]
+  ];
+  for (const [slug, title, lesson] of catalog) {
+    await api.call("ensureTrack", { admin: true, body: { slug, title, track_type: "official", status: "active" } });
+    await api.call("seedLessons", { admin: true, status: 200, body: { track_slug: slug, lessons: [{ lesson_order: 1, ...lesson }] } });
+  }
+  const slugsFor = async (query) =>
+    (await api.call("listTracks", { status: 200, query: { limit: 100, ...query } })).body.tracks.map((track) => track.slug);
+
+  assert.deepEqual((await slugsFor({ q: "rustacean" })).sort(), ["search-async", "search-rust"]);
+  assert.deepEqual(await slugsFor({ q: "borrow checker" }), ["search-rust"]);
+  assert.deepEqual(await slugsFor({ q: "gophers" }), ["search-go"]);
+  assert.deepEqual(await slugsFor({ q: "rustacean", tag: "concurrency" }), ["search-async"]);
+  assert.deepEqual(await slugsFor({ tag: "memory", track_type: "official" }), ["search-go", "search-rust"]);
+
+  // The index follows lesson edits
+  await api.call("seedLessons", {
+    admin: true,
+    status: 200,
+    body: { track_slug: "search-go", lessons: [{ lesson_order: 2, title: "Multiplexing with select" }] }
+  });
+  assert.deepEqual(await slugsFor({ q: "multiplexing" }), ["search-go"]);
+
+  const first = await api.call("listTracks", { status: 200, query: { q: "rustacean", limit: 1 } });
+  assert.equal(first.body.tracks.length, 1);
+  assert.equal(first.body.tracks[0].lesson_count, 1);
+  assert.ok(first.body.next_cursor);
+  const second = await api.call("listTracks", { status: 200, query: { q: "rustacean", limit: 1, cursor: first.body.next_cursor } });
+  assert.equal(second.body.tracks.length, 1);
+  assert.notEqual(second.body.tracks[0].slug, first.body.tracks[0].slug);
+  assert.equal(second.body.next_cursor, null);
+
+  // Walking the title-ordered listing two at a time visits every track once
+  const everything = await slugsFor({});
+  const walked = [];
+  let cursor;
+  do {
+    const page = await api.call("listTracks", { status: 200, query: { limit: 2, ...(cursor ? { cursor } : {}) } });
+    walked.push(...page.body.tracks.map((track) => track.slug));
+    cursor = page.body.next_cursor;
+  } while (cursor);
+  assert.deepEqual(walked, everything);
+
+  await api.call("listTracks", { status: 400, query: { q: "go", cursor: first.body.next_cursor } });
+  await api.call("listTracks", { status: 400, query: { cursor: "not-a-cursor" } });
+  await api.call("listTracks", { status: 400, query: { limit: 0 } });
+});
+
+test("GET /v1/tracks/:slug returns the lesson outline and learner progress", async () => {
+  const lessons = await seedTrack("detail-track", 3, { 2: { prerequisites: [{ lesson_order: 1 }] } });
+  const learner = await createLearner(api);
+  const asLearner = { token: learner.token, query: { learner_id: learner.learnerId } };
+
+  const anonymous = await api.call("getTrack", { status: 200, params: { slug: "Detail-Track" } });
+  assert.equal(anonymous.body.track.lesson_count, 3);
+  assert.equal(anonymous.body.progress, null);
+  assert.deepEqual(anonymous.body.lessons[1].prerequisites, [{ track_slug: "detail-track", lesson_order: 1 }]);
+  assert.ok(anonymous.body.lessons.every((lesson) => lesson.completed === null));
+  assert.ok(!("owner_user_id" in anonymous.body.track) && !("is_mine" in anonymous.body.track));
+
+  await api.call("getTrack", { status: 404, params: { slug: "no-such-track" } });
+  await api.call("getTrack", { status: 400, params: { slug: "detail-track" }, query: { learner_id: "nope" } });
+  await api.call("getTrack", { status: 401, params: { slug: "detail-track" }, query: { learner_id: learner.learnerId } });
+
+  const notStarted = await api.call("getTrack", { ...asLearner, status: 200, params: { slug: "detail-track" } });
+  assert.deepEqual(notStarted.body.progress, {
+    started: false,
+    current_lesson_order: null,
+    last_seen: null,
+    track_version: null,
+    total_lessons: 3,
+    completed_lessons: 0,
+    completion_pct: 0
+  });
+  assert.equal(notStarted.body.track.is_mine, false);
+  assert.ok(!("owner_user_id" in notStarted.body.track));
+
+  await api.call("getNextLesson", {
+    status: 200,
+    token: learner.token,
+    query: { track: "detail-track", learner_id: learner.learnerId }
+  });
+  await api.call("submitAttempt", {
+    status: 200,
+    token: learner.token,
+    body: { user_id: learner.learnerId, lesson_id: lessons[0].id, attempt_type: "challenge", score: 9, max_score: 10 }
+  });
+  const started = await api.call("getTrack", { ...asLearner, status: 200, params: { slug: "detail-track" } });
+  assert.equal(started.body.progress.started, true);
+  assert.equal(started.body.progress.current_lesson_order, 2);
+  assert.equal(started.body.progress.completed_lessons, 1);
+  assert.equal(started.body.progress.completion_pct, 33.3);
+  assert.deepEqual(
+    started.body.lessons.map((lesson) => lesson.completed),
+    [true, false, false]
+  );
+
+  // Skipping ahead to the last lesson moves current_lesson_order past lesson 2 without mastering it
+  await api.call("submitAttempt", {
+    status: 200,
+    token: learner.token,
+    body: { user_id: learner.learnerId, lesson_id: lessons[2].id, attempt_type: "challenge", score: 10, max_score: 10 }
+  });
+  const skipped = await api.call("getTrack", { ...asLearner, status: 200, params: { slug: "detail-track" } });
+  assert.equal(skipped.body.progress.current_lesson_order, 4);
+  assert.equal(skipped.body.progress.completed_lessons, 2);
+  assert.deepEqual(
+    skipped.body.lessons.map((lesson) => lesson.completed),
+    [true, false, true]
+  );
+
+  // Drafts are only visible to their owner
+  await api.call("createLearnerTrack", {
+    ...asLearner,
+    status: 201,
+    body: { slug: "detail-draft", title: "Detail draft" }
+  });
+  await api.call("getTrack", { status: 404, params: { slug: "detail-draft" } });
+  const ownDraft = await api.call("getTrack", { ...asLearner, status: 200, params: { slug: "detail-draft" } });
+  assert.equal(ownDraft.body.track.is_mine, true);
+  assert.ok(!("owner_user_id" in ownDraft.body.track));
+
+  // Only admins see who owns a track
+  const asAdmin = await api.call("getTrack", { admin: true, status: 200, params: { slug: "detail-draft" } });
+  assert.equal(asAdmin.body.track.owner_user_id, learner.learnerId);
+  assert.ok(!("is_mine" in asAdmin.body.track));
+});
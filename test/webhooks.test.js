@@ -0,0 +1,314 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const { once } = require("node:events");
+const { startTestApp, createLearner } = require("./support/api");
+const webhooks = require("../src/webhooks");
+const logger = require("../src/logger");
+
+const SECRET = "receiver-secret-0123456789";
+
+let ctx;
+let api;
+let receiver;
+let lessons;
+
+// Local stand-in for a subscriber: records every request and answers with
+// receiver.status
+async function startReceiver() {
+  const state = { requests: [], status: 200 };
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      state.requests.push({ headers: req.headers, body });
+      res.writeHead(state.status).end();
+    });
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  state.url = `http://127.0.0.1:${server.address().port}/hooks`;
+  state.close = () => server.close();
+  return state;
+}
+
+before(async () => {
+  ctx = await startTestApp();
+  api = ctx.api;
+  receiver = await startReceiver();
+
+  await api.call("ensureTrack", {
+    admin: true,
+    body: { slug: "sql", title: "SQL", track_type: "official", status: "active" }
+  });
+  const seeded = await api.call("seedLessons", {
+    admin: true,
+    status: 200,
+    body: {
+      track_slug: "sql",
+      lessons: [
+        { lesson_order: 1, title: "SELECT", tags: ["select"] },
+        { lesson_order: 2, title: "JOIN", tags: ["join"] }
+      ]
+    }
+  });
+  lessons = seeded.body.lessons;
+});
+
+after(async () => {
+  receiver.close();
+  await ctx.stop();
+});
+
+async function submit(learner, lessonId, score) {
+  return api.call("submitAttempt", {
+    status: 200,
+    token: learner.token,
+    body: { user_id: learner.learnerId, lesson_id: lessonId, attempt_type: "challenge", score, max_score: 10 }
+  });
+}
+
+test("admins register, list, update and delete webhooks", async () => {
+  const id = "00000000-0000-4000-8000-000000000000";
+  await api.call("createWebhook", { status: 401, body: { url: receiver.url, events: ["attempt.submitted"] } });
+  await api.call("listWebhooks", { status: 401 });
+  await api.call("updateWebhook", { status: 401, params: { id }, body: { active: false } });
+  await api.call("deleteWebhook", { status: 401, params: { id } });
+  await api.call("listWebhookDeliveries", { status: 401, params: { id } });
+  await api.call("retryWebhookDelivery", { status: 401, params: { id, delivery_id: id } });
+
+  await api.call("createWebhook", { admin: true, status: 400, body: { url: "ftp://example.com", events: ["attempt.submitted"] } });
+  await api.call("createWebhook", { admin: true, status: 400, body: { url: receiver.url, events: ["lesson.deleted"] } });
+  const created = await api.call("createWebhook", {
+    admin: true,
+    status: 201,
+    body: { url: "https://example.com/hooks", events: ["track.completed"], description: "CRM" }
+  });
+  assert.match(created.body.secret, /^whsec_/);
+  const webhookId = created.body.webhook.id;
+
+  await api.call("updateWebhook", { admin: true, status: 400, params: { id: webhookId }, body: {} });
+  await api.call("updateWebhook", { admin: true, status: 404, params: { id }, body: { active: false } });
+  const paused = await api.call("updateWebhook", {
+    admin: true,
+    status: 200,
+    params: { id: webhookId },
+    body: { active: false, description: null }
+  });
+  assert.equal(paused.body.webhook.active, false);
+  assert.equal(paused.body.webhook.description, null);
+
+  const listed = await api.call("listWebhooks", { admin: true, status: 200 });
+  const entry = listed.body.webhooks.find((webhook) => webhook.id === webhookId);
+  assert.equal(entry.pending_deliveries, 0);
+  assert.ok(!("secret" in entry));
+
+  await api.call("listWebhookDeliveries", { admin: true, status: 400, params: { id: "nope" } });
+  await api.call("listWebhookDeliveries", { admin: true, status: 404, params: { id } });
+  await api.call("deleteWebhook", { admin: true, status: 400, params: { id: "nope" } });
+  await api.call("deleteWebhook", { admin: true, status: 200, params: { id: webhookId } });
+  await api.call("deleteWebhook", { admin: true, status: 404, params: { id: webhookId } });
+});
+
+test("learning events are signed, delivered and retried with backoff", async () => {
+  const created = await api.call("createWebhook", {
+    admin: true,
+    status: 201,
+    body: { url: receiver.url, events: webhooks.EVENT_TYPES, secret: SECRET }
+  });
+  const webhookId = created.body.webhook.id;
+  const learner = await createLearner(api);
+  await api.call("getNextLesson", { status: 200, token: learner.token, query: { track: "sql", learner_id: learner.learnerId } });
+
+  await submit(learner, lessons[0].id, 9);
+  await submit(learner, lessons[0].id, 10);
+  await submit(learner, lessons[1].id, 8);
+
+  assert.deepEqual(await webhooks.dispatchDue(ctx.db), { delivered: 6, retrying: 0, failed: 0 });
+  const events = receiver.requests.map((request) => JSON.parse(request.body));
+  // Lesson and track events fire once, even though lesson 1 was mastered twice
+  assert.deepEqual(
+    events.map((event) => event.type).sort(),
+    [
+      "attempt.submitted",
+      "attempt.submitted",
+      "attempt.submitted",
+      "lesson.advanced",
+      "lesson.advanced",
+      "track.completed"
+    ]
+  );
+  const completed = events.find((event) => event.type === "track.completed");
+  const certificates = await api.call("listMyCertificates", {
+    status: 200,
+    token: learner.token,
+    query: { learner_id: learner.learnerId }
+  });
+  assert.deepEqual(completed.data, {
+    learner_hash: logger.hashLearnerId(learner.learnerId),
+    track_slug: "sql",
+    certificate_id: certificates.body.certificates[0].id
+  });
+  for (const request of receiver.requests) {
+    // Receivers never see the Learner ID, which is the learner's only credential besides the token
+    assert.ok(!request.body.includes(learner.learnerId));
+    const timestamp = request.headers["x-webhook-timestamp"];
+    assert.ok(webhooks.verifySignature(SECRET, timestamp, request.body, request.headers["x-webhook-signature"]));
+    assert.ok(!webhooks.verifySignature("wrong-secret-0123456789", timestamp, request.body, request.headers["x-webhook-signature"]));
+  }
+
+  // A failing receiver is retried with backoff, then given up on
+  receiver.status = 500;
+  await submit(learner, lessons[1].id, 2);
+  assert.deepEqual(await webhooks.dispatchDue(ctx.db), { delivered: 0, retrying: 1, failed: 0 });
+  const pending = await api.call("listWebhookDeliveries", {
+    admin: true,
+    status: 200,
+    params: { id: webhookId },
+    query: { status: "pending" }
+  });
+  const [delivery] = pending.body.deliveries;
+  assert.deepEqual([delivery.attempts, delivery.last_status_code, delivery.last_error], [1, 500, "HTTP 500"]);
+  const delaySec = (Date.parse(delivery.next_attempt_at) - Date.parse(delivery.last_attempt_at)) / 1000;
+  assert.ok(delaySec >= 29 && delaySec <= 31, `retry delay was ${delaySec}s`);
+  assert.deepEqual(await webhooks.dispatchDue(ctx.db), { delivered: 0, retrying: 0, failed: 0 });
+
+  await ctx.db.query(`UPDATE webhook_deliveries SET attempts = $2, next_attempt_at = now() WHERE id = $1`, [
+    delivery.id,
+    webhooks.MAX_ATTEMPTS - 1
+  ]);
+  assert.deepEqual(await webhooks.dispatchDue(ctx.db), { delivered: 0, retrying: 0, failed: 1 });
+
+  await api.call("retryWebhookDelivery", {
+    admin: true,
+    status: 400,
+    params: { id: webhookId, delivery_id: "nope" }
+  });
+  await api.call("retryWebhookDelivery", {
+    admin: true,
+    status: 404,
+    params: { id: webhookId, delivery_id: webhookId }
+  });
+  const retried = await api.call("retryWebhookDelivery", {
+    admin: true,
+    status: 200,
+    params: { id: webhookId, delivery_id: delivery.id }
+  });
+  assert.deepEqual([retried.body.delivery.status, retried.body.delivery.attempts], ["pending", 0]);
+  await api.call("retryWebhookDelivery", {
+    admin: true,
+    status: 409,
+    params: { id: webhookId, delivery_id: delivery.id }
+  });
+
+  receiver.status = 204;
+  assert.deepEqual(await webhooks.dispatchDue(ctx.db), { delivered: 1, retrying: 0, failed: 0 });
+  const history = await api.call("listWebhookDeliveries", { admin: true, status: 200, params: { id: webhookId } });
+  assert.equal(history.body.deliveries.length, 7);
+  assert.ok(history.body.deliveries.every((entry) => entry.status === "delivered" && entry.next_attempt_at === null));
+
+  await api.call("deleteWebhook", { admin: true, status: 200, params: { id: webhookId } });
+});
+
+test("a lost streak is reported once, on the learner's first attempt after it ended", async () => {
+  const created = await api.call("createWebhook", {
+    admin: true,
+    status: 201,
+    body: { url: receiver.url, events: ["streak.broken"], secret: SECRET }
+  });
+  const learner = await createLearner(api);
+  await api.call("getNextLesson", { status: 200, token: learner.token, query: { track: "sql", learner_id: learner.learnerId } });
+
+  // A two-day streak that ended four days ago
+  for (const daysAgo of [5, 4]) {
+    await ctx.db.query(
+      `INSERT INTO attempts (user_id, lesson_id, attempt_type, score, max_score, created_at)
+       VALUES ($1, $2, 'challenge', 1, 10, now() - make_interval(days => $3))`,
+      [learner.learnerId, lessons[0].id, daysAgo]
+    );
+  }
+
+  receiver.requests.length = 0;
+  receiver.status = 200;
+  await submit(learner, lessons[0].id, 3);
+  await submit(learner, lessons[0].id, 4);
+  await webhooks.dispatchDue(ctx.db);
+
+  const events = receiver.requests.map((request) => JSON.parse(request.body));
+  assert.equal(events.length, 1);
+  assert.equal(events[0].type, "streak.broken");
+  assert.equal(events[0].data.learner_hash, logger.hashLearnerId(learner.learnerId));
+  assert.equal(events[0].data.streak_length, 2);
+
+  // Without a subscriber the streak check is skipped altogether
+  assert.equal(await webhooks.hasSubscribers(ctx.db, "streak.broken"), true);
+  await api.call("deleteWebhook", { admin: true, status: 200, params: { id: created.body.webhook.id } });
+  assert.equal(await webhooks.hasSubscribers(ctx.db, "streak.broken"), false);
+});
+
+test("erasing a learner deletes their queued and sent deliveries", async () => {
+  const created = await api.call("createWebhook", {
+    admin: true,
+    status: 201,
+    body: { url: receiver.url, events: ["attempt.submitted"], secret: SECRET }
+  });
+  const learner = await createLearner(api);
+  const other = await createLearner(api);
+  await submit(learner, lessons[0].id, 9);
+  receiver.status = 200;
+  assert.deepEqual(await webhooks.dispatchDue(ctx.db), { delivered: 1, retrying: 0, failed: 0 });
+  await submit(learner, lessons[0].id, 10);
+  await submit(other, lessons[0].id, 10);
+
+  const erased = await api.call("eraseLearner", {
+    status: 200,
+    token: learner.token,
+    query: { learner_id: learner.learnerId }
+  });
+  assert.equal(erased.body.deleted.webhook_deliveries, 2);
+  const history = await api.call("listWebhookDeliveries", { admin: true, status: 200, params: { id: created.body.webhook.id } });
+  assert.equal(history.body.deliveries.length, 1);
+  assert.equal(history.body.deliveries[0].status, "pending");
+
+  await api.call("deleteWebhook", { admin: true, status: 200, params: { id: created.body.webhook.id } });
+});
+
+test("a claim covers the whole batch and a stale result is not recorded", async () => {
+  const created = await api.call("createWebhook", {
+    admin: true,
+    status: 201,
+    body: { url: receiver.url, events: ["attempt.submitted"], secret: SECRET }
+  });
+  const endpointId = created.body.webhook.id;
+  const learner = await createLearner(api);
+  await submit(learner, lessons[0].id, 9);
+
+  let leaseSec;
+  const counts = await webhooks.dispatchDue(ctx.db, {
+    batchSize: 5,
+    fetchImpl: async () => {
+      const claimed = await ctx.db.query(
+        `SELECT EXTRACT(EPOCH FROM next_attempt_at - now())::float AS lease_sec FROM webhook_deliveries WHERE endpoint_id = $1`,
+        [endpointId]
+      );
+      leaseSec = claimed.rows[0].lease_sec;
+      // Another dispatcher sends the same delivery while this one is still waiting
+      await ctx.db.query(
+        `UPDATE webhook_deliveries SET status = 'delivered', attempts = attempts + 1, delivered_at = now() WHERE endpoint_id = $1`,
+        [endpointId]
+      );
+      return new Response(null, { status: 500 });
+    }
+  });
+
+  // Five deliveries at 10s each, plus the margin
+  assert.ok(leaseSec > 5 * 10, `lease was ${leaseSec}s`);
+  assert.deepEqual(counts, { delivered: 0, retrying: 0, failed: 0 });
+  const history = await api.call("listWebhookDeliveries", { admin: true, status: 200, params: { id: endpointId } });
+  assert.deepEqual(
+    history.body.deliveries.map((delivery) => [delivery.status, delivery.attempts, delivery.last_error]),
+    [["delivered", 1, null]]
+  );
+
+  await api.call("deleteWebhook", { admin: true, status: 200, params: { id: endpointId } });
+});